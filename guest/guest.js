@@ -0,0 +1,120 @@
+// Guest side of LAN sharing: main.js serves this page and streams one terminal over a WebSocket.
+// Binary frames are terminal output (and our keystrokes); text frames are the JSON control
+// messages described in doc/SHARED_TERMINAL.md.
+
+import { Terminal } from '/xterm.mjs';
+
+const CLIENT_VERSION = 1;
+
+const XTERM_OPTIONS = {
+  fontSize: 13,
+  fontFamily: '"JetBrains Mono", "Fira Code", "Cascadia Code", "SF Mono", Menlo, monospace',
+  theme: {
+    background: '#08080c',
+    foreground: '#c8ccd8',
+    cursor: '#c8ff00',
+    selectionBackground: '#2a2a3a',
+  },
+};
+
+const shareId = location.pathname.split('/')[2];
+const titleEl = document.getElementById('title');
+const statusEl = document.getElementById('status');
+const formEl = document.getElementById('join-form');
+const nameInput = document.getElementById('guest-name');
+const pinField = document.getElementById('pin-field');
+const pinInput = document.getElementById('guest-pin');
+const errorEl = document.getElementById('error');
+const terminalEl = document.getElementById('terminal');
+
+let xterm = null;
+let permissions = 'view-only';
+let ended = false;
+
+nameInput.value = localStorage.getItem('term-party-guest-name') || '';
+
+function setStatus(text) {
+  statusEl.textContent = text;
+}
+
+function describePermissions() {
+  return permissions === 'read-write' ? 'You can type' : 'View only';
+}
+
+function handleControl(message, ws) {
+  switch (message.type) {
+    case 'session-info':
+      permissions = message.permissions;
+      titleEl.textContent = `${message.terminalTitle} · ${message.hostName}`;
+      document.title = `${message.terminalTitle} - term-party`;
+      formEl.hidden = true;
+      terminalEl.hidden = false;
+      xterm = new Terminal({ ...XTERM_OPTIONS, cols: message.cols, rows: message.rows, disableStdin: permissions !== 'read-write' });
+      xterm.open(terminalEl);
+      xterm.onData((data) => {
+        if (permissions === 'read-write') ws.send(new TextEncoder().encode(data));
+      });
+      xterm.focus();
+      setStatus(describePermissions());
+      break;
+    case 'permission-change':
+      permissions = message.permissions;
+      xterm.options.disableStdin = permissions !== 'read-write';
+      setStatus(describePermissions());
+      break;
+    case 'resize':
+      // The host's size is authoritative
+      xterm?.resize(message.cols, message.rows);
+      break;
+    case 'session-end':
+      ended = true;
+      setStatus(message.reason);
+      if (!xterm) {
+        formEl.hidden = false;
+        errorEl.textContent = message.reason;
+      }
+      break;
+  }
+}
+
+function join(name, pin) {
+  const ws = new WebSocket(`ws://${location.host}/s/${shareId}/ws`);
+  ws.binaryType = 'arraybuffer';
+  setStatus('Connecting…');
+  ended = false;
+
+  ws.addEventListener('open', () => {
+    ws.send(JSON.stringify({ type: 'guest-info', name, pin, clientVersion: CLIENT_VERSION }));
+  });
+  ws.addEventListener('message', (e) => {
+    if (typeof e.data === 'string') {
+      handleControl(JSON.parse(e.data), ws);
+    } else if (xterm) {
+      xterm.write(new Uint8Array(e.data));
+    }
+  });
+  ws.addEventListener('close', () => {
+    if (ended) return;
+    setStatus('Disconnected');
+    if (!xterm) formEl.hidden = false;
+  });
+}
+
+formEl.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const name = nameInput.value.trim();
+  if (!name) return;
+  localStorage.setItem('term-party-guest-name', name);
+  errorEl.textContent = '';
+  formEl.hidden = true;
+  join(name, pinInput.value);
+});
+
+const info = await fetch(`/s/${shareId}/info`).then(res => (res.ok ? res.json() : null)).catch(() => null);
+if (info) {
+  titleEl.textContent = info.terminalTitle;
+  pinField.hidden = !info.pinRequired;
+} else {
+  formEl.hidden = true;
+  setStatus('This share has ended.');
+}
@@ -1,21 +1,39 @@
-const { app, BrowserWindow, ipcMain, dialog, nativeImage } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, nativeImage, Notification } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const pty = require('node-pty');
 const os = require('os');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { execFile, spawn } = require('child_process');
+const { StringDecoder } = require('string_decoder');
+const { Worker } = require('worker_threads');
+const net = require('net');
+const http = require('http');
 
 let mainWindow;
-const terminals = new Map(); // id -> { pty, cwd, tailBuffer }
+const terminals = new Map(); // id -> { pty, cwd, sessionId, tailBuffer, scrollback }
 let nextId = 1;
-let savedTerminals = []; // array of { cwd } — ghost entries not yet activated
-let favorites = []; // array of { cwd }
+let savedTerminals = []; // array of { cwd, profileId, sessionId, startup, notify, keepAlive } — ghost entries not yet activated
+let favorites = []; // array of { cwd, profileId, startup }
 let terminalOrder = []; // array of terminal ids in display order
+let layouts = []; // split-pane trees; leaves are { id } for live terminals or { sessionId } for saved ones
 let directoryNames = {}; // cwd -> display name (single source of truth)
+let shellProfiles = []; // array of { id, name, command, args, env, cols, rows } — user-defined
+let workspaces = []; // array of { id, name, terminals: [{ id, cwd, name, profileId, startup }] }
+let outputTriggers = []; // array of { id, name, pattern, caseSensitive, action, reply, cwd, enabled }
+let visibleTerminalIds = []; // terminals currently shown in the viewer, reported by the renderer
+let commandHistory = {}; // cwd -> [{ command, startedAt, durationMs, exitCode }] oldest first
 
 // --- Dashboard: exit tracking ---
-const recentExits = []; // { id, title, exitCode, timestamp } — last 20
-const MAX_RECENT_EXITS = 20;
+// { exitId, id, title, cwd, profileId, exitCode, timestamp, startedAt, runtimeMs, lastCommand, output } newest first.
+// output is all that's kept of the scrollback; the exit view shows it and search covers it.
+const recentExits = [];
+const MAX_RECENT_EXITS = 50;
+const EXIT_OUTPUT_SIZE = 32 * 1024; // chars of final output persisted per exit
+const killedTerminals = new Map(); // id -> entry removed by killTerminal, until its PTY's exit is logged
 const TAIL_BUFFER_SIZE = 4096; // bytes
+const SCROLLBACK_SIZE = 512 * 1024; // chars kept per terminal and persisted on quit
 
 // --- Dude database (lazy, read-only) ---
 let dudeDb = null;
@@ -25,14 +43,85 @@ function getSavePath() {
   return path.join(app.getPath('userData'), 'terminals.json');
 }
 
-function loadSavedTerminals() {
+// terminals.json used to be a bare array of entries; it is now { terminals, layouts }
+function loadSavedSession() {
   try {
     const data = fs.readFileSync(getSavePath(), 'utf-8');
     const parsed = JSON.parse(data);
-    return Array.isArray(parsed) ? parsed : [];
+    if (Array.isArray(parsed)) return { terminals: parsed, layouts: [] };
+    return {
+      terminals: Array.isArray(parsed?.terminals) ? parsed.terminals : [],
+      layouts: Array.isArray(parsed?.layouts) ? parsed.layouts.map(sanitizeLayout).filter(l => l?.split) : [],
+    };
   } catch {
-    return [];
+    return { terminals: [], layouts: [] };
+  }
+}
+
+function buildSavedSession() {
+  const entries = [];
+  for (const [, term] of terminals) {
+    entries.push({
+      cwd: term.cwd,
+      profileId: term.profileId,
+      sessionId: term.sessionId,
+      startup: term.startup,
+      notify: term.notify,
+      keepAlive: term.keepAlive,
+      workspaceId: term.workspaceId,
+      workspaceDefId: term.workspaceDefId,
+      tmux: term.tmux || undefined,
+    });
+  }
+  for (const ghost of savedTerminals) {
+    entries.push({ ...ghost });
+  }
+  // Live terminal ids mean nothing after a restart, so leaves are saved by sessionId
+  const savedSessionIds = new Set(savedTerminals.map(g => g.sessionId));
+  const savedLayouts = mapLayouts((leaf) => {
+    if (leaf.id !== undefined) {
+      const term = terminals.get(leaf.id);
+      return term ? { sessionId: term.sessionId } : null;
+    }
+    return savedSessionIds.has(leaf.sessionId) ? leaf : null;
+  });
+  return { terminals: entries, layouts: savedLayouts };
+}
+
+// --- Split layouts ---
+
+// Applies fn to every leaf; a null result drops the leaf and collapses its split
+function mapLayout(node, fn) {
+  if (!node) return null;
+  if (!node.split) return fn(node);
+  const children = node.children.map(child => mapLayout(child, fn));
+  if (children[0] && children[1]) return { ...node, children };
+  return children[0] || children[1];
+}
+
+// A layout that collapses to a single leaf is no longer a split and is dropped
+function mapLayouts(fn) {
+  return layouts.map(layout => mapLayout(layout, fn)).filter(layout => layout?.split);
+}
+
+function removeFromLayouts(id) {
+  layouts = mapLayouts(leaf => (leaf.id === id ? null : leaf));
+}
+
+function sanitizeLayout(node) {
+  if (!node || typeof node !== 'object') return null;
+  if (node.split === 'row' || node.split === 'column') {
+    if (!Array.isArray(node.children) || node.children.length !== 2) return null;
+    const children = node.children.map(sanitizeLayout);
+    if (!children[0] || !children[1]) return null;
+    const sizes = Array.isArray(node.sizes) && node.sizes.every(n => typeof n === 'number' && n > 0)
+      ? node.sizes.slice(0, 2)
+      : [1, 1];
+    return { split: node.split, children, sizes };
   }
+  if (typeof node.id === 'number') return { id: node.id };
+  if (typeof node.sessionId === 'string') return { sessionId: node.sessionId };
+  return null;
 }
 
 let persistTerminalsTimer = null;
@@ -41,21 +130,269 @@ function persistTerminals() {
   if (persistTerminalsTimer) clearTimeout(persistTerminalsTimer);
   persistTerminalsTimer = setTimeout(async () => {
     persistTerminalsTimer = null;
-    const entries = [];
-    for (const [, term] of terminals) {
-      entries.push({ cwd: term.cwd });
+    try {
+      await fs.promises.writeFile(getSavePath(), JSON.stringify(buildSavedSession(), null, 2));
+    } catch {
+      // best-effort persistence
+    }
+  }, 500);
+}
+
+// --- Persisted scrollback (one gzip file per session under userData) ---
+
+function getScrollbackDir() {
+  return path.join(app.getPath('userData'), 'scrollback');
+}
+
+function getScrollbackPath(sessionId) {
+  return path.join(getScrollbackDir(), `${sessionId}.gz`);
+}
+
+function appendScrollback(term, data) {
+  term.scrollback += data;
+  // Trim with some slack so we don't re-slice on every chunk once full
+  if (term.scrollback.length > SCROLLBACK_SIZE * 1.25) {
+    term.scrollback = term.scrollback.slice(-SCROLLBACK_SIZE);
+  }
+}
+
+function writeScrollbackSync(sessionId, text) {
+  if (!sessionId || !text) return;
+  try {
+    fs.mkdirSync(getScrollbackDir(), { recursive: true });
+    fs.writeFileSync(getScrollbackPath(sessionId), zlib.gzipSync(text.slice(-SCROLLBACK_SIZE)));
+  } catch {
+    // best-effort persistence
+  }
+}
+
+async function readScrollback(sessionId) {
+  if (!sessionId) return '';
+  try {
+    const compressed = await fs.promises.readFile(getScrollbackPath(sessionId));
+    return zlib.gunzipSync(compressed).toString('utf-8');
+  } catch {
+    return '';
+  }
+}
+
+function deleteScrollback(sessionId) {
+  if (!sessionId) return;
+  fs.promises.unlink(getScrollbackPath(sessionId)).catch(() => {});
+}
+
+// Remove files left behind by sessions that are no longer saved
+function pruneScrollback() {
+  const keep = new Set(savedTerminals.map(g => g.sessionId).filter(Boolean));
+  fs.promises.readdir(getScrollbackDir()).then((files) => {
+    for (const file of files) {
+      if (!keep.has(path.basename(file, '.gz'))) {
+        fs.promises.unlink(path.join(getScrollbackDir(), file)).catch(() => {});
+      }
     }
-    for (const ghost of savedTerminals) {
-      entries.push({ cwd: ghost.cwd });
+  }).catch(() => {});
+}
+
+function formatRestoreDivider() {
+  const stamp = new Date().toLocaleString();
+  // Leave any alternate screen and reset attributes the old session may have left behind
+  return `\x1b[?1049l\x1b[0m\r\n\x1b[2m\u2500\u2500\u2500\u2500 session restored ${stamp} \u2500\u2500\u2500\u2500\x1b[0m\r\n`;
+}
+
+// --- Exit history (persisted) ---
+
+function getExitsPath() {
+  return path.join(app.getPath('userData'), 'exits.json');
+}
+
+function loadExits() {
+  try {
+    const data = fs.readFileSync(getExitsPath(), 'utf-8');
+    const parsed = JSON.parse(data);
+    return Array.isArray(parsed) ? parsed.filter(e => e && e.exitId).slice(0, MAX_RECENT_EXITS) : [];
+  } catch {
+    return [];
+  }
+}
+
+function serializeExits() {
+  return JSON.stringify(recentExits);
+}
+
+let persistExitsTimer = null;
+function persistExits() {
+  if (persistExitsTimer) clearTimeout(persistExitsTimer);
+  persistExitsTimer = setTimeout(async () => {
+    persistExitsTimer = null;
+    try {
+      await fs.promises.writeFile(getExitsPath(), serializeExits());
+    } catch {
+      // best-effort persistence
     }
+  }, 500);
+}
+
+function recordExit(id, term, exitCode, now = Date.now()) {
+  recentExits.unshift({
+    exitId: crypto.randomUUID(),
+    id,
+    title: resolveDirectoryName(term.cwd),
+    cwd: term.cwd,
+    profileId: term.profileId,
+    exitCode,
+    timestamp: now,
+    startedAt: term.startedAt,
+    runtimeMs: now - term.startedAt,
+    lastCommand: term.shell?.running?.command || term.shell?.last?.command || term.lastCommand || null,
+    output: term.scrollback.slice(-EXIT_OUTPUT_SIZE),
+  });
+  if (recentExits.length > MAX_RECENT_EXITS) recentExits.pop();
+  persistExits();
+  // Every way a terminal ends comes through here
+  publishControlEvent('exit', { id, exitCode });
+  stopSharing(id, 'The terminal exited');
+}
+
+// --- Plain text from terminal output ---
+
+// CSI, OSC (BEL or ST terminated) and two-byte escape sequences
+const ANSI_RE = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+
+// Approximates what each line looked like on screen
+function toPlainLines(text) {
+  return text.replace(ANSI_RE, '').split('\n').map(line => {
+    line = line.replace(/\r+$/, '');
+    // Text before a carriage return was overwritten by what followed it
+    const cr = line.lastIndexOf('\r');
+    if (cr >= 0) line = line.slice(cr + 1);
+    return line.replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+  });
+}
+
+// --- Workspaces ---
+
+function getWorkspacesPath() {
+  return path.join(app.getPath('userData'), 'workspaces.json');
+}
+
+function loadWorkspaces() {
+  try {
+    const data = fs.readFileSync(getWorkspacesPath(), 'utf-8');
+    const parsed = JSON.parse(data);
+    return Array.isArray(parsed) ? parsed.map(sanitizeWorkspace).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+let persistWorkspacesTimer = null;
+function persistWorkspaces() {
+  if (persistWorkspacesTimer) clearTimeout(persistWorkspacesTimer);
+  persistWorkspacesTimer = setTimeout(async () => {
+    persistWorkspacesTimer = null;
     try {
-      await fs.promises.writeFile(getSavePath(), JSON.stringify(entries, null, 2));
+      await fs.promises.writeFile(getWorkspacesPath(), JSON.stringify(workspaces, null, 2));
     } catch {
       // best-effort persistence
     }
   }, 500);
 }
 
+function newWorkspaceItemId(prefix) {
+  return `${prefix}-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+function sanitizeWorkspaceTerminal(input) {
+  if (!input || typeof input.cwd !== 'string' || !input.cwd.trim()) return null;
+  const def = {
+    id: typeof input.id === 'string' && input.id ? input.id : newWorkspaceItemId('def'),
+    cwd: input.cwd.trim(),
+  };
+  if (typeof input.name === 'string' && input.name.trim()) def.name = input.name.trim();
+  if (typeof input.profileId === 'string' && input.profileId) def.profileId = input.profileId;
+  const startup = sanitizeStartup(input.startup);
+  if (startup) def.startup = startup;
+  return def;
+}
+
+function sanitizeWorkspace(input) {
+  if (!input || typeof input.name !== 'string' || !input.name.trim()) return null;
+  return {
+    id: typeof input.id === 'string' && input.id ? input.id : newWorkspaceItemId('ws'),
+    name: input.name.trim(),
+    terminals: Array.isArray(input.terminals) ? input.terminals.map(sanitizeWorkspaceTerminal).filter(Boolean) : [],
+  };
+}
+
+// A definition's name seeds the directory registry, the same way add-favorite does
+function applyWorkspaceTerminalName(def) {
+  if (def.name && def.name !== path.basename(def.cwd) && !directoryNames[def.cwd]) {
+    directoryNames[def.cwd] = def.name;
+    persistDirectoryNames();
+  }
+}
+
+// Drops workspace references from terminals and ghosts whose definition no longer exists
+function pruneWorkspaceRefs() {
+  const defIds = new Set(workspaces.flatMap(ws => ws.terminals.map(def => def.id)));
+  const entries = [...terminals.values(), ...savedTerminals];
+  for (const entry of entries) {
+    if (entry.workspaceDefId && !defIds.has(entry.workspaceDefId)) {
+      delete entry.workspaceId;
+      delete entry.workspaceDefId;
+    }
+  }
+  persistTerminals();
+}
+
+// Appends a live terminal to a workspace as a new definition
+function addTerminalToWorkspace(id, workspaceId) {
+  const term = terminals.get(id);
+  const ws = workspaces.find(w => w.id === workspaceId);
+  if (!term || !ws) return false;
+  const def = sanitizeWorkspaceTerminal({
+    cwd: term.cwd,
+    name: resolveDirectoryName(term.cwd),
+    profileId: term.profileId !== DEFAULT_PROFILE_ID ? term.profileId : undefined,
+    startup: term.startup,
+  });
+  ws.terminals.push(def);
+  term.workspaceId = ws.id;
+  term.workspaceDefId = def.id;
+  persistWorkspaces();
+  pruneWorkspaceRefs();
+  return true;
+}
+
+// Brings every definition of a workspace up: live ones are kept, saved ones restored, the rest spawned
+async function launchWorkspace(workspaceId) {
+  const ws = workspaces.find(w => w.id === workspaceId);
+  if (!ws) return [];
+  const results = [];
+  for (const def of ws.terminals) {
+    applyWorkspaceTerminalName(def);
+    const live = [...terminals].find(([, term]) => term.workspaceDefId === def.id);
+    if (live) {
+      results.push({ id: live[0], cwd: live[1].cwd, existing: true });
+      continue;
+    }
+    const overrides = { cwd: def.cwd, profileId: def.profileId, startup: def.startup, workspaceId: ws.id, workspaceDefId: def.id };
+    const ghostIndex = savedTerminals.findIndex(g => g.workspaceDefId === def.id);
+    if (ghostIndex >= 0) {
+      results.push(await restoreSavedTerminal(ghostIndex, overrides));
+    } else {
+      results.push(spawnTerminal(overrides));
+    }
+  }
+  return results;
+}
+
+function killWorkspace(workspaceId) {
+  for (const [id, term] of [...terminals]) {
+    if (term.workspaceId === workspaceId) killTerminal(id);
+  }
+}
+
 function getFavoritesPath() {
   return path.join(app.getPath('userData'), 'favorites.json');
 }
@@ -136,7 +473,10 @@ function migrateToDirectoryNames() {
 }
 
 function resolveDirectoryName(cwd) {
-  return directoryNames[cwd] || path.basename(cwd || '');
+  if (directoryNames[cwd]) return directoryNames[cwd];
+  const remote = parseRemoteLocation(cwd);
+  if (remote) return `${formatRemoteHost(remote.host)}:${path.posix.basename(remote.dir) || remote.dir || '~'}`;
+  return path.basename(cwd || '');
 }
 
 function getShell() {
@@ -145,6 +485,181 @@ function getShell() {
     : process.env.SHELL || '/bin/bash';
 }
 
+// --- Remote terminals (ssh) ---
+// A remote terminal's cwd is an ssh:// location, e.g. ssh://deploy@web1:2222/srv/app?identity=~/.ssh/web1,
+// so directory names, favorites, ghosts and workspaces all work off term.cwd like local ones
+
+const SSH_CONNECTION_LOST = 255; // ssh's own exit code, as opposed to the remote shell's
+const REMOTE_STABLE_MS = 60 * 1000; // a connection that lasted this long starts the reconnect count over
+const REMOTE_RECONNECT = { mode: 'failure', maxRestarts: 10, backoffMs: 2000 };
+
+// Both end up in ssh's argv, so a leading - would be read as an option (-oProxyCommand=...).
+// IPv6 addresses are kept without brackets; zone ids (%eth0) can't be written in an ssh:// URL.
+function isValidRemoteTarget(host, user) {
+  if (!host || host.startsWith('-')) return false;
+  if (host.includes(':') ? !net.isIPv6(host) || host.includes('%') : /[\s/@]/.test(host)) return false;
+  return /^[\w.-]*$/.test(user) && !user.startsWith('-');
+}
+
+// The host field as typed: a name, an IPv6 address, or either with a port (host:2222, [::1]:2222)
+function parseRemoteHost(input) {
+  const bracketed = input.match(/^\[([^\]]*)\](?::(\d+))?$/);
+  if (bracketed) return { host: bracketed[1], port: bracketed[2] };
+  if (net.isIPv6(input)) return { host: input };
+  const [host, port] = input.split(/:(?=\d+$)/);
+  return { host, port };
+}
+
+function formatRemoteHost(host) {
+  return host.includes(':') ? `[${host}]` : host;
+}
+
+function sanitizeRemote(input) {
+  if (!input || typeof input !== 'object') return null;
+  const { host, port: hostPort } = parseRemoteHost(typeof input.host === 'string' ? input.host.trim() : '');
+  const user = typeof input.user === 'string' ? input.user.trim() : '';
+  if (!isValidRemoteTarget(host, user)) return null;
+  const port = parseInt(input.port || hostPort, 10);
+  let dir = typeof input.dir === 'string' ? input.dir.trim() : '';
+  // Relative paths are relative to the remote home
+  if (dir && !dir.startsWith('/') && !dir.startsWith('~')) dir = `~/${dir}`;
+  return {
+    host,
+    user,
+    port: port > 0 && port < 65536 ? port : null,
+    identity: typeof input.identity === 'string' ? input.identity.trim() : '',
+    dir,
+  };
+}
+
+function formatRemoteLocation({ host, user, port, identity, dir }) {
+  const auth = user ? `${encodeURIComponent(user)}@` : '';
+  const pathPart = dir ? '/' + dir.replace(/^\//, '').split('/').map(encodeURIComponent).join('/') : '';
+  const query = identity ? `?identity=${encodeURIComponent(identity)}` : '';
+  return `ssh://${auth}${formatRemoteHost(host)}${port ? `:${port}` : ''}${pathPart}${query}`;
+}
+
+// null for local directories
+function parseRemoteLocation(cwd) {
+  if (typeof cwd !== 'string' || !cwd.startsWith('ssh://')) return null;
+  let url;
+  try {
+    url = new URL(cwd);
+  } catch {
+    return null;
+  }
+  const user = decodeURIComponent(url.username);
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (!isValidRemoteTarget(host, user)) return null;
+  const dir = decodeURIComponent(url.pathname);
+  return {
+    host,
+    user,
+    port: url.port ? Number(url.port) : null,
+    identity: url.searchParams.get('identity') || '',
+    dir: dir.startsWith('/~') ? dir.slice(1) : dir,
+  };
+}
+
+// Quoted for the remote shell, leaving a leading ~ for it to expand
+function quoteRemotePath(dir) {
+  const quote = s => `'${s.replace(/'/g, `'\\''`)}'`;
+  if (dir === '~') return '~';
+  if (dir.startsWith('~/')) return `~/${quote(dir.slice(2))}`;
+  return quote(dir);
+}
+
+function buildSshArgs({ host, user, port, identity, dir }) {
+  // Keepalives turn a dead connection into an exit (and a reconnect) instead of a hang
+  const args = ['-t', '-o', 'ServerAliveInterval=15', '-o', 'ServerAliveCountMax=3'];
+  if (port) args.push('-p', String(port));
+  if (identity) args.push('-i', identity);
+  args.push('--', user ? `${user}@${host}` : host);
+  if (dir) args.push(`cd ${quoteRemotePath(dir)} && exec "$SHELL" -l`);
+  return args;
+}
+
+// --- Shell profiles ---
+
+const DEFAULT_PROFILE_ID = 'default';
+
+function getProfilesPath() {
+  return path.join(app.getPath('userData'), 'profiles.json');
+}
+
+function loadProfiles() {
+  try {
+    const data = fs.readFileSync(getProfilesPath(), 'utf-8');
+    const parsed = JSON.parse(data);
+    return Array.isArray(parsed) ? parsed.map(sanitizeProfile).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+let persistProfilesTimer = null;
+function persistProfiles() {
+  if (persistProfilesTimer) clearTimeout(persistProfilesTimer);
+  persistProfilesTimer = setTimeout(async () => {
+    persistProfilesTimer = null;
+    try {
+      await fs.promises.writeFile(getProfilesPath(), JSON.stringify(shellProfiles, null, 2));
+    } catch {
+      // best-effort persistence
+    }
+  }, 500);
+}
+
+// The built-in profile is derived from getShell() and never persisted
+function getDefaultProfile() {
+  return {
+    id: DEFAULT_PROFILE_ID,
+    name: 'Default',
+    command: getShell(),
+    args: [],
+    env: {},
+    cols: 80,
+    rows: 24,
+    builtin: true,
+  };
+}
+
+function getProfiles() {
+  return [getDefaultProfile(), ...shellProfiles];
+}
+
+// Unknown or deleted profile ids fall back to the default shell
+function resolveProfile(profileId) {
+  return shellProfiles.find(p => p.id === profileId) || getDefaultProfile();
+}
+
+function toDimension(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, 1000) : fallback;
+}
+
+function sanitizeProfile(input) {
+  if (!input || typeof input !== 'object') return null;
+  const command = typeof input.command === 'string' ? input.command.trim() : '';
+  if (!command) return null;
+  const env = {};
+  if (input.env && typeof input.env === 'object' && !Array.isArray(input.env)) {
+    for (const [key, value] of Object.entries(input.env)) {
+      if (key) env[key] = String(value);
+    }
+  }
+  return {
+    id: typeof input.id === 'string' && input.id ? input.id : `profile-${Date.now().toString(36)}`,
+    name: (typeof input.name === 'string' && input.name.trim()) || path.basename(command),
+    command,
+    args: Array.isArray(input.args) ? input.args.map(String) : [],
+    env,
+    cols: toDimension(input.cols, 80),
+    rows: toDimension(input.rows, 24),
+    tmux: Boolean(input.tmux),
+  };
+}
+
 function getAppIcon() {
   if (process.platform === 'win32') {
     return path.join(__dirname, 'favicon.ico');
@@ -256,183 +771,2865 @@ function getSystemStats() {
   };
 }
 
-// --- Terminal env vars ---
+// --- Process trees (per-terminal CPU and memory) ---
 
-function getTerminalEnv(terminalName) {
-  const env = { ...process.env };
-  if (terminalName) {
-    env.TERM_PARTY_NAME = terminalName;
-  }
-  return env;
-}
+const PROCESS_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGKILL', 'SIGHUP', 'SIGSTOP', 'SIGCONT', 'SIGUSR1', 'SIGUSR2'];
+const CLOCK_TICKS = 100; // USER_HZ, fixed at 100 on mainstream Linux builds
 
-// --- Window creation ---
+let prevProcTicks = new Map(); // pid -> utime + stime at the previous sample
+let prevProcSampleAt = 0;
+const processTreePids = new Map(); // terminal id -> Set of pids from the last sample, to vet signal targets
 
-function createWindow() {
-  mainWindow = new BrowserWindow({
-    width: 1200,
-    height: 800,
-    icon: getAppIcon(),
-    webPreferences: {
-      preload: path.join(__dirname, 'preload.js'),
-      contextIsolation: true,
-      nodeIntegration: false,
-    },
+function runCommand(file, args) {
+  return new Promise((resolve, reject) => {
+    execFile(file, args, { timeout: 5000, maxBuffer: 16 * 1024 * 1024, windowsHide: true }, (err, stdout) => {
+      if (err) reject(err);
+      else resolve(stdout);
+    });
   });
+}
 
-  mainWindow.loadFile('index.html');
+// Linux: one pass over /proc/<pid>/stat; CPU% is the tick delta since the previous sample
+async function readProcessTableLinux() {
+  const now = Date.now();
+  const elapsed = (now - prevProcSampleAt) / 1000;
+  const ticks = new Map();
+  const table = new Map();
+  const pids = (await fs.promises.readdir('/proc')).filter(name => /^\d+$/.test(name));
+  await Promise.all(pids.map(async (pidText) => {
+    let stat;
+    try {
+      stat = await fs.promises.readFile(`/proc/${pidText}/stat`, 'utf-8');
+    } catch {
+      return; // exited mid-scan
+    }
+    // The name is parenthesized and may itself contain spaces or parens
+    const close = stat.lastIndexOf(')');
+    const fields = stat.slice(close + 2).split(' ');
+    const pid = Number(pidText);
+    const total = Number(fields[11]) + Number(fields[12]);
+    const prev = prevProcTicks.get(pid);
+    ticks.set(pid, total);
+    table.set(pid, {
+      pid,
+      ppid: Number(fields[1]),
+      name: stat.slice(stat.indexOf('(') + 1, close),
+      command: '',
+      cpu: prev !== undefined && elapsed > 0 ? Math.round(((total - prev) / CLOCK_TICKS / elapsed) * 1000) / 10 : null,
+      rssKB: 0,
+    });
+  }));
+  prevProcTicks = ticks;
+  prevProcSampleAt = now;
+  return table;
 }
 
-app.whenReady().then(async () => {
-  if (process.platform === 'darwin' && app.dock) {
+// Only read for processes that belong to a terminal; stat's RSS is in pages of unknown size
+async function fillProcessDetailsLinux(processes) {
+  await Promise.all(processes.map(async (proc) => {
     try {
-      const icon = nativeImage.createFromPath(path.join(__dirname, 'web-app-manifest-512x512.png'));
-      app.dock.setIcon(icon);
-    } catch (e) {
-      console.warn('Failed to set dock icon:', e.message);
+      const status = await fs.promises.readFile(`/proc/${proc.pid}/status`, 'utf-8');
+      const match = /^VmRSS:\s+(\d+) kB/m.exec(status);
+      if (match) proc.rssKB = Number(match[1]);
+      const cmdline = await fs.promises.readFile(`/proc/${proc.pid}/cmdline`, 'utf-8');
+      proc.command = cmdline.replace(/\0+$/, '').split('\0').join(' ');
+    } catch {
+      // exited since the scan
     }
-  }
-  createWindow();
-  savedTerminals = loadSavedTerminals();
-  favorites = loadFavorites();
-  directoryNames = loadDirectoryNames();
-  migrateToDirectoryNames();
-  terminalOrder = [...terminals.keys()];
-});
+  }));
+}
 
-app.on('window-all-closed', async () => {
-  // Flush any pending debounced writes synchronously before quitting
-  if (persistTerminalsTimer) clearTimeout(persistTerminalsTimer);
-  if (persistFavoritesTimer) clearTimeout(persistFavoritesTimer);
-  if (persistDirNamesTimer) clearTimeout(persistDirNamesTimer);
+// macOS and the BSDs: ps reports a decaying CPU average rather than a delta
+async function readProcessTablePs() {
+  const table = new Map();
+  const output = await runCommand('ps', ['-A', '-o', 'pid=,ppid=,rss=,%cpu=,args=']);
+  for (const line of output.split('\n')) {
+    const match = /^\s*(\d+)\s+(\d+)\s+(\d+)\s+([\d.]+)\s+(.*)$/.exec(line);
+    if (!match) continue;
+    const pid = Number(match[1]);
+    table.set(pid, {
+      pid,
+      ppid: Number(match[2]),
+      name: path.basename(match[5].split(' ')[0]),
+      command: match[5],
+      cpu: Number(match[4]),
+      rssKB: Number(match[3]),
+    });
+  }
+  return table;
+}
 
-  // Write terminals synchronously to ensure data is saved on exit
-  const entries = [];
-  for (const [, term] of terminals) {
-    entries.push({ cwd: term.cwd });
+// Windows: CIM has no instantaneous CPU figure, so only memory is reported
+async function readProcessTableWindows() {
+  const table = new Map();
+  const script = 'Get-CimInstance Win32_Process | ForEach-Object { "$($_.ProcessId)`t$($_.ParentProcessId)`t$($_.WorkingSetSize)`t$($_.Name)`t$($_.CommandLine)" }';
+  const output = await runCommand('powershell.exe', ['-NoProfile', '-NonInteractive', '-Command', script]);
+  for (const line of output.split(/\r?\n/)) {
+    const [pid, ppid, workingSet, name, command] = line.split('\t');
+    if (!pid || !/^\d+$/.test(pid)) continue;
+    table.set(Number(pid), {
+      pid: Number(pid),
+      ppid: Number(ppid),
+      name,
+      command: command || name,
+      cpu: null,
+      rssKB: Math.round(Number(workingSet) / 1024),
+    });
   }
-  for (const ghost of savedTerminals) {
-    entries.push({ cwd: ghost.cwd });
+  return table;
+}
+
+function readProcessTable() {
+  if (process.platform === 'linux') return readProcessTableLinux();
+  if (process.platform === 'win32') return readProcessTableWindows();
+  return readProcessTablePs();
+}
+
+// Depth-first from the PTY's shell, so the list reads like a tree
+function collectProcessTree(table, rootPid) {
+  const children = new Map();
+  for (const proc of table.values()) {
+    if (!children.has(proc.ppid)) children.set(proc.ppid, []);
+    children.get(proc.ppid).push(proc);
   }
+  const result = [];
+  const visit = (proc, depth) => {
+    result.push({ ...proc, depth });
+    for (const child of (children.get(proc.pid) || []).sort((a, b) => a.pid - b.pid)) visit(child, depth + 1);
+  };
+  const root = table.get(rootPid);
+  if (root) visit(root, 0);
+  return result;
+}
+
+// terminal id -> { cpuPercent, rssKB, processes }; cpuPercent is null where unavailable
+async function getProcessTrees() {
+  let table;
   try {
-    fs.writeFileSync(getSavePath(), JSON.stringify(entries, null, 2));
+    table = await readProcessTable();
   } catch {
-    // best-effort
+    return {};
   }
-
-  for (const [, term] of terminals) {
-    term.pty.kill();
+  const trees = {};
+  processTreePids.clear();
+  for (const [id, term] of terminals) {
+    const processes = collectProcessTree(table, term.pty.pid);
+    if (process.platform === 'linux') await fillProcessDetailsLinux(processes);
+    processTreePids.set(id, new Set(processes.map(proc => proc.pid)));
+    const cpus = processes.map(proc => proc.cpu).filter(cpu => cpu !== null);
+    trees[id] = {
+      cpuPercent: cpus.length ? Math.round(cpus.reduce((sum, cpu) => sum + cpu, 0) * 10) / 10 : null,
+      rssKB: processes.reduce((sum, proc) => sum + proc.rssKB, 0),
+      processes,
+    };
   }
-  terminals.clear();
-  closeDudeDb();
-  app.quit();
-});
+  return trees;
+}
 
-// --- IPC Handlers ---
+// --- Foreground process (what's running in the terminal, and stopping it) ---
 
-ipcMain.handle('select-directory', async () => {
-  const result = await dialog.showOpenDialog(mainWindow, {
-    properties: ['openDirectory'],
+const FOREGROUND_POLL_MS = 1000;
+const KILL_ESCALATION = ['SIGINT', 'SIGTERM', 'SIGKILL'];
+const KILL_ESCALATION_TIMEOUT_MS = 3000;
+
+let quitConfirmed = false; // set once the close prompt has been answered
+
+// Process group that owns the tty; equal to the shell's pid while the shell is at its prompt
+async function readForegroundPgid(term) {
+  try {
+    if (process.platform === 'linux') {
+      const stat = await fs.promises.readFile(`/proc/${term.pty.pid}/stat`, 'utf-8');
+      return Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[5]);
+    }
+    if (process.platform !== 'win32') {
+      return Number((await runCommand('ps', ['-o', 'tpgid=', '-p', String(term.pty.pid)])).trim());
+    }
+  } catch {
+    // shell already gone
+  }
+  return null;
+}
+
+// { name, pgid } for a non-shell foreground job, or null while the shell has the terminal
+async function readForeground(term) {
+  if (process.platform === 'linux') {
+    const pgid = await readForegroundPgid(term);
+    if (!pgid || pgid <= 0 || pgid === term.pty.pid) return null;
+    try {
+      return { name: (await fs.promises.readFile(`/proc/${pgid}/comm`, 'utf-8')).trim(), pgid };
+    } catch {
+      return null;
+    }
+  }
+  // node-pty asks the tty for its foreground process; Windows always reports the shell
+  let name;
+  try {
+    name = term.pty.process;
+  } catch {
+    return null;
+  }
+  if (!name || path.basename(name) === term.shellName) return null;
+  return { name: path.basename(name), pgid: null };
+}
+
+async function pollForegroundProcesses() {
+  for (const [id, term] of terminals) {
+    const foreground = await readForeground(term);
+    if (terminals.get(id) !== term) continue;
+    if (foreground?.name === term.foreground?.name && foreground?.pgid === term.foreground?.pgid) continue;
+    term.foreground = foreground;
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('terminal-foreground', { id, foreground });
+    }
+  }
+}
+
+// SIGINT (as ^C, so the tty delivers it), then SIGTERM, then SIGKILL to the foreground
+// job, waiting for the shell to get the terminal back after each one
+async function stopForeground(id, term, timeoutMs = KILL_ESCALATION_TIMEOUT_MS) {
+  for (const signal of KILL_ESCALATION) {
+    if (terminals.get(id) !== term || !(await readForeground(term))) return;
+    if (signal === 'SIGINT') {
+      term.pty.write('\x03');
+    } else {
+      const pgid = await readForegroundPgid(term);
+      try {
+        if (pgid && pgid > 0 && pgid !== term.pty.pid) process.kill(-pgid, signal);
+        else term.pty.kill(signal);
+      } catch {
+        // already gone
+      }
+    }
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+      if (terminals.get(id) !== term || !(await readForeground(term))) return;
+    }
+  }
+}
+
+async function stopAndKillTerminal(id) {
+  const term = terminals.get(id);
+  if (!term) return;
+  await stopForeground(id, term);
+  killTerminal(id);
+}
+
+// Window close: offer to stop running jobs first, since the PTYs die with the app
+function confirmQuit(event) {
+  // With the daemon, closing only detaches and the jobs keep running
+  if (quitConfirmed || ptyDaemon) return;
+  const busy = [...terminals.entries()].filter(([, term]) => term.foreground);
+  if (busy.length === 0) return;
+  event.preventDefault();
+  dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    buttons: ['Stop processes and quit', 'Quit now', 'Cancel'],
+    defaultId: 0,
+    cancelId: 2,
+    message: `${busy.length} terminal${busy.length === 1 ? ' is' : 's are'} still running a process`,
+    detail: busy.map(([, term]) => `${resolveDirectoryName(term.cwd)}: ${term.foreground.name}`).join('\n'),
+  }).then(async ({ response }) => {
+    if (response === 2) return;
+    if (response === 0) await Promise.all(busy.map(([id, term]) => stopForeground(id, term)));
+    quitConfirmed = true;
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.close();
+  });
+}
+
+// --- Keep-alive (restart terminals whose shell exits) ---
+
+const KEEP_ALIVE_MODES = ['any', 'failure'];
+const DEFAULT_KEEP_ALIVE_MAX_RESTARTS = 5;
+const DEFAULT_KEEP_ALIVE_BACKOFF_MS = 1000;
+const KEEP_ALIVE_MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+// Returns { mode, maxRestarts, backoffMs } or null when restarts are off; maxRestarts 0 means no limit
+function sanitizeKeepAlive(input) {
+  if (!input || !KEEP_ALIVE_MODES.includes(input.mode)) return null;
+  const maxRestarts = Math.round(Number(input.maxRestarts));
+  const backoffMs = Math.round(Number(input.backoffMs));
+  return {
+    mode: input.mode,
+    maxRestarts: maxRestarts >= 0 ? maxRestarts : DEFAULT_KEEP_ALIVE_MAX_RESTARTS,
+    backoffMs: backoffMs > 0 ? backoffMs : DEFAULT_KEEP_ALIVE_BACKOFF_MS,
+  };
+}
+
+function formatRestartMarker(text) {
+  // Leave any alternate screen the dead process left behind, like the restore divider
+  return `\x1b[?1049l\x1b[0m\r\n\x1b[33m\u2500\u2500\u2500\u2500 ${text} \u2500\u2500\u2500\u2500\x1b[0m\r\n`;
+}
+
+// Output that didn't come from the PTY but should read as if it had
+function writeTerminalMarker(id, term, text) {
+  term.tailBuffer = (term.tailBuffer + text).slice(-TAIL_BUFFER_SIZE);
+  appendScrollback(term, text);
+  if (term.recording) recordEvent(term.recording, 'o', text);
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('terminal-data', { id, data: text });
+  }
+}
+
+// Called on exit; returns true when a restart is scheduled and the terminal should stay
+function scheduleRestart(id, term, exitCode) {
+  // A dropped ssh connection reconnects in the same slot even without keep-alive
+  const connectionLost = exitCode === SSH_CONNECTION_LOST && Boolean(parseRemoteLocation(term.cwd));
+  if (connectionLost && Date.now() - term.startedAt >= REMOTE_STABLE_MS) term.restarts = 0;
+  const keepAlive = term.keepAlive || (connectionLost ? REMOTE_RECONNECT : null);
+  if (!keepAlive || (keepAlive.mode === 'failure' && exitCode === 0)) return false;
+  const limit = keepAlive.maxRestarts ? `/${keepAlive.maxRestarts}` : '';
+  if (keepAlive.maxRestarts && term.restarts >= keepAlive.maxRestarts) {
+    writeTerminalMarker(id, term, formatRestartMarker(`exited with code ${exitCode}, giving up after ${term.restarts} restarts`));
+    return false;
+  }
+
+  const delay = Math.min(keepAlive.backoffMs * 2 ** term.restarts, KEEP_ALIVE_MAX_BACKOFF_MS);
+  term.restarts++;
+  term.restarting = true;
+  term.foreground = null;
+  if (term.shell) term.shell.running = null;
+  writeTerminalMarker(id, term, formatRestartMarker(
+    `exited with code ${exitCode} at ${new Date().toLocaleTimeString()}, restart ${term.restarts}${limit} in ${formatDuration(delay)}`
+  ));
+  term.restartTimer = setTimeout(() => restartTerminal(id, term), delay);
+  return true;
+}
+
+function restartTerminal(id, term) {
+  term.restartTimer = null;
+  if (terminals.get(id) !== term) return;
+  Object.assign(term, {
+    restarting: false,
+    startedAt: Date.now(),
+    hasOutput: false,
+    busySince: null,
+    lastDataTime: Date.now(),
+    oscCarry: '',
+    cwdFromOsc: false,
+    altScreen: false,
+    inputLine: '',
+    inputDirty: false,
+    triggerLine: '',
+  });
+  try {
+    term.pty = startPty(id, resolveProfile(term.profileId), term.cwd, { cols: term.cols, rows: term.rows, sessionId: term.sessionId, tmux: term.tmux });
+    term.tmux = term.pty.tmux || null;
+  } catch (err) {
+    // e.g. the directory is gone; nothing left to keep alive
+    writeTerminalMarker(id, term, formatRestartMarker(`restart failed: ${err.message}`));
+    removeExitedTerminal(id, term, null);
+    return;
+  }
+  runStartupCommands(id);
+}
+
+// --- Startup commands ---
+
+const STARTUP_MODES = ['always', 'ask', 'never'];
+const SHELL_READY_QUIET_MS = 300; // prompt is assumed drawn after this much silence
+const SHELL_READY_TIMEOUT_MS = 5000;
+
+// Returns { commands, mode } or null when there is nothing to run
+function sanitizeStartup(input) {
+  if (!input || !Array.isArray(input.commands)) return null;
+  const commands = input.commands.map(c => String(c).trim()).filter(Boolean);
+  if (commands.length === 0) return null;
+  return { commands, mode: STARTUP_MODES.includes(input.mode) ? input.mode : 'ask' };
+}
+
+// Resolves once the shell has printed something and gone quiet, or after a timeout
+function waitForShellReady(id) {
+  const started = Date.now();
+  return new Promise((resolve) => {
+    const timer = setInterval(() => {
+      const term = terminals.get(id);
+      const quiet = term && term.hasOutput && Date.now() - term.lastDataTime >= SHELL_READY_QUIET_MS;
+      if (!term || quiet || Date.now() - started >= SHELL_READY_TIMEOUT_MS) {
+        clearInterval(timer);
+        resolve();
+      }
+    }, 100);
+  });
+}
+
+// force skips the mode check, for "Run startup commands" on demand
+async function runStartupCommands(id, { force = false } = {}) {
+  const term = terminals.get(id);
+  if (!term?.startup) return false;
+  const { commands, mode } = term.startup;
+  if (!force && mode === 'never') return false;
+  if (!force && mode === 'ask') {
+    // Asked once per terminal: keep-alive restarts reuse the answer (or the open dialog)
+    term.startupAnswer ??= dialog.showMessageBox(mainWindow, {
+      type: 'question',
+      buttons: ['Run', 'Skip'],
+      defaultId: 0,
+      cancelId: 1,
+      message: `Run startup commands in ${resolveDirectoryName(term.cwd)}?`,
+      detail: commands.join('\n'),
+    }).then(({ response }) => response === 0);
+    if (!await term.startupAnswer) return false;
+  }
+  await waitForShellReady(id);
+  const live = terminals.get(id);
+  if (!live) return false;
+  for (const command of commands) {
+    live.pty.write(command + '\r');
+  }
+  return true;
+}
+
+// Live terminals are keyed by number, ghosts by 'ghost-<index>'
+function findTerminalEntry(id) {
+  if (typeof id === 'string' && id.startsWith('ghost-')) {
+    return savedTerminals[parseInt(id.replace('ghost-', ''), 10)] || null;
+  }
+  return terminals.get(id) || null;
+}
+
+// --- Output triggers ---
+
+const TRIGGER_ACTIONS = ['highlight', 'notify', 'bell', 'reply', 'activate'];
+const TRIGGER_COOLDOWN_MS = 2000; // per terminal and trigger, so a reply can't feed itself
+const TRIGGER_LINE_LIMIT = 4096; // longest unfinished line kept for matching
+const TRIGGER_MATCH_LENGTH = 1024; // chars of each line the patterns see
+const TRIGGER_TIMEOUT_MS = 2000; // a batch out this long means a pattern is backtracking
+const TRIGGER_MAX_PENDING = 200; // batches in flight before further output goes unmatched
+
+let enabledTriggers = [];
+// trigger-worker.js runs the patterns, so a catastrophic one can't freeze the main process:
+// { worker, current (index of the trigger it is running), triggers (as last sent), pending: [{ id, lines, triggers }], timer }
+let triggerWorker = null;
+
+function getTriggersPath() {
+  return path.join(app.getPath('userData'), 'triggers.json');
+}
+
+function loadTriggers() {
+  try {
+    const data = fs.readFileSync(getTriggersPath(), 'utf-8');
+    const parsed = JSON.parse(data);
+    return Array.isArray(parsed) ? parsed.map(sanitizeTrigger).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+let persistTriggersTimer = null;
+function persistTriggers() {
+  if (persistTriggersTimer) clearTimeout(persistTriggersTimer);
+  persistTriggersTimer = setTimeout(async () => {
+    persistTriggersTimer = null;
+    try {
+      await fs.promises.writeFile(getTriggersPath(), JSON.stringify(outputTriggers, null, 2));
+    } catch {
+      // best-effort persistence
+    }
+  }, 500);
+}
+
+function compileTrigger(trigger) {
+  return new RegExp(trigger.pattern, trigger.caseSensitive ? '' : 'i');
+}
+
+// Returns null for triggers without a usable pattern
+function sanitizeTrigger(input) {
+  if (!input || typeof input !== 'object') return null;
+  const pattern = typeof input.pattern === 'string' ? input.pattern : '';
+  if (!pattern) return null;
+  const trigger = {
+    id: typeof input.id === 'string' && input.id ? input.id : `trigger-${Date.now().toString(36)}`,
+    name: (typeof input.name === 'string' && input.name.trim()) || pattern,
+    pattern,
+    caseSensitive: Boolean(input.caseSensitive),
+    action: TRIGGER_ACTIONS.includes(input.action) ? input.action : 'highlight',
+    reply: typeof input.reply === 'string' ? input.reply : '',
+    cwd: (typeof input.cwd === 'string' && input.cwd.trim()) || null,
+    enabled: input.enabled !== false,
+  };
+  try {
+    compileTrigger(trigger);
+  } catch {
+    return null;
+  }
+  return trigger;
+}
+
+function compileTriggers() {
+  enabledTriggers = outputTriggers.filter(trigger => trigger.enabled);
+  if (triggerWorker) {
+    triggerWorker.triggers = enabledTriggers;
+    triggerWorker.worker.postMessage({ type: 'triggers', triggers: enabledTriggers });
+  }
+}
+
+function getTriggerWorker() {
+  if (triggerWorker) return triggerWorker;
+  const current = new Int32Array(new SharedArrayBuffer(4));
+  const worker = new Worker(path.join(__dirname, 'trigger-worker.js'), { workerData: { current: current.buffer } });
+  worker.unref();
+  const tw = { worker, current, triggers: enabledTriggers, pending: [], timer: null };
+  worker.postMessage({ type: 'triggers', triggers: enabledTriggers });
+  worker.on('message', ({ matches }) => {
+    const batch = tw.pending.shift();
+    armTriggerWatchdog(tw);
+    if (batch) handleTriggerMatches(batch.id, batch.lines, matches);
+  });
+  worker.on('exit', () => {
+    clearTimeout(tw.timer);
+    if (triggerWorker === tw) triggerWorker = null;
+  });
+  worker.on('error', () => {});
+  triggerWorker = tw;
+  return tw;
+}
+
+function armTriggerWatchdog(tw) {
+  clearTimeout(tw.timer);
+  tw.timer = tw.pending.length > 0 ? setTimeout(() => stopSlowTrigger(tw), TRIGGER_TIMEOUT_MS) : null;
+}
+
+// The worker is stuck in one pattern: drop it and turn that trigger off. Output meanwhile goes unmatched;
+// the next output starts a fresh worker.
+function stopSlowTrigger(tw) {
+  const batch = tw.pending[0];
+  const trigger = batch?.triggers[Atomics.load(tw.current, 0)];
+  tw.pending = [];
+  tw.worker.terminate();
+  if (triggerWorker === tw) triggerWorker = null;
+  if (!trigger) return;
+  outputTriggers = outputTriggers.map(t => (t.id === trigger.id ? { ...t, enabled: false } : t));
+  compileTriggers();
+  persistTriggers();
+  showTerminalNotification(batch.id, `Trigger "${trigger.name}" turned off`, 'Its pattern took too long to match. Edit it in Settings.');
+}
+
+// Directory-scoped triggers also cover subdirectories
+function triggerAppliesTo(trigger, cwd) {
+  if (!trigger.cwd) return true;
+  return cwd === trigger.cwd || cwd.startsWith(trigger.cwd.replace(/[\\/]+$/, '') + path.sep);
+}
+
+// Reply strings accept \r, \n, \t, \e and \xNN escapes
+function unescapeReply(text) {
+  return text.replace(/\\(x[0-9a-fA-F]{2}|[rnte\\])/g, (_, seq) => {
+    if (seq[0] === 'x') return String.fromCharCode(parseInt(seq.slice(1), 16));
+    return { r: '\r', n: '\n', t: '\t', e: '\x1b', '\\': '\\' }[seq];
+  });
+}
+
+function isTerminalInView(id) {
+  return Boolean(mainWindow && !mainWindow.isDestroyed() && mainWindow.isFocused() && visibleTerminalIds.includes(id));
+}
+
+// Brings the window forward and switches the viewer to a terminal
+function focusTerminal(id) {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.show();
+  mainWindow.focus();
+  mainWindow.webContents.send('focus-terminal', { id });
+}
+
+function showTerminalNotification(id, title, body) {
+  if (!Notification.isSupported()) return;
+  const notification = new Notification({ title, body });
+  notification.on('click', () => focusTerminal(id));
+  notification.show();
+}
+
+function fireTrigger(id, term, trigger, line) {
+  const now = Date.now();
+  if (now - (term.triggerCooldowns.get(trigger.id) || 0) < TRIGGER_COOLDOWN_MS) return;
+  term.triggerCooldowns.set(trigger.id, now);
+
+  switch (trigger.action) {
+    case 'reply':
+      term.pty.write(unescapeReply(trigger.reply));
+      break;
+    case 'notify':
+      if (!isTerminalInView(id)) {
+        showTerminalNotification(id, trigger.name, `${resolveDirectoryName(term.cwd)}: ${line.trim()}`);
+      }
+      break;
+    case 'highlight':
+      if (isTerminalInView(id)) break;
+      // falls through
+    default:
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('terminal-trigger', { id, action: trigger.action, name: trigger.name, line });
+      }
+  }
+}
+
+// Matches finished lines, and the unfinished one so prompts like "password:" fire too.
+// Triggers that fired on the unfinished line don't fire again once it completes.
+function checkTriggers(id, term, data) {
+  if (enabledTriggers.length === 0) return;
+  const chunks = (term.triggerLine + data).split('\n');
+  term.triggerLine = chunks.pop().slice(-TRIGGER_LINE_LIMIT);
+
+  const triggerIds = enabledTriggers.filter(trigger => triggerAppliesTo(trigger, term.cwd)).map(trigger => trigger.id);
+  const toLine = raw => toPlainLines(raw)[0].slice(0, TRIGGER_MATCH_LENGTH);
+  const lines = chunks.map(raw => ({ line: toLine(raw), final: true }));
+  if (term.triggerLine) lines.push({ line: toLine(term.triggerLine), final: false });
+  if (triggerIds.length === 0 || lines.length === 0) return;
+
+  const tw = getTriggerWorker();
+  if (tw.pending.length >= TRIGGER_MAX_PENDING) return;
+  tw.pending.push({ id, lines, triggers: tw.triggers });
+  tw.worker.postMessage({ type: 'match', lines: lines.map(l => l.line), triggerIds });
+  if (!tw.timer) armTriggerWatchdog(tw);
+}
+
+// Answers from trigger-worker.js arrive in the order the lines were sent
+function handleTriggerMatches(id, lines, matches) {
+  const term = terminals.get(id);
+  if (!term) return;
+  lines.forEach(({ line, final }, i) => {
+    for (const triggerId of matches[i]) {
+      const trigger = enabledTriggers.find(t => t.id === triggerId);
+      if (!trigger || term.triggerFired.has(triggerId)) continue;
+      term.triggerFired.add(triggerId);
+      fireTrigger(id, term, trigger, line);
+    }
+    if (final) term.triggerFired.clear();
+  });
+}
+
+// --- Activity notifications ---
+
+const ACTIVITY_IDLE_MS = 3000; // same threshold as the sidebar's active/idle border
+const DEFAULT_NOTIFY_BUSY_SECONDS = 30;
+
+// Returns { idle, exit, busySeconds } or null when both notifications are off
+function sanitizeNotify(input) {
+  if (!input || typeof input !== 'object') return null;
+  const idle = Boolean(input.idle);
+  const exit = Boolean(input.exit);
+  if (!idle && !exit) return null;
+  const seconds = Math.round(Number(input.busySeconds));
+  return { idle, exit, busySeconds: seconds > 0 ? seconds : DEFAULT_NOTIFY_BUSY_SECONDS };
+}
+
+function formatDuration(ms) {
+  const total = Math.round(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  if (h > 0) return `${h}h ${m}m`;
+  if (m > 0) return `${m}m ${s}s`;
+  return `${s}s`;
+}
+
+// Called before lastDataTime is bumped: output after a quiet spell starts a new busy period
+function trackBusy(term, now) {
+  if (!term.busySince || now - term.lastDataTime >= ACTIVITY_IDLE_MS) term.busySince = now;
+}
+
+function checkIdleNotifications() {
+  const now = Date.now();
+  for (const [id, term] of terminals) {
+    if (!term.busySince || now - term.lastDataTime < ACTIVITY_IDLE_MS) continue;
+    const busyMs = term.lastDataTime - term.busySince;
+    term.busySince = null;
+    scheduleGitRefresh(term.cwd); // a burst of output may have been a build or checkout
+    if (!term.notify?.idle || busyMs < term.notify.busySeconds * 1000 || isTerminalInView(id)) continue;
+    showTerminalNotification(id, `${resolveDirectoryName(term.cwd)} went quiet`, `Finished after ${formatDuration(busyMs)} of activity`);
+  }
+}
+
+// --- Shell integration (OSC 133 marks from shell-integration/*) ---
+
+// OSC sequences we act on: 133 (command marks) and 7 (current directory)
+const OSC_PREFIXES = ['\x1b]133;', '\x1b]7;'];
+const OSC_RE = /\x1b\](133|7);([^\x07\x1b]*)(?:\x07|\x1b\\)/g;
+const OSC_CARRY_LIMIT = 8192;
+
+// Scripts are unpacked next to app.asar in packaged builds so shells can source them
+function getShellIntegrationDir() {
+  return path.join(__dirname, 'shell-integration').replace(`app.asar${path.sep}`, `app.asar.unpacked${path.sep}`);
+}
+
+function parseCommandLine(params) {
+  const param = params.find(p => p.startsWith('cmdline_url='));
+  if (!param) return '';
+  try {
+    return decodeURIComponent(param.slice('cmdline_url='.length));
+  } catch {
+    return param.slice('cmdline_url='.length);
+  }
+}
+
+// A: prompt start, B: prompt end, C: command output starts, D;<exit>: command finished
+function handleShellMark(id, term, payload) {
+  const [kind, ...params] = payload.split(';');
+  const shell = term.shell || (term.shell = { running: null, last: null });
+  if (kind === 'C') {
+    shell.running = { command: parseCommandLine(params), startedAt: Date.now() };
+  } else if (kind === 'D' && shell.running) {
+    const exitCode = parseInt(params[0], 10);
+    shell.last = {
+      command: shell.running.command,
+      exitCode: Number.isNaN(exitCode) ? null : exitCode,
+      durationMs: Date.now() - shell.running.startedAt,
+      finishedAt: Date.now(),
+    };
+    recordCommand(term.cwd, {
+      command: shell.last.command,
+      startedAt: shell.running.startedAt,
+      durationMs: shell.last.durationMs,
+      exitCode: shell.last.exitCode,
+    });
+    shell.running = null;
+    // Working tree edits don't touch the git dir, so re-check after each command
+    scheduleGitRefresh(term.cwd);
+  } else {
+    return;
+  }
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('terminal-command', { id, shell });
+  }
+}
+
+// Sequences can be split across chunks, so an unfinished one is carried to the next
+function parseOscSequences(id, term, data) {
+  if (!term.oscCarry && !data.includes('\x1b')) return;
+  const text = term.oscCarry + data;
+  term.oscCarry = '';
+
+  let end = 0;
+  for (const match of text.matchAll(OSC_RE)) {
+    if (match[1] === '133') {
+      handleShellMark(id, term, match[2]);
+    } else {
+      handleCwdReport(id, term, match[2]);
+    }
+    end = match.index + match[0].length;
+  }
+
+  const rest = text.slice(end);
+  for (const prefix of OSC_PREFIXES) {
+    const start = rest.lastIndexOf(prefix);
+    if (start >= 0 && !/\x07|\x1b\\/.test(rest.slice(start))) {
+      term.oscCarry = rest.slice(start, start + OSC_CARRY_LIMIT);
+      return;
+    }
+  }
+  // The chunk may end partway through a prefix itself
+  for (let len = Math.min(OSC_PREFIXES[0].length - 1, rest.length); len > 0; len--) {
+    const tail = rest.slice(-len);
+    if (OSC_PREFIXES.some(prefix => prefix.startsWith(tail))) {
+      term.oscCarry = tail;
+      return;
+    }
+  }
+}
+
+// --- Live working directory (OSC 7, with /proc/<pid>/cwd as a Linux fallback) ---
+
+const CWD_POLL_MS = 2000;
+
+// Moves a terminal to the directory its shell is in; names, favorites and saved
+// sessions all key off term.cwd, so they follow along
+function setTerminalCwd(id, term, cwd) {
+  if (!cwd || cwd === term.cwd || terminals.get(id) !== term) return;
+  term.cwd = cwd;
+  persistTerminals();
+  syncGitWatches();
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('terminal-cwd', { id, cwd, title: resolveDirectoryName(cwd) });
+  }
+}
+
+// OSC 7 payload: file://host/path, percent-encoded
+async function handleCwdReport(id, term, payload) {
+  let url;
+  try {
+    url = new URL(payload);
+  } catch {
+    return;
+  }
+  if (url.protocol !== 'file:') return;
+  // In a remote terminal the path is on the remote host; it moves the ssh location
+  const remote = parseRemoteLocation(term.cwd);
+  if (remote) {
+    term.cwdFromOsc = true;
+    setTerminalCwd(id, term, formatRemoteLocation({ ...remote, dir: decodeURIComponent(url.pathname) }));
+    return;
+  }
+  // A shell on another machine (e.g. over ssh) reports paths that don't exist here
+  if (url.hostname && url.hostname !== 'localhost' && url.hostname.toLowerCase() !== os.hostname().toLowerCase()) return;
+
+  let cwd = decodeURIComponent(url.pathname);
+  if (process.platform === 'win32') cwd = cwd.replace(/^\/([A-Za-z]:)/, '$1').replace(/\//g, '\\');
+  term.cwdFromOsc = true;
+  try {
+    if (!(await fs.promises.stat(cwd)).isDirectory()) return;
+  } catch {
+    return;
+  }
+  setTerminalCwd(id, term, cwd);
+}
+
+// Shells without OSC 7 support: ask the kernel where the shell process is
+async function pollProcessCwds() {
+  for (const [id, term] of terminals) {
+    // The local ssh process says nothing about the remote directory
+    if (term.cwdFromOsc || parseRemoteLocation(term.cwd)) continue;
+    try {
+      setTerminalCwd(id, term, await fs.promises.readlink(`/proc/${term.pty.pid}/cwd`));
+    } catch {
+      // process gone or not readable
+    }
+  }
+}
+
+// --- Git status (per directory; refreshed by watching the git dir, not by polling) ---
+
+const GIT_TIMEOUT_MS = 5000;
+const GIT_REFRESH_DEBOUNCE_MS = 300;
+// Files in the git dir whose change means branch, staging or upstream state moved
+const GIT_WATCHED_FILES = new Set(['HEAD', 'index', 'FETCH_HEAD', 'ORIG_HEAD', 'MERGE_HEAD', 'packed-refs']);
+
+const gitWatches = new Map(); // cwd -> { status, watcher, timer, running, queued }
+
+function runGit(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024, windowsHide: true }, (err, stdout) => {
+      if (err) reject(err);
+      else resolve(stdout);
+    });
+  });
+}
+
+// `git status --porcelain=v2 --branch`: '#' headers carry the branch and ahead/behind,
+// every other line is a changed or untracked path
+function parseGitStatus(output) {
+  const status = { branch: null, detached: false, dirty: false, changes: 0, upstream: false, ahead: 0, behind: 0 };
+  let oid = '';
+  for (const line of output.split('\n')) {
+    if (!line) continue;
+    if (line.startsWith('# branch.oid ')) {
+      oid = line.slice('# branch.oid '.length);
+    } else if (line.startsWith('# branch.head ')) {
+      status.branch = line.slice('# branch.head '.length);
+    } else if (line.startsWith('# branch.upstream ')) {
+      status.upstream = true;
+    } else if (line.startsWith('# branch.ab ')) {
+      const match = /\+(\d+) -(\d+)/.exec(line);
+      if (match) {
+        status.ahead = Number(match[1]);
+        status.behind = Number(match[2]);
+      }
+    } else if (!line.startsWith('#')) {
+      status.changes++;
+    }
+  }
+  if (status.branch === '(detached)') {
+    status.detached = true;
+    status.branch = oid.slice(0, 7);
+  }
+  status.dirty = status.changes > 0;
+  return status;
+}
+
+function sendGitStatus(cwd, status) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('git-status', { cwd, git: status });
+  }
+}
+
+// Starts watching the git dir the first time a directory turns out to be in a repo.
+// Watching the directory rather than the files survives git replacing index/HEAD via rename.
+async function watchGitDir(cwd, entry) {
+  let gitDir;
+  try {
+    gitDir = (await runGit(cwd, ['rev-parse', '--absolute-git-dir'])).trim();
+  } catch {
+    return;
+  }
+  if (gitWatches.get(cwd) !== entry || entry.watcher) return;
+  try {
+    entry.watcher = fs.watch(gitDir, (_event, filename) => {
+      if (!filename || GIT_WATCHED_FILES.has(filename.toString())) scheduleGitRefresh(cwd);
+    });
+    entry.watcher.on('error', () => {
+      entry.watcher?.close();
+      entry.watcher = null;
+    });
+  } catch {
+    entry.watcher = null;
+  }
+}
+
+async function refreshGitStatus(cwd) {
+  const entry = gitWatches.get(cwd);
+  if (!entry) return;
+  if (entry.running) {
+    entry.queued = true;
+    return;
+  }
+  entry.running = true;
+  let status = null;
+  try {
+    // --no-optional-locks keeps status from rewriting the index we are watching
+    status = parseGitStatus(await runGit(cwd, ['--no-optional-locks', 'status', '--porcelain=v2', '--branch']));
+  } catch {
+    // not a repository, or git is missing
+  }
+  entry.running = false;
+  if (gitWatches.get(cwd) !== entry) return;
+
+  if (status && !entry.watcher) watchGitDir(cwd, entry);
+  if (JSON.stringify(status) !== JSON.stringify(entry.status)) {
+    entry.status = status;
+    sendGitStatus(cwd, status);
+  }
+  if (entry.queued) {
+    entry.queued = false;
+    scheduleGitRefresh(cwd);
+  }
+}
+
+function scheduleGitRefresh(cwd) {
+  const entry = gitWatches.get(cwd);
+  if (!entry) return;
+  clearTimeout(entry.timer);
+  entry.timer = setTimeout(() => {
+    entry.timer = null;
+    refreshGitStatus(cwd);
+  }, GIT_REFRESH_DEBOUNCE_MS);
+}
+
+function getGitStatus(cwd) {
+  return gitWatches.get(cwd)?.status || null;
+}
+
+// Keeps one watch per directory that a live terminal or favorite points at
+function syncGitWatches() {
+  const wanted = new Set([...[...terminals.values()].map(term => term.cwd), ...favorites.map(f => f.cwd)]);
+  for (const cwd of wanted) {
+    if (parseRemoteLocation(cwd)) wanted.delete(cwd);
+  }
+  for (const [cwd, entry] of gitWatches) {
+    if (wanted.has(cwd)) continue;
+    clearTimeout(entry.timer);
+    entry.watcher?.close();
+    gitWatches.delete(cwd);
+  }
+  for (const cwd of wanted) {
+    if (gitWatches.has(cwd)) continue;
+    gitWatches.set(cwd, { status: null, watcher: null, timer: null, running: false, queued: false });
+    refreshGitStatus(cwd);
+  }
+}
+
+// --- Command history ---
+
+const MAX_HISTORY_PER_DIR = 500;
+const INPUT_LINE_LIMIT = 4096;
+
+function getCommandHistoryPath() {
+  return path.join(app.getPath('userData'), 'command-history.json');
+}
+
+function loadCommandHistory() {
+  try {
+    const data = fs.readFileSync(getCommandHistoryPath(), 'utf-8');
+    const parsed = JSON.parse(data);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+let persistHistoryTimer = null;
+function persistCommandHistory() {
+  if (persistHistoryTimer) clearTimeout(persistHistoryTimer);
+  persistHistoryTimer = setTimeout(async () => {
+    persistHistoryTimer = null;
+    try {
+      await fs.promises.writeFile(getCommandHistoryPath(), JSON.stringify(commandHistory));
+    } catch {
+      // best-effort persistence
+    }
+  }, 500);
+}
+
+function recordCommand(cwd, entry) {
+  const command = entry.command.trim();
+  if (!cwd || !command) return;
+  const list = commandHistory[cwd] || (commandHistory[cwd] = []);
+  list.push({ ...entry, command });
+  if (list.length > MAX_HISTORY_PER_DIR) list.splice(0, list.length - MAX_HISTORY_PER_DIR);
+  persistCommandHistory();
+}
+
+// Fallback for shells without integration: rebuild the typed line from keystrokes.
+// Lines edited with cursor keys or recalled from shell history can't be known, so
+// they are dropped rather than recorded wrong.
+function trackInputLine(term, data) {
+  if (term.shell || term.altScreen) return;
+  for (let i = 0; i < data.length; i++) {
+    const ch = data[i];
+    if (ch === '\r') {
+      const line = term.inputLine;
+      const usable = !term.inputDirty && line.trim();
+      term.inputLine = '';
+      term.inputDirty = false;
+      // Only keep lines the shell echoed back, so passwords typed at prompts stay out
+      if (usable && toPlainLines(term.tailBuffer).some(l => l.includes(line.trim()))) {
+        recordCommand(term.cwd, { command: line, startedAt: Date.now(), durationMs: null, exitCode: null });
+        term.lastCommand = line.trim();
+      }
+    } else if (ch === '\x7f' || ch === '\b') {
+      term.inputLine = term.inputLine.slice(0, -1);
+    } else if (ch === '\x03' || ch === '\x15') {
+      // Ctrl+C / Ctrl+U discard the line
+      term.inputLine = '';
+      term.inputDirty = false;
+    } else if (ch === '\x1b') {
+      term.inputDirty = true;
+      // Skip the rest of the escape sequence (arrow keys and the like)
+      const match = /^\x1b(?:\[[0-?]*[ -/]*[@-~]|O.|.)?/.exec(data.slice(i));
+      i += match[0].length - 1;
+    } else if (ch === '\t' || ch < ' ') {
+      // Tab completion and other control keys change the line in ways we can't see
+      term.inputDirty = true;
+    } else {
+      term.inputLine = (term.inputLine + ch).slice(-INPUT_LINE_LIMIT);
+    }
+  }
+}
+
+// Full-screen programs switch to the alternate screen; their keystrokes aren't commands
+function trackAltScreen(term, data) {
+  if (!data.includes('\x1b[?1049')) return;
+  const enter = data.lastIndexOf('\x1b[?1049h');
+  const leave = data.lastIndexOf('\x1b[?1049l');
+  if (enter !== leave) term.altScreen = enter > leave;
+}
+
+// --- Session recording (asciicast v2) ---
+
+const RECORDING_FLUSH_MS = 250;
+
+function getRecordingsDir() {
+  return path.join(app.getPath('userData'), 'recordings');
+}
+
+function startRecording(id) {
+  const term = terminals.get(id);
+  if (!term || term.recording) return null;
+  const dir = getRecordingsDir();
+  fs.mkdirSync(dir, { recursive: true });
+  const title = resolveDirectoryName(term.cwd);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filePath = path.join(dir, `${title.replace(/[^\w.-]+/g, '_')}-${stamp}.cast`);
+  const startedAt = Date.now();
+  const header = {
+    version: 2,
+    width: term.cols,
+    height: term.rows,
+    timestamp: Math.floor(startedAt / 1000),
+    title,
+    env: { SHELL: resolveProfile(term.profileId).command, TERM: 'xterm-256color' },
+  };
+  term.recording = { fd: fs.openSync(filePath, 'w'), path: filePath, startedAt, pending: JSON.stringify(header) + '\n', flushTimer: null };
+  flushRecording(term.recording);
+  return filePath;
+}
+
+// Events are batched so busy terminals don't cost a write per chunk
+function recordEvent(recording, code, data) {
+  const time = Math.round((Date.now() - recording.startedAt) * 1000) / 1e6;
+  recording.pending += JSON.stringify([time, code, data]) + '\n';
+  if (!recording.flushTimer) {
+    recording.flushTimer = setTimeout(() => flushRecording(recording), RECORDING_FLUSH_MS);
+  }
+}
+
+function flushRecording(recording) {
+  if (recording.flushTimer) clearTimeout(recording.flushTimer);
+  recording.flushTimer = null;
+  if (!recording.pending) return;
+  try {
+    fs.writeSync(recording.fd, recording.pending);
+  } catch {
+    // best-effort: a full disk shouldn't take the terminal down
+  }
+  recording.pending = '';
+}
+
+function stopRecording(term) {
+  const recording = term?.recording;
+  if (!recording) return null;
+  term.recording = null;
+  flushRecording(recording);
+  try {
+    fs.closeSync(recording.fd);
+  } catch {
+    // already closed
+  }
+  return recording.path;
+}
+
+// --- Terminal env vars ---
+
+function getTerminalEnv(terminalName, profileEnv) {
+  const env = { ...process.env, ...profileEnv };
+  // Lets rc files source the integration script without hard-coding the install path
+  env.TERM_PARTY_SHELL_INTEGRATION = getShellIntegrationDir();
+  // Where scripts find the control API's address and token
+  env.TERM_PARTY_API = getControlApiInfoPath();
+  if (terminalName) {
+    env.TERM_PARTY_NAME = terminalName;
+  }
+  return env;
+}
+
+// --- PTY daemon (pty-daemon.js owns the shells so they outlive the window) ---
+
+const DAEMON_PROTOCOL_VERSION = 1;
+const DAEMON_CONNECT_ATTEMPTS = 50; // 100ms apart while a freshly started daemon comes up
+
+let ptyDaemon = null; // { socket, send, request } while connected; null runs PTYs in-process
+let quitting = false; // PTYs are going away with the app, so their exits aren't terminal exits
+let reattaching = false;
+const daemonPtys = new Map(); // key -> handle from createDaemonPty
+const unclaimedDaemonEvents = new Map(); // key -> events that arrived before the reattach claimed the key
+
+function getDaemonSocketPath() {
+  if (process.platform === 'win32') return `\\\\.\\pipe\\term-party-${os.userInfo().username}`;
+  return path.join(app.getPath('userData'), 'pty-daemon.sock');
+}
+
+function connectSocket(socketPath) {
+  return new Promise((resolve) => {
+    const socket = net.connect(socketPath);
+    socket.once('connect', () => resolve(socket));
+    socket.once('error', () => resolve(null));
+  });
+}
+
+function isValidTerminalSize(cols, rows) {
+  return Number.isInteger(cols) && Number.isInteger(rows) && cols > 0 && rows > 0;
+}
+
+// Stands in for a node-pty IPty whose process lives in the daemon
+function createDaemonPty(key, pid) {
+  const dataListeners = [];
+  const exitListeners = [];
+  // Events can beat the listeners when reattaching; hold them until someone is listening
+  const queued = unclaimedDaemonEvents.get(key) || [];
+  unclaimedDaemonEvents.delete(key);
+
+  const handle = {
+    pid,
+    processName: null,
+    get process() {
+      return handle.processName;
+    },
+    write(data) {
+      ptyDaemon?.send({ type: 'write', key, data });
+    },
+    resize(cols, rows) {
+      if (isValidTerminalSize(cols, rows)) ptyDaemon?.send({ type: 'resize', key, cols, rows });
+    },
+    kill(signal) {
+      ptyDaemon?.send({ type: 'kill', key, signal });
+    },
+    onData(listener) {
+      dataListeners.push(listener);
+      for (const event of queued.filter(e => e.type === 'data')) listener(event.data);
+    },
+    onExit(listener) {
+      exitListeners.push(listener);
+      const exit = queued.find(e => e.type === 'exit');
+      if (exit) handle.emitExit(exit);
+    },
+    emitData(data) {
+      for (const listener of dataListeners) listener(data);
+    },
+    emitExit({ exitCode, signal }) {
+      daemonPtys.delete(key);
+      // The daemon holds on to the exit until we confirm it, in case this window goes away first
+      ptyDaemon?.send({ type: 'ack-exit', key });
+      for (const listener of exitListeners) listener({ exitCode, signal });
+    },
+  };
+  daemonPtys.set(key, handle);
+  return handle;
+}
+
+function handleDaemonMessage(message, pendingReplies) {
+  if (message.type === 'reply') {
+    const pending = pendingReplies.get(message.id);
+    if (!pending) return;
+    pendingReplies.delete(message.id);
+    if (message.error) pending.reject(new Error(message.error));
+    else pending.resolve(message.result);
+    return;
+  }
+  const handle = daemonPtys.get(message.key);
+  if (!handle) {
+    if (reattaching) {
+      if (!unclaimedDaemonEvents.has(message.key)) unclaimedDaemonEvents.set(message.key, []);
+      unclaimedDaemonEvents.get(message.key).push(message);
+    } else if (message.type === 'exit') {
+      ptyDaemon?.send({ type: 'ack-exit', key: message.key });
+    }
+    return;
+  }
+  if (message.type === 'data') handle.emitData(message.data);
+  else if (message.type === 'exit') handle.emitExit(message);
+  else if (message.type === 'process') handle.processName = message.name;
+}
+
+function createDaemonClient(socket) {
+  const pendingReplies = new Map(); // request id -> { resolve, reject }
+  let nextRequestId = 1;
+  let pending = '';
+
+  socket.setEncoding('utf-8');
+  socket.on('data', (chunk) => {
+    pending += chunk;
+    let newline;
+    while ((newline = pending.indexOf('\n')) >= 0) {
+      const line = pending.slice(0, newline);
+      pending = pending.slice(newline + 1);
+      try {
+        handleDaemonMessage(JSON.parse(line), pendingReplies);
+      } catch (err) {
+        console.warn('Bad message from PTY daemon:', err.message);
+      }
+    }
+  });
+  socket.on('error', () => {});
+  // The daemon went away: its shells are gone, and new ones run in-process from here on
+  socket.on('close', () => {
+    if (ptyDaemon?.socket === socket) ptyDaemon = null;
+    for (const { reject } of pendingReplies.values()) reject(new Error('PTY daemon disconnected'));
+    pendingReplies.clear();
+    if (quitting) return;
+    for (const handle of [...daemonPtys.values()]) handle.emitExit({ exitCode: -1 });
+  });
+
+  const client = {
+    socket,
+    send(message) {
+      if (!socket.destroyed) socket.write(JSON.stringify(message) + '\n');
+    },
+    request(type, payload = {}) {
+      return new Promise((resolve, reject) => {
+        const id = nextRequestId++;
+        pendingReplies.set(id, { resolve, reject });
+        client.send({ ...payload, type, id });
+      });
+    },
+  };
+  return client;
+}
+
+// Connects to a running daemon, starting one if needed; stays null if that fails
+async function connectPtyDaemon() {
+  if (process.env.TERM_PARTY_NO_DAEMON) return;
+  const socketPath = getDaemonSocketPath();
+  let socket = await connectSocket(socketPath);
+  if (!socket) {
+    const child = spawn(process.execPath, [path.join(__dirname, 'pty-daemon.js'), socketPath], {
+      detached: true,
+      stdio: 'ignore',
+      cwd: os.homedir(),
+      env: { ...process.env, ELECTRON_RUN_AS_NODE: '1' },
+    });
+    child.unref();
+    for (let attempt = 0; attempt < DAEMON_CONNECT_ATTEMPTS && !socket; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      socket = await connectSocket(socketPath);
+    }
+  }
+  if (!socket) {
+    console.warn('PTY daemon unavailable; terminals will close with the app');
+    return;
+  }
+
+  ptyDaemon = createDaemonClient(socket);
+  try {
+    const { version } = await ptyDaemon.request('hello');
+    if (version !== DAEMON_PROTOCOL_VERSION) throw new Error(`protocol version ${version}, expected ${DAEMON_PROTOCOL_VERSION}`);
+  } catch (err) {
+    console.warn('PTY daemon unusable:', err.message);
+    ptyDaemon = null;
+    socket.destroy();
+  }
+}
+
+// Same shape as node-pty's spawn; goes through the daemon when one is connected
+function spawnPty(file, args, options, meta) {
+  if (!ptyDaemon) return pty.spawn(file, args, options);
+  const key = crypto.randomUUID();
+  const handle = createDaemonPty(key, null);
+  ptyDaemon.request('spawn', { key, command: file, args, cwd: options.cwd, env: options.env, cols: options.cols, rows: options.rows, meta })
+    .then(({ pid }) => {
+      handle.pid = pid;
+    })
+    .catch(() => {
+      // e.g. the directory is gone; in-process spawning would have thrown
+      if (daemonPtys.get(key) === handle) handle.emitExit({ exitCode: -1 });
+    });
+  return handle;
+}
+
+// Picks up the shells a previous run left with the daemon, in saved sidebar order,
+// replaying the output the daemon buffered for each
+async function reattachDaemonTerminals() {
+  reattaching = true;
+  let list = [];
+  try {
+    list = await ptyDaemon.request('list');
+  } catch {
+    // daemon went away; nothing to reattach
+  }
+  const sessionOrder = savedTerminals.map(g => g.sessionId);
+  list.sort((a, b) => {
+    const ai = sessionOrder.indexOf(a.meta.sessionId);
+    const bi = sessionOrder.indexOf(b.meta.sessionId);
+    return (ai < 0 ? Infinity : ai) - (bi < 0 ? Infinity : bi);
+  });
+
+  for (const info of list) {
+    // Exited while no window was attached (or before it saw the exit): log it in the exit history;
+    // its saved session stays restorable as a ghost
+    if (info.exit) {
+      recordExit(null, {
+        cwd: info.meta.cwd,
+        profileId: info.meta.profileId,
+        startedAt: info.meta.startedAt || info.exit.at,
+        shell: null,
+        lastCommand: null,
+        scrollback: info.buffer,
+      }, info.exit.exitCode, info.exit.at);
+      continue;
+    }
+    const ghostIndex = savedTerminals.findIndex(g => g.sessionId && g.sessionId === info.meta.sessionId);
+    const ghost = ghostIndex >= 0
+      ? savedTerminals.splice(ghostIndex, 1)[0]
+      : { cwd: info.meta.cwd, profileId: info.meta.profileId, sessionId: info.meta.sessionId };
+    const { id } = spawnTerminal({
+      ...ghost,
+      history: info.buffer,
+      attach: { pty: createDaemonPty(info.key, info.pid), cols: info.cols, rows: info.rows },
+    });
+    layouts = mapLayouts(leaf => (ghost.sessionId && leaf.sessionId === ghost.sessionId ? { id } : leaf));
+  }
+  reattaching = false;
+  unclaimedDaemonEvents.clear();
+}
+
+// --- tmux (control mode: each tmux window is a terminal with its own xterm) ---
+
+const TMUX_SEND_CHUNK = 256; // bytes of input per send-keys command
+const TMUX_HISTORY_LINES = 1000; // captured into the xterm when a window is attached
+const TMUX_WINDOW_FORMAT = '#{window_id}\t#{pane_id}\t#{pane_pid}\t#{window_index}\t#{window_name}\t#{pane_current_path}';
+
+const tmuxClients = new Map(); // tmux session name -> control client from createTmuxClient
+
+// Windows are reported by their active pane; other panes of a split tmux window aren't shown
+function parseTmuxWindow(fields) {
+  const [windowId, paneId, pid, index, name, cwd] = fields;
+  return { windowId, paneId, pid: Number(pid), index: Number(index), name, cwd };
+}
+
+function parseTmuxWindows(output) {
+  return output.split('\n').filter(Boolean).map(line => parseTmuxWindow(line.split('\t')));
+}
+
+// Sessions and windows on the default tmux server; empty when tmux isn't installed or running
+async function listTmuxSessions() {
+  if (process.platform === 'win32') return [];
+  let sessionsOut;
+  let windowsOut;
+  try {
+    sessionsOut = await runCommand('tmux', ['list-sessions', '-F', '#{session_name}\t#{session_attached}']);
+    windowsOut = await runCommand('tmux', ['list-windows', '-a', '-F', `#{session_name}\t${TMUX_WINDOW_FORMAT}`]);
+  } catch {
+    return [];
+  }
+  const attachedWindows = new Set([...terminals.values()].map(t => t.tmux?.windowId).filter(Boolean));
+  const sessions = sessionsOut.split('\n').filter(Boolean).map((line) => {
+    const [name, attached] = line.split('\t');
+    return { name, attachedClients: Number(attached) || 0, windows: [] };
+  });
+  for (const line of windowsOut.split('\n').filter(Boolean)) {
+    const [sessionName, ...fields] = line.split('\t');
+    const window = parseTmuxWindow(fields);
+    sessions.find(s => s.name === sessionName)?.windows.push({
+      windowId: window.windowId,
+      index: window.index,
+      name: window.name,
+      cwd: window.cwd,
+      attached: attachedWindows.has(window.windowId),
+    });
+  }
+  return sessions;
+}
+
+function splitFirstWord(text) {
+  const space = text.indexOf(' ');
+  return space < 0 ? [text, ''] : [text.slice(0, space), text.slice(space + 1)];
+}
+
+// %output payloads escape control characters and backslashes as \ooo octal
+function decodeTmuxOutput(text) {
+  return Buffer.from(text.replace(/\\([0-7]{3})/g, (_, octal) => String.fromCharCode(parseInt(octal, 8))), 'latin1');
+}
+
+function handleTmuxLine(client, rawLine) {
+  // -CC wraps the whole stream in a DCS sequence
+  const line = rawLine.replace(/^\x1bP1000p/, '').replace(/^\x1b\\/, '');
+
+  if (client.block) {
+    if (!/^%(end|error) /.test(line)) {
+      client.block.lines.push(Buffer.from(line, 'latin1').toString('utf-8'));
+      return;
+    }
+    const { reply, lines } = client.block;
+    client.block = null;
+    if (!reply) return;
+    if (line.startsWith('%end')) reply.resolve(lines);
+    else reply.reject(new Error(lines.join('\n') || 'tmux command failed'));
+    return;
+  }
+
+  // Notifications look like "%type first rest"
+  const [type, args] = splitFirstWord(line);
+  const [first, rest] = splitFirstWord(args);
+  switch (type) {
+    case '%begin':
+      // "%begin time number flags": flag 1 marks commands this client sent, not the attach itself
+      client.block = { lines: [], reply: Number(rest.split(' ')[1]) & 1 ? client.replies.shift() : null };
+      break;
+    case '%output':
+      for (const handle of client.windows.values()) {
+        if (handle.paneId === first) handle.emitData(decodeTmuxOutput(rest));
+      }
+      break;
+    case '%window-pane-changed':
+      if (client.windows.has(first)) client.windows.get(first).paneId = rest;
+      break;
+    case '%window-close':
+    case '%unlinked-window-close':
+      client.windows.get(first)?.emitExit({ exitCode: 0 });
+      break;
+  }
+}
+
+function createTmuxClient(session) {
+  const proc = pty.spawn('tmux', ['-CC', 'attach-session', '-t', `=${session}`], {
+    name: 'xterm-256color',
+    cols: 80,
+    rows: 24,
+    cwd: os.homedir(),
+    env: process.env,
+    encoding: null,
+  });
+  const client = { session, proc, windows: new Map(), replies: [], block: null, exited: false };
+  let pending = '';
+
+  proc.onData((chunk) => {
+    pending += Buffer.from(chunk).toString('latin1');
+    let newline;
+    while ((newline = pending.indexOf('\n')) >= 0) {
+      const line = pending.slice(0, newline).replace(/\r$/, '');
+      pending = pending.slice(newline + 1);
+      handleTmuxLine(client, line);
+    }
+  });
+  // The session was killed, or the client detached; its windows are gone from here
+  proc.onExit(() => {
+    client.exited = true;
+    if (tmuxClients.get(session) === client) tmuxClients.delete(session);
+    for (const { reject } of client.replies) reject(new Error('tmux client exited'));
+    client.replies = [];
+    if (quitting) return;
+    for (const handle of [...client.windows.values()]) handle.emitExit({ exitCode: 0 });
+  });
+
+  client.command = (command) => new Promise((resolve, reject) => {
+    client.replies.push({ resolve, reject });
+    proc.write(command + '\n');
+  });
+  client.send = (command) => {
+    client.command(command).catch(() => {});
+  };
+  tmuxClients.set(session, client);
+  return client;
+}
+
+// Stands in for a node-pty IPty; input goes in with send-keys, output comes from %output
+function createTmuxPty(client, window) {
+  const dataListeners = [];
+  const exitListeners = [];
+  const decoder = new StringDecoder('utf8');
+  // Output until the capture below lands is already part of the captured screen
+  let capturing = true;
+
+  const handle = {
+    pid: window.pid,
+    paneId: window.paneId,
+    process: null,
+    tmux: { session: client.session, windowId: window.windowId },
+    write(data) {
+      const bytes = Buffer.from(data, 'utf-8');
+      for (let i = 0; i < bytes.length; i += TMUX_SEND_CHUNK) {
+        const hex = [...bytes.subarray(i, i + TMUX_SEND_CHUNK)].map(b => b.toString(16).padStart(2, '0')).join(' ');
+        client.send(`send-keys -t ${handle.paneId} -H ${hex}`);
+      }
+    },
+    resize(cols, rows) {
+      client.send(`resize-window -t ${window.windowId} -x ${cols} -y ${rows}`);
+    },
+    kill() {
+      client.send(`kill-window -t ${window.windowId}`);
+    },
+    onData(listener) {
+      dataListeners.push(listener);
+    },
+    onExit(listener) {
+      exitListeners.push(listener);
+    },
+    emitData(bytes) {
+      if (capturing) return;
+      const text = decoder.write(bytes);
+      if (text) for (const listener of dataListeners) listener(text);
+    },
+    emitExit({ exitCode }) {
+      if (client.windows.get(window.windowId) !== handle) return;
+      client.windows.delete(window.windowId);
+      for (const listener of exitListeners) listener({ exitCode });
+      // Nothing left to show from this session; detach and leave it to tmux
+      if (client.windows.size === 0 && !client.exited) client.proc.kill();
+    },
+  };
+  client.windows.set(window.windowId, handle);
+
+  // Resolves once the window's current screen and recent history have been emitted
+  handle.ready = Promise.all([
+    client.command(`capture-pane -p -e -t ${window.paneId} -S -${TMUX_HISTORY_LINES}`),
+    client.command(`display-message -p -t ${window.paneId} '#{cursor_x} #{cursor_y}'`),
+  ]).then(([lines, [cursor]]) => {
+    capturing = false;
+    const [x, y] = cursor.split(' ').map(Number);
+    const text = `${lines.join('\r\n')}\x1b[${y + 1};${x + 1}H`;
+    for (const listener of dataListeners) listener(text);
+  }).catch(() => {
+    capturing = false;
+  });
+  return handle;
+}
+
+// `target.windowId` if it still exists, otherwise a new window running `file` in the
+// session, creating the session when needed
+async function openTmuxWindow(target, file, args, options) {
+  let windows = [];
+  try {
+    windows = parseTmuxWindows(await runCommand('tmux', ['list-windows', '-t', `=${target.session}`, '-F', TMUX_WINDOW_FORMAT]));
+  } catch {
+    // no such session yet
+  }
+  const existing = windows.find(w => w.windowId === target.windowId);
+  if (existing) return existing;
+  // tmux's server has its own environment; pass along what term-party adds
+  const envArgs = Object.entries(options.env)
+    .filter(([key, value]) => process.env[key] !== value)
+    .flatMap(([key, value]) => ['-e', `${key}=${value}`]);
+  const create = windows.length > 0
+    ? ['new-window', '-d', '-t', `=${target.session}:`]
+    : ['new-session', '-d', '-s', target.session, '-x', String(options.cols), '-y', String(options.rows)];
+  const output = await runCommand('tmux', [...create, '-c', options.cwd, ...envArgs, '-P', '-F', TMUX_WINDOW_FORMAT, '--', file, ...args]);
+  const [window] = parseTmuxWindows(output);
+  if (!window?.windowId) throw new Error('tmux did not report the new window');
+  return window;
+}
+
+// Like spawnPty with the daemon, hands back a stand-in right away and finds or creates the
+// window in the background, forwarding to its createTmuxPty handle once there is one.
+// handle.tmux is filled in then too; spawnTerminal keeps that same object as term.tmux.
+function spawnTmuxPty(target, file, args, options) {
+  const dataListeners = [];
+  const exitListeners = [];
+  let window = null; // the createTmuxPty handle
+  let pendingInput = '';
+  let size = { cols: options.cols, rows: options.rows };
+  let killed = false;
+
+  const handle = {
+    pid: null,
+    tmux: { session: target.session, windowId: target.windowId || null },
+    get process() {
+      return window?.process ?? null;
+    },
+    write(data) {
+      if (window) window.write(data);
+      else pendingInput += data;
+    },
+    resize(cols, rows) {
+      size = { cols, rows };
+      window?.resize(cols, rows);
+    },
+    kill() {
+      if (window) window.kill();
+      else killed = true;
+    },
+    onData(listener) {
+      dataListeners.push(listener);
+    },
+    onExit(listener) {
+      exitListeners.push(listener);
+    },
+  };
+
+  // Resolves once the window's current screen has been emitted, as createTmuxPty's does
+  handle.ready = openTmuxWindow(target, file, args, options).then((info) => {
+    const client = tmuxClients.get(target.session) || createTmuxClient(target.session);
+    window = client.windows.get(info.windowId) || createTmuxPty(client, info);
+    handle.pid = window.pid;
+    handle.tmux.windowId = info.windowId;
+    window.onData((data) => {
+      for (const listener of dataListeners) listener(data);
+    });
+    window.onExit((event) => {
+      for (const listener of exitListeners) listener(event);
+    });
+    window.resize(size.cols, size.rows);
+    if (pendingInput) window.write(pendingInput);
+    if (killed) window.kill();
+    return window.ready;
+  }).catch(() => {
+    // tmux missing or failing; in-process spawning would have thrown
+    for (const listener of exitListeners) listener({ exitCode: -1 });
+  });
+  return handle;
+}
+
+// Opens every window of a tmux session not already shown as a terminal; windows saved
+// as ghosts from an earlier attach get their sessionId (and split layouts) back
+async function attachTmuxSession(session) {
+  const windows = parseTmuxWindows(await runCommand('tmux', ['list-windows', '-t', `=${session}`, '-F', TMUX_WINDOW_FORMAT]));
+  const attachedWindows = new Set([...terminals.values()].map(t => t.tmux?.windowId).filter(Boolean));
+  const results = [];
+  for (const window of windows) {
+    if (attachedWindows.has(window.windowId)) continue;
+    const ghostIndex = savedTerminals.findIndex(g => g.tmux?.windowId === window.windowId);
+    const ghost = ghostIndex >= 0 ? savedTerminals.splice(ghostIndex, 1)[0] : {};
+    const info = spawnTerminal({ ...ghost, cwd: window.cwd || ghost.cwd, tmux: { session, windowId: window.windowId } });
+    if (ghost.sessionId) {
+      deleteScrollback(ghost.sessionId);
+      layouts = mapLayouts(leaf => (leaf.sessionId === ghost.sessionId ? { id: info.id } : leaf));
+    }
+    results.push({ ...info, tmuxWindowId: window.windowId });
+  }
+  await Promise.all(results.map(info => terminals.get(info.id)?.pty.ready));
+  return results.map(info => ({ ...info, history: terminals.get(info.id)?.scrollback || '' }));
+}
+
+// --- Control API (localhost HTTP for scripts; control-api.json holds the URL and token) ---
+//
+//   GET    /terminals                       list (?workspace=<id>)
+//   POST   /terminals                       create { cwd, command, profileId, name, workspaceId }
+//   GET    /terminals/<id>                  one terminal
+//   POST   /terminals/<id>/input            { data }
+//   GET    /terminals/<id>/output           recent output (?scrollback=1 for all of it, ?plain=1 without escapes)
+//   POST   /terminals/<id>/rename           { name }
+//   DELETE /terminals/<id>                  kill
+//   GET    /events                          server-sent data and exit events (?id=1,2 to filter)
+//
+// Requests need "Authorization: Bearer <token>" or ?token=<token>.
+
+const CONTROL_API_HOST = '127.0.0.1';
+const CONTROL_BODY_LIMIT = 1024 * 1024;
+const CONTROL_MAX_BUFFERED = 4 * 1024 * 1024; // an event subscriber this far behind is dropped
+
+let controlServer = null;
+let controlToken = null;
+const controlSubscribers = new Set(); // { res, ids } — ids is null for every terminal
+
+function getControlApiInfoPath() {
+  return path.join(app.getPath('userData'), 'control-api.json');
+}
+
+function publishControlEvent(type, payload) {
+  for (const subscriber of controlSubscribers) {
+    if (subscriber.ids && !subscriber.ids.has(payload.id)) continue;
+    if (subscriber.res.writableLength > CONTROL_MAX_BUFFERED) {
+      // Stalled reader; it can reconnect and catch up from /output
+      controlSubscribers.delete(subscriber);
+      subscriber.res.destroy();
+      continue;
+    }
+    subscriber.res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+}
+
+// Keeps the renderer's sidebar and views in step with changes made through the API
+function notifyTerminalsChanged() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('terminals-changed');
+  }
+}
+
+function isControlRequestAuthorized(req, url) {
+  const header = req.headers.authorization || '';
+  const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token') || '');
+  const expected = Buffer.from(controlToken);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf-8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > CONTROL_BODY_LIMIT) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        reject(new Error('Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function subscribeControlEvents(req, res, url) {
+  const ids = url.searchParams.get('id');
+  const subscriber = { res, ids: ids ? new Set(ids.split(',').map(Number)) : null };
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.write(': subscribed\n\n');
+  controlSubscribers.add(subscriber);
+  req.on('close', () => controlSubscribers.delete(subscriber));
+}
+
+async function routeControlRequest(req, res, url) {
+  const [resource, idPart, action] = url.pathname.split('/').filter(Boolean);
+  if (resource === 'events' && req.method === 'GET') return subscribeControlEvents(req, res, url);
+  if (resource !== 'terminals') return sendJson(res, 404, { error: 'Not found' });
+
+  if (!idPart) {
+    if (req.method === 'GET') return sendJson(res, 200, listTerminals(url.searchParams.get('workspace') || undefined));
+    if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
+    const { cwd: requestedCwd, command, profileId, name, workspaceId } = await readJsonBody(req);
+    if (requestedCwd && typeof requestedCwd !== 'string') return sendJson(res, 400, { error: 'cwd must be a path' });
+    // A relative cwd is taken from the home directory, as a new shell's would be, not from the app's own
+    const cwd = requestedCwd && !parseRemoteLocation(requestedCwd) ? path.resolve(os.homedir(), requestedCwd) : requestedCwd;
+    if (cwd && !parseRemoteLocation(cwd) && !fs.existsSync(cwd)) return sendJson(res, 400, { error: `No such directory: ${cwd}` });
+    const info = createTerminal({
+      cwd,
+      profileId,
+      workspaceId,
+      startup: command ? { commands: [command], mode: 'always' } : undefined,
+    });
+    if (info.error) return sendJson(res, 400, info);
+    if (name) renameTerminal(info.id, String(name));
+    notifyTerminalsChanged();
+    return sendJson(res, 201, describeTerminal(info.id, terminals.get(info.id)));
+  }
+
+  const id = Number(idPart);
+  const term = terminals.get(id);
+  if (!term) return sendJson(res, 404, { error: `No terminal ${idPart}` });
+
+  if (!action && req.method === 'GET') return sendJson(res, 200, describeTerminal(id, term));
+  if (!action && req.method === 'DELETE') {
+    killTerminal(id);
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('terminal-exited', { id });
+    return sendJson(res, 200, { ok: true });
+  }
+  if (action === 'output' && req.method === 'GET') {
+    const text = url.searchParams.get('scrollback') ? term.scrollback : term.tailBuffer;
+    const output = url.searchParams.get('plain') ? toPlainLines(text).join('\n') : text;
+    return sendJson(res, 200, { id, output });
+  }
+  if (action === 'input' && req.method === 'POST') {
+    const { data } = await readJsonBody(req);
+    if (typeof data !== 'string') return sendJson(res, 400, { error: 'data must be a string' });
+    return sendJson(res, 200, { ok: sendTerminalInput(id, data) });
+  }
+  if (action === 'rename' && req.method === 'POST') {
+    const { name } = await readJsonBody(req);
+    if (typeof name !== 'string' || !name.trim()) return sendJson(res, 400, { error: 'name is required' });
+    renameTerminal(id, name.trim());
+    notifyTerminalsChanged();
+    return sendJson(res, 200, describeTerminal(id, term));
+  }
+  return sendJson(res, 404, { error: 'Not found' });
+}
+
+function handleControlRequest(req, res) {
+  const url = new URL(req.url, `http://${CONTROL_API_HOST}`);
+  if (!isControlRequestAuthorized(req, url)) return sendJson(res, 401, { error: 'Unauthorized' });
+  routeControlRequest(req, res, url).catch(err => sendJson(res, 400, { error: err.message }));
+}
+
+// Set TERM_PARTY_NO_API to leave it off, TERM_PARTY_API_PORT to pin the port
+function startControlApi() {
+  if (process.env.TERM_PARTY_NO_API) return;
+  controlToken = crypto.randomBytes(24).toString('hex');
+  controlServer = http.createServer(handleControlRequest);
+  controlServer.on('error', (err) => {
+    console.warn('Control API unavailable:', err.message);
+    controlServer = null;
+  });
+  controlServer.listen(Number(process.env.TERM_PARTY_API_PORT) || 0, CONTROL_API_HOST, () => {
+    const { port } = controlServer.address();
+    const info = { url: `http://${CONTROL_API_HOST}:${port}`, token: controlToken, pid: process.pid };
+    try {
+      fs.writeFileSync(getControlApiInfoPath(), JSON.stringify(info, null, 2), { mode: 0o600 });
+    } catch (err) {
+      console.warn('Failed to write control API info:', err.message);
+    }
+  });
+}
+
+function stopControlApi() {
+  if (!controlServer) return;
+  for (const { res } of controlSubscribers) res.end();
+  controlSubscribers.clear();
+  controlServer.close();
+  controlServer = null;
+  fs.rmSync(getControlApiInfoPath(), { force: true });
+}
+
+// --- LAN sharing (doc/SHARED_TERMINAL.md, served from here instead of over PeerJS) ---
+//
+// Guests open http://<lan address>:<port>/s/<shareId>, a page running xterm.js, which connects a
+// WebSocket to /s/<shareId>/ws. Binary frames carry terminal I/O; text frames carry the JSON
+// control messages from the design doc (guest-info, session-info, permission-change, resize, session-end).
+
+const SHARE_SCROLLBACK_SIZE = 100 * 1024; // output replayed to a guest when they join
+const SHARE_MAX_GUESTS = 5;
+const SHARE_PERMISSIONS = ['view-only', 'read-write'];
+const SHARE_JOIN_TIMEOUT_MS = 30 * 1000; // to send guest-info after connecting
+const SHARE_PIN_ATTEMPTS = 5; // wrong PINs from one address before it's locked out
+const SHARE_PIN_LOCKOUT_MS = 10 * 60 * 1000; // how long those failures count against it
+const SHARE_PIN_DELAY_MS = 1000; // before a wrong PIN is answered
+const SHARE_MAX_BUFFERED = 4 * 1024 * 1024; // a guest this far behind is dropped
+const SHARE_MAX_FRAME = 1024 * 1024;
+const SHARE_ID_CHARS = 'abcdefghijklmnopqrstuvwxyz0123456789';
+const SHARE_STATIC_FILES = {
+  '/guest.js': { file: path.join(__dirname, 'guest', 'guest.js'), type: 'text/javascript' },
+  '/xterm.mjs': { file: path.join(__dirname, 'node_modules', '@xterm', 'xterm', 'lib', 'xterm.mjs'), type: 'text/javascript' },
+  '/xterm.css': { file: path.join(__dirname, 'node_modules', '@xterm', 'xterm', 'css', 'xterm.css'), type: 'text/css' },
+};
+
+let shareServer = null; // http.Server while at least one terminal is shared
+const shares = new Map(); // terminal id -> { shareId, permission, pin, guests: Map<guestId, guest>, pending: Set<ws> }
+// Across all shares, so a new share (or PIN) doesn't reset the count: remote address -> { count, expiresAt }
+const sharePinFailures = new Map();
+
+// Just enough of RFC 6455 for the guest page: text and binary messages, fragmentation, ping and close
+function acceptWebSocket(req, socket, head) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+    socket.destroy();
+    return null;
+  }
+  const accept = crypto.createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+  socket.write(['HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade', `Sec-WebSocket-Accept: ${accept}`, '', ''].join('\r\n'));
+
+  const ws = {
+    socket,
+    closed: false,
+    onMessage: null, // ({ text }) or ({ binary })
+    onClose: null,
+    sendFrame(opcode, payload) {
+      if (ws.closed) return;
+      const length = payload.length;
+      let header;
+      if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+      } else if (length < 65536) {
+        header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+        header.writeUInt16BE(length, 2);
+      } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+      }
+      socket.write(Buffer.concat([header, payload]));
+    },
+    sendJson(message) {
+      ws.sendFrame(0x1, Buffer.from(JSON.stringify(message)));
+    },
+    sendBinary(data) {
+      ws.sendFrame(0x2, Buffer.from(data));
+    },
+    close(code = 1000) {
+      if (ws.closed) return;
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code);
+      ws.sendFrame(0x8, payload);
+      ws.closed = true;
+      socket.end();
+    },
+  };
+
+  // Frames can arrive with the upgrade request itself
+  let buffer = head?.length ? Buffer.from(head) : Buffer.alloc(0);
+  let fragments = [];
+  let fragmentOpcode = 0; // 0 while no fragmented message is open
+  let fragmentLength = 0;
+  const deliver = (opcode, payload) => {
+    if (opcode === 0x1) ws.onMessage?.({ text: payload.toString('utf-8') });
+    else if (opcode === 0x2) ws.onMessage?.({ binary: payload });
+  };
+
+  const receive = (chunk) => {
+    if (ws.closed) return;
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (length > SHARE_MAX_FRAME) {
+        ws.close(1009);
+        return;
+      }
+      const maskLength = masked ? 4 : 0;
+      if (buffer.length < offset + maskLength + length) return;
+      const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + length));
+      if (masked) {
+        const mask = buffer.subarray(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      }
+      buffer = buffer.subarray(offset + maskLength + length);
+
+      if (opcode === 0x8) {
+        ws.close();
+        return;
+      }
+      if (opcode === 0x9) {
+        ws.sendFrame(0xa, payload);
+      } else if (opcode === 0x0) {
+        if (!fragmentOpcode) continue;
+        // The frame limit applies to whole messages too, or continuations could grow without bound
+        fragmentLength += payload.length;
+        if (fragmentLength > SHARE_MAX_FRAME) {
+          ws.close(1009);
+          return;
+        }
+        fragments.push(payload);
+        if (fin) {
+          deliver(fragmentOpcode, Buffer.concat(fragments));
+          fragments = [];
+          fragmentOpcode = 0;
+        }
+      } else if (fin) {
+        deliver(opcode, payload);
+      } else {
+        fragmentOpcode = opcode;
+        fragmentLength = payload.length;
+        fragments = [payload];
+      }
+    }
+  };
+  socket.on('data', receive);
+  socket.on('error', () => {});
+  socket.on('close', () => {
+    ws.closed = true;
+    ws.onClose?.();
+  });
+  // Parse those once the caller has attached its handlers; later chunks append behind them
+  if (buffer.length) setImmediate(() => receive(Buffer.alloc(0)));
+  return ws;
+}
+
+function getLanAddresses() {
+  const addresses = [];
+  for (const entries of Object.values(os.networkInterfaces())) {
+    for (const entry of entries || []) {
+      if (entry.family === 'IPv4' && !entry.internal) addresses.push(entry.address);
+    }
+  }
+  return addresses.length > 0 ? addresses : ['127.0.0.1'];
+}
+
+function findShare(shareId) {
+  for (const [id, share] of shares) {
+    if (share.shareId === shareId) return { id, share };
+  }
+  return null;
+}
+
+function describeShare(id, share) {
+  const { port } = shareServer.address();
+  return {
+    id,
+    title: resolveDirectoryName(terminals.get(id)?.cwd),
+    urls: getLanAddresses().map(address => `http://${address}:${port}/s/${share.shareId}`),
+    permission: share.permission,
+    pin: share.pin,
+    guests: [...share.guests.values()].map(g => ({
+      guestId: g.guestId,
+      name: g.name,
+      address: g.address,
+      permission: g.permission,
+      joinedAt: g.joinedAt,
+    })),
+  };
+}
+
+function sendShareEvent(channel, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+}
+
+function serveShareFile(res, file, type) {
+  fs.readFile(file, (err, content) => {
+    if (err) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+    res.end(content);
+  });
+}
+
+function handleShareRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const staticFile = SHARE_STATIC_FILES[url.pathname];
+  if (req.method === 'GET' && staticFile) return serveShareFile(res, staticFile.file, staticFile.type);
+
+  const [, shareId, action] = url.pathname.match(/^\/s\/([\w-]+)(?:\/(info))?$/) || [];
+  const found = shareId && findShare(shareId);
+  if (req.method !== 'GET' || !found) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('This share has ended or never existed.');
+    return;
+  }
+  if (action === 'info') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ terminalTitle: resolveDirectoryName(terminals.get(found.id)?.cwd), pinRequired: Boolean(found.share.pin) }));
+    return;
+  }
+  serveShareFile(res, path.join(__dirname, 'guest', 'index.html'), 'text/html');
+}
+
+function removeGuest(id, share, guest, reason) {
+  if (!share.guests.delete(guest.guestId)) return;
+  if (reason) guest.ws.sendJson({ type: 'session-end', reason });
+  guest.ws.close();
+  sendShareEvent('guest-disconnect', { id, guestId: guest.guestId });
+}
+
+function isPinLockedOut(address) {
+  const failures = sharePinFailures.get(address);
+  if (failures && Date.now() >= failures.expiresAt) sharePinFailures.delete(address);
+  return (sharePinFailures.get(address)?.count || 0) >= SHARE_PIN_ATTEMPTS;
+}
+
+function recordPinFailure(address) {
+  const failures = sharePinFailures.get(address) || { count: 0 };
+  failures.count++;
+  failures.expiresAt = Date.now() + SHARE_PIN_LOCKOUT_MS;
+  sharePinFailures.set(address, failures);
+}
+
+// Hashed first so the comparison takes the same time whatever the PIN's length
+function isPinCorrect(given, pin) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(pin));
+}
+
+// The guest's first message says who they are (and the PIN); only then do they see anything
+function joinGuest(id, share, ws, address, message) {
+  const name = typeof message.name === 'string' ? message.name.trim().slice(0, 40) : '';
+  const refuse = (reason) => {
+    ws.sendJson({ type: 'session-end', reason });
+    ws.close();
+  };
+  // The share may have stopped, or its terminal exited, while this socket sat unjoined
+  const term = terminals.get(id);
+  if (shares.get(id) !== share || !term) return refuse('This share has ended');
+  if (!name) return refuse('A name is required');
+  if (share.pin) {
+    if (isPinLockedOut(address)) return refuse('Too many wrong PINs, try again later');
+    if (!isPinCorrect(message.pin ?? '', share.pin)) {
+      // Counted now, answered later, so parallel sockets can't outrun the lockout
+      recordPinFailure(address);
+      setTimeout(() => refuse('Wrong PIN'), SHARE_PIN_DELAY_MS);
+      return null;
+    }
+    sharePinFailures.delete(address);
+  }
+  if (share.guests.size >= SHARE_MAX_GUESTS) return refuse('This session is full');
+
+  const guest = { guestId: crypto.randomUUID(), name, address, permission: share.permission, joinedAt: Date.now(), ws };
+  share.guests.set(guest.guestId, guest);
+  ws.sendJson({
+    type: 'session-info',
+    hostName: os.hostname(),
+    terminalTitle: resolveDirectoryName(term.cwd),
+    permissions: guest.permission,
+    cols: term.cols,
+    rows: term.rows,
+  });
+  const scrollback = term.scrollback.slice(-SHARE_SCROLLBACK_SIZE);
+  if (scrollback) ws.sendBinary(scrollback);
+  sendShareEvent('guest-connect', { id, guest: describeShare(id, share).guests.find(g => g.guestId === guest.guestId) });
+  return guest;
+}
+
+function handleShareUpgrade(req, socket, head) {
+  const [, shareId] = new URL(req.url, 'http://localhost').pathname.match(/^\/s\/([\w-]+)\/ws$/) || [];
+  const found = shareId && findShare(shareId);
+  if (!found) {
+    socket.destroy();
+    return;
+  }
+  const ws = acceptWebSocket(req, socket, head);
+  if (!ws) return;
+
+  const { id, share } = found;
+  const address = socket.remoteAddress;
+  let guest = null;
+  let introduced = false; // guest-info is answered once, right or wrong
+  share.pending.add(ws);
+  const joinTimer = setTimeout(() => {
+    if (!guest) ws.close(1008);
+  }, SHARE_JOIN_TIMEOUT_MS);
+
+  ws.onMessage = ({ text, binary }) => {
+    if (binary) {
+      // Keystrokes; view-only guests are ignored
+      if (guest?.permission === 'read-write' && shares.get(id) === share) sendTerminalInput(id, binary.toString('utf-8'));
+      return;
+    }
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      return;
+    }
+    if (message.type === 'guest-info' && !introduced) {
+      introduced = true;
+      clearTimeout(joinTimer);
+      share.pending.delete(ws);
+      guest = joinGuest(id, share, ws, address, message);
+    }
+    // resize-request is advisory; the host's size is authoritative
+  };
+  ws.onClose = () => {
+    clearTimeout(joinTimer);
+    share.pending.delete(ws);
+    if (guest) removeGuest(id, share, guest, null);
+  };
+}
+
+function shareTerminalData(id, data) {
+  const share = shares.get(id);
+  if (!share) return;
+  for (const guest of share.guests.values()) {
+    if (guest.ws.socket.writableLength > SHARE_MAX_BUFFERED) {
+      removeGuest(id, share, guest, 'Your connection fell too far behind');
+      continue;
+    }
+    guest.ws.sendBinary(data);
+  }
+}
+
+function shareTerminalResize(id, cols, rows) {
+  const share = shares.get(id);
+  if (!share) return;
+  for (const guest of share.guests.values()) guest.ws.sendJson({ type: 'resize', cols, rows });
+}
+
+function startShareServer() {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer(handleShareRequest);
+    server.on('upgrade', handleShareUpgrade);
+    server.once('error', reject);
+    // Set TERM_PARTY_SHARE_PORT to keep links stable across sessions, e.g. for a firewall rule
+    server.listen(Number(process.env.TERM_PARTY_SHARE_PORT) || 0, '0.0.0.0', () => {
+      server.removeListener('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+async function shareTerminal(id, { permission, pin } = {}) {
+  if (!terminals.has(id)) return { error: 'No such terminal' };
+  const existing = shares.get(id);
+  if (existing) return describeShare(id, existing);
+  if (!shareServer) {
+    try {
+      shareServer = await startShareServer();
+    } catch (err) {
+      return { error: `Could not start the share server: ${err.message}` };
+    }
+  }
+  const share = {
+    shareId: `tp-${Array.from(crypto.randomBytes(8), b => SHARE_ID_CHARS[b % SHARE_ID_CHARS.length]).join('')}`,
+    permission: SHARE_PERMISSIONS.includes(permission) ? permission : 'view-only',
+    pin: typeof pin === 'string' && pin.trim() ? pin.trim() : null,
+    guests: new Map(),
+    pending: new Set(), // connected sockets that haven't sent guest-info yet
+  };
+  shares.set(id, share);
+  notifyTerminalsChanged();
+  return describeShare(id, share);
+}
+
+function stopSharing(id, reason = 'The host stopped sharing') {
+  const share = shares.get(id);
+  if (!share) return;
+  shares.delete(id);
+  for (const guest of [...share.guests.values()]) removeGuest(id, share, guest, reason);
+  for (const ws of share.pending) {
+    ws.sendJson({ type: 'session-end', reason });
+    ws.close();
+  }
+  share.pending.clear();
+  if (shares.size === 0 && shareServer) {
+    shareServer.close();
+    shareServer = null;
+  }
+  notifyTerminalsChanged();
+}
+
+// --- Window creation ---
+
+function createWindow() {
+  mainWindow = new BrowserWindow({
+    width: 1200,
+    height: 800,
+    icon: getAppIcon(),
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+    },
+  });
+
+  mainWindow.on('close', confirmQuit);
+  mainWindow.loadFile('index.html');
+}
+
+// --- Command line (one instance; later launches forward their arguments to it) ---
+
+const CLI_COMMANDS = ['open', 'list', 'focus', 'workspace'];
+const CLI_USAGE = `Usage: term-party [command]
+  open [dir] [--name X] [--run "cmd"]   open a terminal in dir (default: the current directory); also just: term-party <dir>
+  list                                  list terminals
+  focus <name|id>                       bring a terminal to the front
+  workspace <name>                      open a workspace`;
+
+// An ssh:// location as given, or the absolute path of an existing directory; null otherwise
+function resolveOpenTarget(target, cwd) {
+  if (parseRemoteLocation(target)) return target;
+  const dir = path.resolve(cwd, target);
+  try {
+    return fs.statSync(dir).isDirectory() ? dir : null;
+  } catch {
+    return null;
+  }
+}
+
+// Returns { command, target, name, run }, null without a command, or { error }.
+// open's target is checked and resolved here, so a typo fails in the shell that typed it.
+function parseCliArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.split(/=(.*)/s);
+    if (flag === '--name' || flag === '--run') {
+      flags[flag.slice(2)] = inline ?? argv[++i];
+    } else if (!arg.startsWith('-')) {
+      positional.push(arg);
+    }
+    // Anything else is an Electron or Chromium switch such as --dev
+  }
+  let [command, target] = positional;
+  if (!command) return null;
+  // `term-party ~/src/app` is short for `term-party open ~/src/app`
+  if (!CLI_COMMANDS.includes(command) && positional.length === 1 && resolveOpenTarget(command, process.cwd())) {
+    [command, target] = ['open', command];
+  }
+  if (!CLI_COMMANDS.includes(command)) return { error: `Unknown command: ${command}` };
+  if (command === 'open') {
+    const dir = resolveOpenTarget(target || '.', process.cwd());
+    if (!dir) return { error: `Not a directory: ${target}` };
+    target = dir;
+  }
+  if ((command === 'focus' || command === 'workspace') && !target) return { error: `${command} needs a name` };
+  return { command, target, ...flags };
+}
+
+// The app's own arguments start after the executable, or after `electron .` in development
+const cliArgs = parseCliArgs(process.argv.slice(process.defaultApp ? 2 : 1));
+const isPrimaryInstance = !cliArgs?.error && app.requestSingleInstanceLock({ cli: cliArgs, cwd: process.cwd() });
+
+// `list` needs an answer back, which second-instance can't give; the control API can
+async function printTerminalList() {
+  try {
+    const { url, token } = JSON.parse(fs.readFileSync(getControlApiInfoPath(), 'utf-8'));
+    const res = await fetch(`${url}/terminals`, { headers: { Authorization: `Bearer ${token}` } });
+    for (const t of await res.json()) {
+      console.log([t.ghost ? '-' : t.id, t.title, t.cwd].join('\t'));
+    }
+    return 0;
+  } catch (err) {
+    console.error(`Could not reach the running term-party: ${err.message}`);
+    return 1;
+  }
+}
+
+function findTerminalByName(name) {
+  if (terminals.has(Number(name))) return Number(name);
+  const lower = name.toLowerCase();
+  for (const [id, term] of terminals) {
+    if (resolveDirectoryName(term.cwd).toLowerCase() === lower) return id;
+  }
+  return null;
+}
+
+// Runs a command given to this or a later launch; `cwd` is where that launch was started
+function runCliCommand(cli, cwd) {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.show();
+  mainWindow.focus();
+  if (!cli) return;
+
+  switch (cli.command) {
+    case 'open': {
+      const dir = resolveOpenTarget(cli.target || '.', cwd || os.homedir());
+      if (!dir) return;
+      const info = createTerminal({ cwd: dir, startup: cli.run ? { commands: [cli.run], mode: 'always' } : undefined });
+      if (cli.name) renameTerminal(info.id, cli.name);
+      notifyTerminalsChanged();
+      focusTerminal(info.id);
+      break;
+    }
+    case 'focus': {
+      const id = findTerminalByName(cli.target);
+      if (id !== null) focusTerminal(id);
+      break;
+    }
+    case 'workspace': {
+      const ws = workspaces.find(w => w.name.toLowerCase() === cli.target.toLowerCase());
+      if (ws) mainWindow.webContents.send('open-workspace', { workspaceId: ws.id });
+      break;
+    }
+  }
+}
+
+if (cliArgs?.error) {
+  console.error(`${cliArgs.error}\n${CLI_USAGE}`);
+  app.exit(1);
+} else if (!isPrimaryInstance) {
+  if (cliArgs?.command === 'list') printTerminalList().then(code => app.exit(code));
+  else app.exit(0);
+} else {
+  app.on('second-instance', (_event, _argv, _workingDirectory, additionalData) => {
+    runCliCommand(additionalData?.cli, additionalData?.cwd);
+  });
+}
+
+app.whenReady().then(async () => {
+  if (!isPrimaryInstance) return;
+  // Nothing to list when this is the only instance
+  if (cliArgs?.command === 'list') {
+    console.error('term-party is not running');
+    app.exit(1);
+    return;
+  }
+  if (process.platform === 'darwin' && app.dock) {
+    try {
+      const icon = nativeImage.createFromPath(path.join(__dirname, 'web-app-manifest-512x512.png'));
+      app.dock.setIcon(icon);
+    } catch (e) {
+      console.warn('Failed to set dock icon:', e.message);
+    }
+  }
+  const savedSession = loadSavedSession();
+  savedTerminals = savedSession.terminals;
+  layouts = savedSession.layouts;
+  favorites = loadFavorites();
+  directoryNames = loadDirectoryNames();
+  shellProfiles = loadProfiles();
+  workspaces = loadWorkspaces();
+  outputTriggers = loadTriggers();
+  commandHistory = loadCommandHistory();
+  recentExits.push(...loadExits());
+  compileTriggers();
+  migrateToDirectoryNames();
+  await connectPtyDaemon();
+  if (ptyDaemon) await reattachDaemonTerminals();
+  pruneScrollback();
+  terminalOrder = [...terminals.keys()];
+  syncGitWatches();
+  // Created last so the renderer's first listing already includes reattached terminals
+  createWindow();
+  startControlApi();
+  if (cliArgs) mainWindow.webContents.once('did-finish-load', () => runCliCommand(cliArgs, process.cwd()));
+  setInterval(checkIdleNotifications, 1000);
+  if (process.platform === 'linux') setInterval(pollProcessCwds, CWD_POLL_MS);
+  setInterval(pollForegroundProcesses, FOREGROUND_POLL_MS);
+});
+
+app.on('window-all-closed', async () => {
+  quitting = true;
+  // Flush any pending debounced writes synchronously before quitting
+  if (persistTerminalsTimer) clearTimeout(persistTerminalsTimer);
+  if (persistFavoritesTimer) clearTimeout(persistFavoritesTimer);
+  if (persistDirNamesTimer) clearTimeout(persistDirNamesTimer);
+  if (persistProfilesTimer) clearTimeout(persistProfilesTimer);
+  if (persistWorkspacesTimer) clearTimeout(persistWorkspacesTimer);
+  if (persistTriggersTimer) clearTimeout(persistTriggersTimer);
+  if (persistHistoryTimer) clearTimeout(persistHistoryTimer);
+  if (persistExitsTimer) clearTimeout(persistExitsTimer);
+
+  // Write terminals synchronously to ensure data is saved on exit
+  try {
+    fs.writeFileSync(getSavePath(), JSON.stringify(buildSavedSession(), null, 2));
+    fs.writeFileSync(getProfilesPath(), JSON.stringify(shellProfiles, null, 2));
+    fs.writeFileSync(getWorkspacesPath(), JSON.stringify(workspaces, null, 2));
+    fs.writeFileSync(getTriggersPath(), JSON.stringify(outputTriggers, null, 2));
+    fs.writeFileSync(getCommandHistoryPath(), JSON.stringify(commandHistory));
+    fs.writeFileSync(getExitsPath(), serializeExits());
+  } catch {
+    // best-effort
+  }
+
+  for (const [, term] of terminals) {
+    writeScrollbackSync(term.sessionId, term.scrollback);
+    stopRecording(term);
+    clearTimeout(term.restartTimer);
+    // The daemon keeps these running; the next launch reattaches by sessionId.
+    // tmux windows stay in tmux; only our control clients detach.
+    if (!ptyDaemon && !term.restarting && !term.tmux) term.pty.kill();
+  }
+  terminals.clear();
+  ptyDaemon?.socket.end();
+  for (const client of tmuxClients.values()) client.proc.kill();
+  stopControlApi();
+  for (const id of [...shares.keys()]) stopSharing(id, 'The host closed term-party');
+  closeDudeDb();
+  app.quit();
+});
+
+// --- IPC Handlers ---
+
+ipcMain.handle('select-directory', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory'],
   });
   if (result.canceled || result.filePaths.length === 0) return null;
   return result.filePaths[0];
 });
 
-ipcMain.handle('create-terminal', (_event, cwd) => {
-  const id = nextId++;
-  const shell = getShell();
-  const resolvedCwd = cwd || os.homedir();
-  const title = resolveDirectoryName(resolvedCwd);
-  const ptyProcess = pty.spawn(shell, [], {
+// Starts the shell process for terminal `id` and wires up its output and exit.
+// Keep-alive restarts call this again with the same id, so the terminal keeps its slot.
+// `attach` adopts a shell the PTY daemon kept running instead of spawning one.
+// `tmux` ({ session, windowId }) shows a tmux window; tmux profiles get a session of their own.
+// An ssh:// cwd runs the system ssh instead of the profile's shell.
+function startPty(id, profile, cwd, { cols = profile.cols, rows = profile.rows, sessionId, attach, tmux } = {}) {
+  const title = resolveDirectoryName(cwd);
+  const remote = parseRemoteLocation(cwd);
+  const options = {
     name: 'xterm-256color',
-    cols: 80,
-    rows: 24,
-    cwd: resolvedCwd,
-    env: getTerminalEnv(title),
-  });
-  let tailBuffer = '';
+    cols,
+    rows,
+    cwd: remote ? os.homedir() : cwd,
+    env: getTerminalEnv(title, profile.env),
+  };
+  const command = remote ? 'ssh' : profile.command;
+  const args = remote ? buildSshArgs(remote) : profile.args;
+  const tmuxTarget = remote ? null : tmux || (profile.tmux && sessionId ? { session: `term-party-${sessionId.slice(0, 8)}` } : null);
+  const ptyProcess = attach
+    || (tmuxTarget
+      ? spawnTmuxPty(tmuxTarget, command, args, options)
+      : spawnPty(command, args, options, { sessionId, cwd, profileId: profile.id, startedAt: Date.now() }));
 
   ptyProcess.onData((data) => {
-    // Append to tail buffer (keep last TAIL_BUFFER_SIZE chars)
-    tailBuffer += data;
-    if (tailBuffer.length > TAIL_BUFFER_SIZE) {
-      tailBuffer = tailBuffer.slice(-TAIL_BUFFER_SIZE);
-    }
     const term = terminals.get(id);
     if (term) {
-      term.tailBuffer = tailBuffer;
-      term.lastDataTime = Date.now();
+      const now = Date.now();
+      trackBusy(term, now);
+      // Keep the last TAIL_BUFFER_SIZE chars
+      term.tailBuffer = (term.tailBuffer + data).slice(-TAIL_BUFFER_SIZE);
+      term.lastDataTime = now;
+      term.hasOutput = true;
+      appendScrollback(term, data);
+      if (term.recording) recordEvent(term.recording, 'o', data);
+      trackAltScreen(term, data);
+      parseOscSequences(id, term, data);
+      checkTriggers(id, term, data);
     }
 
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send('terminal-data', { id, data });
     }
+    publishControlEvent('data', { id, data });
+    shareTerminalData(id, data);
+  });
+
+  ptyProcess.onExit(({ exitCode }) => {
+    const killed = killedTerminals.get(id);
+    if (killed) {
+      killedTerminals.delete(id);
+      stopRecording(killed);
+      recordExit(id, killed, exitCode);
+      return;
+    }
+    const term = terminals.get(id);
+    // Already dropped on quit, or a PTY a keep-alive restart has replaced
+    if (quitting || !term || term.pty !== ptyProcess) return;
+    const exitTitle = resolveDirectoryName(term.cwd);
+    if (term.notify?.exit && exitCode !== 0 && !isTerminalInView(id)) {
+      const lastLine = toPlainLines(term.tailBuffer).filter(line => line.trim()).pop() || '';
+      showTerminalNotification(id, `${exitTitle} exited with code ${exitCode}`, lastLine);
+    }
+    if (scheduleRestart(id, term, exitCode)) return;
+    removeExitedTerminal(id, term, exitCode);
   });
 
-  ptyProcess.onExit(({ exitCode }) => {
-    const term = terminals.get(id);
-    const exitTitle = term ? resolveDirectoryName(term.cwd) : title;
-    terminals.delete(id);
-    terminalOrder = terminalOrder.filter(oid => oid !== id);
+  return ptyProcess;
+}
+
+// Drops a terminal whose shell is gone for good and logs it in recentExits
+function removeExitedTerminal(id, term, exitCode) {
+  stopRecording(term);
+  terminals.delete(id);
+  terminalOrder = terminalOrder.filter(oid => oid !== id);
+  removeFromLayouts(id);
+  persistTerminals();
+  syncGitWatches();
+  recordExit(id, term, exitCode);
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('terminal-exited', { id });
+  }
+}
 
-    // Track exit
-    recentExits.unshift({ id, title: exitTitle, exitCode, timestamp: Date.now() });
-    if (recentExits.length > MAX_RECENT_EXITS) recentExits.pop();
+// Spawns a PTY and registers it; shared by every path that creates a terminal.
+// `history` seeds the scrollback of a restored session so it survives another restart.
+// `attach` ({ pty, cols, rows }) registers a shell reattached from the PTY daemon instead.
+function spawnTerminal({ cwd, profileId, sessionId, history = '', startup, notify, keepAlive, workspaceId, workspaceDefId, attach, tmux } = {}) {
+  const id = nextId++;
+  const profile = resolveProfile(profileId);
+  const resolvedCwd = cwd || os.homedir();
+  const title = resolveDirectoryName(resolvedCwd);
+  const resolvedSessionId = sessionId || crypto.randomUUID();
+  const cols = attach?.cols || profile.cols;
+  const rows = attach?.rows || profile.rows;
+  const ptyProcess = startPty(id, profile, resolvedCwd, { cols, rows, sessionId: resolvedSessionId, attach: attach?.pty, tmux });
 
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('terminal-exited', { id });
-    }
+  terminals.set(id, {
+    pty: ptyProcess,
+    cwd: resolvedCwd,
+    profileId: profile.id,
+    sessionId: resolvedSessionId,
+    tmux: ptyProcess.tmux || null,
+    spawnName: title,
+    shellName: parseRemoteLocation(resolvedCwd) ? 'ssh' : path.basename(profile.command),
+    foreground: null, // { name, pgid } while a job other than the shell owns the tty
+    tailBuffer: '',
+    scrollback: history,
+    startup: sanitizeStartup(startup),
+    notify: sanitizeNotify(notify),
+    keepAlive: sanitizeKeepAlive(keepAlive),
+    restarts: 0,
+    restarting: false, // between a keep-alive exit and the new PTY; term.pty is dead meanwhile
+    startedAt: Date.now(),
+    lastCommand: null, // last line typed at a shell without integration
+    restartTimer: null,
+    workspaceId,
+    workspaceDefId,
+    hasOutput: false,
+    busySince: null,
+    lastDataTime: Date.now(),
+    cols,
+    rows,
+    recording: null, // { fd, path, startedAt, pending, flushTimer } while recording
+    shell: null, // { running, last } once the shell integration script reports
+    oscCarry: '',
+    cwdFromOsc: false, // set once the shell reports OSC 7, which then replaces /proc polling
+    altScreen: false,
+    inputLine: '',
+    inputDirty: false,
+    triggerLine: '',
+    triggerFired: new Set(),
+    triggerCooldowns: new Map(),
   });
-
-  terminals.set(id, { pty: ptyProcess, cwd: resolvedCwd, spawnName: title, tailBuffer: '', lastDataTime: Date.now() });
   terminalOrder.push(id);
   persistTerminals();
-  return { id, cwd: resolvedCwd, title };
-});
+  syncGitWatches();
+  if (!attach) runStartupCommands(id);
+  return { id, cwd: resolvedCwd, title, profileId: profile.id };
+}
 
-ipcMain.on('terminal-input', (_event, { id, data }) => {
+// The create-terminal, terminal-input and rename-terminal handlers; the control API calls them too
+function createTerminal({ workspaceId, remote, ...options } = {}) {
+  if (remote) {
+    const sanitized = sanitizeRemote(remote);
+    if (!sanitized) return { error: 'A valid host name is required, and the user may only contain letters, digits, . _ and -' };
+    options.cwd = formatRemoteLocation(sanitized);
+  }
+  const info = spawnTerminal(options);
+  // Terminals opened while a workspace is selected join it
+  if (workspaceId) addTerminalToWorkspace(info.id, workspaceId);
+  return info;
+}
+
+function sendTerminalInput(id, data) {
   const term = terminals.get(id);
-  if (term) term.pty.write(data);
+  if (!term || term.restarting) return false;
+  trackInputLine(term, data);
+  term.pty.write(data);
+  return true;
+}
+
+ipcMain.handle('create-terminal', (_event, options) => createTerminal(options));
+
+ipcMain.on('terminal-input', (_event, { id, data }) => {
+  sendTerminalInput(id, data);
+});
+
+ipcMain.on('set-visible-terminals', (_event, ids) => {
+  visibleTerminalIds = Array.isArray(ids) ? ids : [];
 });
 
 ipcMain.on('terminal-resize', (_event, { id, cols, rows }) => {
   const term = terminals.get(id);
-  if (term) term.pty.resize(cols, rows);
+  // A collapsed pane can measure 0 (or NaN); node-pty throws on those
+  if (!term || !isValidTerminalSize(cols, rows)) return;
+  if (!term.restarting) term.pty.resize(cols, rows);
+  term.cols = cols;
+  term.rows = rows;
+  if (term.recording) recordEvent(term.recording, 'r', `${cols}x${rows}`);
+  shareTerminalResize(id, cols, rows);
 });
 
-ipcMain.handle('kill-terminal', (_event, id) => {
+function killTerminal(id) {
   const term = terminals.get(id);
   if (term) {
-    term.pty.kill();
+    clearTimeout(term.restartTimer);
+    if (term.restarting) {
+      stopRecording(term);
+      recordExit(id, term, null);
+    } else {
+      killedTerminals.set(id, term);
+      term.pty.kill();
+    }
     terminals.delete(id);
     terminalOrder = terminalOrder.filter(oid => oid !== id);
+    removeFromLayouts(id);
     persistTerminals();
   }
+}
+
+ipcMain.handle('kill-terminal', (_event, id) => {
+  killTerminal(id);
+  return true;
+});
+
+ipcMain.handle('share-terminal', (_event, id, options) => shareTerminal(id, options));
+
+ipcMain.handle('stop-sharing', (_event, id) => {
+  stopSharing(id);
+  return true;
+});
+
+ipcMain.handle('get-shares', () => {
+  return [...shares].map(([id, share]) => describeShare(id, share));
+});
+
+ipcMain.handle('set-guest-permission', (_event, id, guestId, permission) => {
+  const guest = shares.get(id)?.guests.get(guestId);
+  if (!guest || !SHARE_PERMISSIONS.includes(permission)) return false;
+  guest.permission = permission;
+  guest.ws.sendJson({ type: 'permission-change', permissions: permission });
+  return true;
+});
+
+ipcMain.handle('kick-guest', (_event, id, guestId) => {
+  const share = shares.get(id);
+  const guest = share?.guests.get(guestId);
+  if (!guest) return false;
+  removeGuest(id, share, guest, 'The host removed you from the session');
+  return true;
+});
+
+ipcMain.handle('list-tmux-sessions', () => listTmuxSessions());
+
+ipcMain.handle('attach-tmux-session', async (_event, session, workspaceId) => {
+  try {
+    const results = await attachTmuxSession(session);
+    if (workspaceId) for (const info of results) addTerminalToWorkspace(info.id, workspaceId);
+    return results;
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('get-terminal-scrollback', (_event, id) => {
+  return terminals.get(id)?.scrollback ?? null;
+});
+
+ipcMain.handle('get-daemon-status', () => {
+  return { detached: Boolean(ptyDaemon) };
+});
+
+// The explicit way out when shells should not outlive the app
+ipcMain.handle('quit-and-kill-all', async () => {
+  quitting = true;
+  quitConfirmed = true;
+  if (ptyDaemon) {
+    try {
+      await ptyDaemon.request('shutdown');
+    } catch {
+      // already gone
+    }
+    ptyDaemon = null;
+  }
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.close();
   return true;
 });
 
-ipcMain.handle('get-terminals', () => {
+ipcMain.handle('stop-and-kill-terminal', async (_event, id) => {
+  await stopAndKillTerminal(id);
+  return true;
+});
+
+function describeTerminal(id, term) {
+  return {
+    id,
+    cwd: term.cwd,
+    title: resolveDirectoryName(term.cwd),
+    profileId: term.profileId,
+    startup: term.startup,
+    notify: term.notify,
+    keepAlive: term.keepAlive,
+    restarts: term.restarts,
+    restarting: term.restarting,
+    shell: term.shell,
+    recording: Boolean(term.recording),
+    foreground: term.foreground,
+    git: getGitStatus(term.cwd),
+    tmux: term.tmux,
+    remote: Boolean(parseRemoteLocation(term.cwd)),
+    shared: shares.has(id) ? { guests: shares.get(id).guests.size } : null,
+    workspaceId: term.workspaceId,
+    ghost: false,
+    lastDataTime: term.lastDataTime,
+  };
+}
+
+function describeGhost(ghost, index) {
+  return {
+    id: `ghost-${index}`,
+    cwd: ghost.cwd,
+    title: resolveDirectoryName(ghost.cwd),
+    profileId: ghost.profileId,
+    startup: ghost.startup,
+    notify: ghost.notify,
+    keepAlive: ghost.keepAlive,
+    tmux: ghost.tmux,
+    remote: Boolean(parseRemoteLocation(ghost.cwd)),
+    workspaceId: ghost.workspaceId,
+    ghost: true,
+  };
+}
+
+// With a workspaceId, only that workspace's terminals, in the workspace's own order
+function listTerminals(workspaceId) {
   const list = [];
+  if (workspaceId) {
+    const ws = workspaces.find(w => w.id === workspaceId);
+    const defOrder = new Map((ws?.terminals || []).map((def, i) => [def.id, i]));
+    const rank = entry => defOrder.get(entry.workspaceDefId) ?? Number.MAX_SAFE_INTEGER;
+    [...terminals]
+      .filter(([, term]) => term.workspaceId === workspaceId)
+      .sort(([, a], [, b]) => rank(a) - rank(b))
+      .forEach(([id, term]) => list.push(describeTerminal(id, term)));
+    savedTerminals.forEach((ghost, i) => {
+      if (ghost.workspaceId === workspaceId) list.push(describeGhost(ghost, i));
+    });
+    return list;
+  }
+
   const orderedSet = new Set(terminalOrder);
   // Ordered terminals first
   for (const id of terminalOrder) {
     const term = terminals.get(id);
-    if (term) list.push({ id, cwd: term.cwd, title: resolveDirectoryName(term.cwd), ghost: false, lastDataTime: term.lastDataTime });
+    if (term) list.push(describeTerminal(id, term));
   }
   // Any terminals not in order array (safety fallback) — O(1) lookup via Set
   for (const [id, term] of terminals) {
     if (!orderedSet.has(id)) {
-      list.push({ id, cwd: term.cwd, title: resolveDirectoryName(term.cwd), ghost: false, lastDataTime: term.lastDataTime });
+      list.push(describeTerminal(id, term));
     }
   }
   // Ghosts always last
   savedTerminals.forEach((ghost, i) => {
-    list.push({ id: `ghost-${i}`, cwd: ghost.cwd, title: resolveDirectoryName(ghost.cwd), ghost: true });
+    list.push(describeGhost(ghost, i));
   });
   return list;
+}
+
+ipcMain.handle('get-terminals', (_event, workspaceId) => {
+  return listTerminals(workspaceId);
 });
 
-ipcMain.handle('set-terminal-order', (_event, order) => {
+ipcMain.handle('set-terminal-order', (_event, { order, workspaceId }) => {
+  if (workspaceId) {
+    // Each workspace keeps its own order, stored as the order of its definitions
+    const ws = workspaces.find(w => w.id === workspaceId);
+    if (!ws) return false;
+    const rank = new Map();
+    order.forEach((id, i) => {
+      const term = terminals.get(id);
+      if (term?.workspaceDefId) rank.set(term.workspaceDefId, i);
+    });
+    // Definitions without a live terminal keep their place relative to each other, after the live ones
+    ws.terminals = ws.terminals
+      .map((def, i) => ({ def, key: rank.has(def.id) ? rank.get(def.id) : order.length + i }))
+      .sort((a, b) => a.key - b.key)
+      .map(({ def }) => def);
+    persistWorkspaces();
+    return true;
+  }
   terminalOrder = order.filter(id => terminals.has(id));
   persistTerminals();
   return true;
@@ -440,13 +3637,79 @@ ipcMain.handle('set-terminal-order', (_event, order) => {
 
 ipcMain.handle('remove-saved-terminal', (_event, index) => {
   if (index >= 0 && index < savedTerminals.length) {
-    savedTerminals.splice(index, 1);
+    const [ghost] = savedTerminals.splice(index, 1);
+    deleteScrollback(ghost.sessionId);
     persistTerminals();
   }
   return true;
 });
 
-ipcMain.handle('rename-terminal', (_event, { id, newTitle }) => {
+ipcMain.handle('get-saved-scrollback', (_event, index) => {
+  const ghost = savedTerminals[index];
+  return ghost ? readScrollback(ghost.sessionId) : '';
+});
+
+// Brings a ghost back as a live terminal, carrying its saved output forward.
+// overrides lets a workspace launch apply its current definition.
+async function restoreSavedTerminal(index, overrides = {}) {
+  if (!(index >= 0 && index < savedTerminals.length)) return null;
+  const [ghost] = savedTerminals.splice(index, 1);
+  const saved = await readScrollback(ghost.sessionId);
+  const history = saved ? saved + formatRestoreDivider() : '';
+  deleteScrollback(ghost.sessionId);
+  // Keep the sessionId so split layouts saved with this ghost pick it back up
+  const info = spawnTerminal({ ...ghost, ...overrides, history });
+  layouts = mapLayouts(leaf => (ghost.sessionId && leaf.sessionId === ghost.sessionId ? { id: info.id } : leaf));
+  persistTerminals();
+  return { ...info, history };
+}
+
+ipcMain.handle('restore-saved-terminal', (_event, index) => {
+  return restoreSavedTerminal(index);
+});
+
+ipcMain.handle('get-layouts', () => {
+  return layouts;
+});
+
+ipcMain.handle('set-layouts', (_event, next) => {
+  layouts = Array.isArray(next) ? next.map(sanitizeLayout).filter(l => l?.split) : [];
+  persistTerminals();
+  return true;
+});
+
+ipcMain.handle('set-terminal-startup', (_event, { id, startup }) => {
+  const entry = findTerminalEntry(id);
+  if (!entry) return false;
+  entry.startup = sanitizeStartup(startup);
+  delete entry.startupAnswer;
+  persistTerminals();
+  return true;
+});
+
+ipcMain.handle('set-terminal-notify', (_event, { id, notify }) => {
+  const entry = findTerminalEntry(id);
+  if (!entry) return false;
+  entry.notify = sanitizeNotify(notify);
+  persistTerminals();
+  return true;
+});
+
+ipcMain.handle('set-terminal-keep-alive', (_event, { id, keepAlive }) => {
+  const entry = findTerminalEntry(id);
+  if (!entry) return false;
+  entry.keepAlive = sanitizeKeepAlive(keepAlive);
+  // A new policy starts a fresh restart budget
+  if (terminals.get(id) === entry) entry.restarts = 0;
+  persistTerminals();
+  return true;
+});
+
+ipcMain.handle('run-startup-commands', (_event, id) => {
+  return runStartupCommands(id, { force: true });
+});
+
+function renameTerminal(id, newTitle) {
   // Find the cwd and update the directory names registry
   let cwd = null;
   if (typeof id === 'string' && id.startsWith('ghost-')) {
@@ -462,6 +3725,11 @@ ipcMain.handle('rename-terminal', (_event, { id, newTitle }) => {
     directoryNames[cwd] = newTitle;
     persistDirectoryNames();
   }
+  return Boolean(cwd);
+}
+
+ipcMain.handle('rename-terminal', (_event, { id, newTitle }) => {
+  renameTerminal(id, newTitle);
   return true;
 });
 
@@ -476,12 +3744,19 @@ ipcMain.handle('rename-directory', (_event, { cwd, newName }) => {
 // --- Favorites IPC ---
 
 ipcMain.handle('get-favorites', () => {
-  return favorites.map(f => ({ name: resolveDirectoryName(f.cwd), cwd: f.cwd }));
+  return favorites.map(f => ({
+    name: resolveDirectoryName(f.cwd),
+    cwd: f.cwd,
+    profileId: f.profileId,
+    startup: f.startup,
+    git: getGitStatus(f.cwd),
+    remote: Boolean(parseRemoteLocation(f.cwd)),
+  }));
 });
 
-ipcMain.handle('add-favorite', (_event, { name, cwd }) => {
+ipcMain.handle('add-favorite', (_event, { name, cwd, profileId }) => {
   if (favorites.some(f => f.cwd === cwd)) return false;
-  favorites.push({ cwd });
+  favorites.push(profileId ? { cwd, profileId } : { cwd });
   // If a custom name was provided and no registry entry exists, add it
   if (name && name !== path.basename(cwd)) {
     if (!directoryNames[cwd]) {
@@ -490,6 +3765,7 @@ ipcMain.handle('add-favorite', (_event, { name, cwd }) => {
     }
   }
   persistFavorites();
+  syncGitWatches();
   return true;
 });
 
@@ -498,6 +3774,7 @@ ipcMain.handle('remove-favorite', (_event, cwd) => {
   favorites = favorites.filter(f => f.cwd !== cwd);
   if (favorites.length !== before) {
     persistFavorites();
+    syncGitWatches();
   }
   return true;
 });
@@ -511,6 +3788,266 @@ ipcMain.handle('rename-favorite', (_event, { cwd, newName }) => {
   return true;
 });
 
+ipcMain.handle('set-favorite-profile', (_event, { cwd, profileId }) => {
+  const fav = favorites.find(f => f.cwd === cwd);
+  if (!fav) return false;
+  if (profileId && profileId !== DEFAULT_PROFILE_ID) {
+    fav.profileId = profileId;
+  } else {
+    delete fav.profileId;
+  }
+  persistFavorites();
+  return true;
+});
+
+ipcMain.handle('set-favorite-startup', (_event, { cwd, startup }) => {
+  const fav = favorites.find(f => f.cwd === cwd);
+  if (!fav) return false;
+  const sanitized = sanitizeStartup(startup);
+  if (sanitized) {
+    fav.startup = sanitized;
+  } else {
+    delete fav.startup;
+  }
+  persistFavorites();
+  return true;
+});
+
+// --- Workspace IPC ---
+
+ipcMain.handle('get-workspaces', () => {
+  return workspaces.map(ws => ({
+    ...ws,
+    liveCount: [...terminals.values()].filter(term => term.workspaceId === ws.id).length,
+  }));
+});
+
+ipcMain.handle('save-workspace', (_event, input) => {
+  const ws = sanitizeWorkspace(input);
+  if (!ws) return { error: 'A workspace needs a name' };
+  const index = workspaces.findIndex(w => w.id === ws.id);
+  if (index >= 0) {
+    workspaces[index] = ws;
+  } else {
+    workspaces.push(ws);
+  }
+  persistWorkspaces();
+  pruneWorkspaceRefs();
+  return ws;
+});
+
+ipcMain.handle('remove-workspace', (_event, workspaceId) => {
+  workspaces = workspaces.filter(w => w.id !== workspaceId);
+  persistWorkspaces();
+  pruneWorkspaceRefs();
+  return true;
+});
+
+// Snapshots live terminals into a new workspace and assigns them to it
+ipcMain.handle('create-workspace-from-terminals', (_event, { name, ids }) => {
+  const ws = sanitizeWorkspace({ name, terminals: [] });
+  if (!ws) return { error: 'A workspace needs a name' };
+  workspaces.push(ws);
+  for (const id of ids || []) {
+    addTerminalToWorkspace(id, ws.id);
+  }
+  persistWorkspaces();
+  return ws;
+});
+
+ipcMain.handle('add-to-workspace', (_event, { id, workspaceId }) => {
+  return addTerminalToWorkspace(id, workspaceId);
+});
+
+ipcMain.handle('remove-from-workspace', (_event, id) => {
+  const term = terminals.get(id);
+  if (!term?.workspaceDefId) return false;
+  for (const ws of workspaces) {
+    ws.terminals = ws.terminals.filter(def => def.id !== term.workspaceDefId);
+  }
+  persistWorkspaces();
+  pruneWorkspaceRefs();
+  return true;
+});
+
+ipcMain.handle('launch-workspace', (_event, workspaceId) => {
+  return launchWorkspace(workspaceId);
+});
+
+ipcMain.handle('kill-workspace', (_event, workspaceId) => {
+  killWorkspace(workspaceId);
+  return true;
+});
+
+// --- Shell profile IPC ---
+
+ipcMain.handle('get-profiles', () => {
+  return getProfiles();
+});
+
+ipcMain.handle('save-profile', (_event, input) => {
+  if (input?.id === DEFAULT_PROFILE_ID) return { error: 'The default profile cannot be edited' };
+  const profile = sanitizeProfile(input);
+  if (!profile) return { error: 'A profile needs an executable' };
+  const index = shellProfiles.findIndex(p => p.id === profile.id);
+  if (index >= 0) {
+    shellProfiles[index] = profile;
+  } else {
+    shellProfiles.push(profile);
+  }
+  persistProfiles();
+  return profile;
+});
+
+ipcMain.handle('remove-profile', (_event, profileId) => {
+  const before = shellProfiles.length;
+  shellProfiles = shellProfiles.filter(p => p.id !== profileId);
+  if (shellProfiles.length !== before) {
+    persistProfiles();
+  }
+  return true;
+});
+
+// --- Output trigger IPC ---
+
+ipcMain.handle('get-triggers', () => {
+  return outputTriggers;
+});
+
+ipcMain.handle('save-trigger', (_event, input) => {
+  const trigger = sanitizeTrigger(input);
+  if (!trigger) {
+    if (!input?.pattern) return { error: 'A trigger needs a pattern' };
+    try {
+      new RegExp(input.pattern);
+    } catch (err) {
+      return { error: `Invalid pattern: ${err.message}` };
+    }
+    return { error: 'Invalid trigger' };
+  }
+  const index = outputTriggers.findIndex(t => t.id === trigger.id);
+  if (index >= 0) {
+    outputTriggers[index] = trigger;
+  } else {
+    outputTriggers.push(trigger);
+  }
+  compileTriggers();
+  persistTriggers();
+  return trigger;
+});
+
+ipcMain.handle('remove-trigger', (_event, triggerId) => {
+  const before = outputTriggers.length;
+  outputTriggers = outputTriggers.filter(t => t.id !== triggerId);
+  if (outputTriggers.length !== before) {
+    compileTriggers();
+    persistTriggers();
+  }
+  return true;
+});
+
+// --- Command history IPC ---
+
+ipcMain.handle('get-history-directories', () => {
+  return Object.entries(commandHistory)
+    .filter(([, list]) => list.length > 0)
+    .map(([cwd, list]) => ({ cwd, name: resolveDirectoryName(cwd), count: list.length, lastRun: list[list.length - 1].startedAt }))
+    .sort((a, b) => b.lastRun - a.lastRun);
+});
+
+// Newest first
+ipcMain.handle('get-command-history', (_event, cwd) => {
+  return [...(commandHistory[cwd] || [])].reverse();
+});
+
+ipcMain.handle('clear-command-history', (_event, cwd) => {
+  if (commandHistory[cwd]) {
+    delete commandHistory[cwd];
+    persistCommandHistory();
+  }
+  return true;
+});
+
+// --- Recording IPC ---
+
+ipcMain.handle('start-recording', (_event, id) => {
+  return startRecording(id);
+});
+
+ipcMain.handle('stop-recording', (_event, id) => {
+  return stopRecording(terminals.get(id));
+});
+
+ipcMain.handle('list-recordings', async () => {
+  let names;
+  try {
+    names = await fs.promises.readdir(getRecordingsDir());
+  } catch {
+    return [];
+  }
+  const recordings = [];
+  for (const name of names.filter(n => n.endsWith('.cast'))) {
+    const filePath = path.join(getRecordingsDir(), name);
+    try {
+      const stat = await fs.promises.stat(filePath);
+      recordings.push({ path: filePath, name, size: stat.size, mtime: stat.mtimeMs });
+    } catch {
+      // removed while listing
+    }
+  }
+  return recordings.sort((a, b) => b.mtime - a.mtime);
+});
+
+ipcMain.handle('read-recording', async (_event, filePath) => {
+  try {
+    return await fs.promises.readFile(filePath, 'utf-8');
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('save-export', async (_event, { defaultName, format, content }) => {
+  const filters = {
+    text: [{ name: 'Text', extensions: ['txt', 'log'] }],
+    ansi: [{ name: 'ANSI text', extensions: ['ans', 'log', 'txt'] }],
+    html: [{ name: 'HTML', extensions: ['html'] }],
+  }[format] || [];
+  const result = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: path.join(app.getPath('documents'), defaultName),
+    filters,
+  });
+  if (result.canceled || !result.filePath) return null;
+  try {
+    await fs.promises.writeFile(result.filePath, content);
+  } catch (err) {
+    return { error: err.message };
+  }
+  return result.filePath;
+});
+
+ipcMain.handle('open-recording-dialog', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile'],
+    filters: [{ name: 'asciicast', extensions: ['cast'] }, { name: 'All files', extensions: ['*'] }],
+  });
+  if (result.canceled || result.filePaths.length === 0) return null;
+  return result.filePaths[0];
+});
+
+ipcMain.handle('delete-recording', async (_event, filePath) => {
+  // Only recordings we made can be deleted from the app
+  if (path.dirname(filePath) !== getRecordingsDir()) return false;
+  for (const [, term] of terminals) {
+    if (term.recording?.path === filePath) return false;
+  }
+  try {
+    await fs.promises.unlink(filePath);
+  } catch {
+    return false;
+  }
+  return true;
+});
+
 // --- Dashboard IPC ---
 
 ipcMain.handle('get-dashboard-data', () => {
@@ -522,15 +4059,107 @@ ipcMain.handle('get-dashboard-data', () => {
       cwd: term.cwd,
       tailText: term.tailBuffer || '',
       lastDataTime: term.lastDataTime || 0,
+      shell: term.shell,
+      git: getGitStatus(term.cwd),
+      keepAlive: term.keepAlive,
+      restarts: term.restarts,
+      restarting: term.restarting,
+    });
+  }
+  return { terminals: termList, recentExits: recentExits.map(({ output, ...exit }) => exit) };
+});
+
+ipcMain.handle('get-exit-output', (_event, exitId) => {
+  const exit = recentExits.find(e => e.exitId === exitId);
+  return exit ? exit.output || '' : null;
+});
+
+ipcMain.handle('clear-exit-history', () => {
+  recentExits.length = 0;
+  persistExits();
+  return true;
+});
+
+// --- Output search (search-worker.js runs the pattern) ---
+
+const SEARCH_MAX_HITS = 500;
+const SEARCH_TIMEOUT_MS = 5000; // a pathological regex is stopped after this long
+
+let searchWorker = null; // the search in flight; a newer one replaces it
+
+function runSearch(sources, options) {
+  searchWorker?.terminate();
+  return new Promise((resolve) => {
+    const worker = new Worker(path.join(__dirname, 'search-worker.js'), {
+      workerData: { sources, options, maxHits: SEARCH_MAX_HITS },
+    });
+    searchWorker = worker;
+    // Whichever of these comes first answers; a replaced search's answer is dropped by the renderer
+    const timer = setTimeout(() => {
+      resolve({ error: `The search took longer than ${SEARCH_TIMEOUT_MS / 1000}s; try a simpler pattern` });
+      worker.terminate();
+    }, SEARCH_TIMEOUT_MS);
+    worker.once('message', (result) => {
+      clearTimeout(timer);
+      resolve(result);
+    });
+    worker.once('error', (err) => {
+      clearTimeout(timer);
+      resolve({ error: err.message });
+    });
+    worker.once('exit', () => {
+      clearTimeout(timer);
+      if (searchWorker === worker) searchWorker = null;
+      resolve({ results: [], truncated: false });
+    });
+  });
+}
+
+ipcMain.handle('search-output', (_event, options) => {
+  if (!options?.query) return { results: [], truncated: false };
+
+  const sources = [];
+  for (const t of listTerminals()) {
+    if (t.ghost) continue;
+    sources.push({ id: t.id, live: true, title: t.title, cwd: t.cwd, lines: toPlainLines(terminals.get(t.id).scrollback) });
+  }
+  for (const exit of recentExits) {
+    sources.push({
+      id: exit.id,
+      live: false,
+      title: exit.title,
+      cwd: exit.cwd,
+      exitCode: exit.exitCode,
+      exitId: exit.exitId,
+      timestamp: exit.timestamp,
+      lines: toPlainLines(exit.output || ''),
     });
   }
-  return { terminals: termList, recentExits: [...recentExits] };
+  return runSearch(sources, {
+    query: String(options.query),
+    regex: Boolean(options.regex),
+    caseSensitive: Boolean(options.caseSensitive),
+  });
 });
 
 ipcMain.handle('get-system-stats', () => {
   return getSystemStats();
 });
 
+ipcMain.handle('get-process-trees', () => getProcessTrees());
+
+// Only pids seen in the terminal's tree at the last sample, so a stale or forged pid can't hit anything else
+ipcMain.handle('signal-process', (_event, { id, pid, signal }) => {
+  if (!PROCESS_SIGNALS.includes(signal)) return { error: `Unsupported signal: ${signal}` };
+  if (!processTreePids.get(id)?.has(pid)) return { error: 'Process is not part of this terminal' };
+  try {
+    process.kill(pid, signal);
+  } catch (err) {
+    return { error: err.message };
+  }
+  return true;
+});
+
 // --- Dude IPC ---
 
 ipcMain.handle('dude-check-installed', () => {
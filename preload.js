@@ -2,23 +2,89 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('termParty', {
   selectDirectory: () => ipcRenderer.invoke('select-directory'),
-  createTerminal: (cwd) => ipcRenderer.invoke('create-terminal', cwd),
+  createTerminal: (cwd, options) => ipcRenderer.invoke('create-terminal', { cwd, ...options }),
   killTerminal: (id) => ipcRenderer.invoke('kill-terminal', id),
-  getTerminals: () => ipcRenderer.invoke('get-terminals'),
+  listTmuxSessions: () => ipcRenderer.invoke('list-tmux-sessions'),
+  attachTmuxSession: (session, workspaceId) => ipcRenderer.invoke('attach-tmux-session', session, workspaceId),
+  getTerminalScrollback: (id) => ipcRenderer.invoke('get-terminal-scrollback', id),
+  getDaemonStatus: () => ipcRenderer.invoke('get-daemon-status'),
+  quitAndKillAll: () => ipcRenderer.invoke('quit-and-kill-all'),
+  stopAndKillTerminal: (id) => ipcRenderer.invoke('stop-and-kill-terminal', id),
+  getTerminals: (workspaceId) => ipcRenderer.invoke('get-terminals', workspaceId),
   removeSavedTerminal: (index) => ipcRenderer.invoke('remove-saved-terminal', index),
+  restoreSavedTerminal: (index) => ipcRenderer.invoke('restore-saved-terminal', index),
+  getSavedScrollback: (index) => ipcRenderer.invoke('get-saved-scrollback', index),
   renameTerminal: (id, newTitle) => ipcRenderer.invoke('rename-terminal', { id, newTitle }),
-  setTerminalOrder: (order) => ipcRenderer.invoke('set-terminal-order', order),
+  setTerminalKeepAlive: (id, keepAlive) => ipcRenderer.invoke('set-terminal-keep-alive', { id, keepAlive }),
+  setTerminalNotify: (id, notify) => ipcRenderer.invoke('set-terminal-notify', { id, notify }),
+  setTerminalStartup: (id, startup) => ipcRenderer.invoke('set-terminal-startup', { id, startup }),
+  runStartupCommands: (id) => ipcRenderer.invoke('run-startup-commands', id),
+  setTerminalOrder: (order, workspaceId) => ipcRenderer.invoke('set-terminal-order', { order, workspaceId }),
+  getLayouts: () => ipcRenderer.invoke('get-layouts'),
+  setLayouts: (layouts) => ipcRenderer.invoke('set-layouts', layouts),
 
   getFavorites: () => ipcRenderer.invoke('get-favorites'),
-  addFavorite: (name, cwd) => ipcRenderer.invoke('add-favorite', { name, cwd }),
+  addFavorite: (name, cwd, profileId) => ipcRenderer.invoke('add-favorite', { name, cwd, profileId }),
   removeFavorite: (cwd) => ipcRenderer.invoke('remove-favorite', cwd),
   renameFavorite: (cwd, newName) => ipcRenderer.invoke('rename-favorite', { cwd, newName }),
   renameDirectory: (cwd, newName) => ipcRenderer.invoke('rename-directory', { cwd, newName }),
+  setFavoriteProfile: (cwd, profileId) => ipcRenderer.invoke('set-favorite-profile', { cwd, profileId }),
+  setFavoriteStartup: (cwd, startup) => ipcRenderer.invoke('set-favorite-startup', { cwd, startup }),
+
+  // Workspaces
+  getWorkspaces: () => ipcRenderer.invoke('get-workspaces'),
+  saveWorkspace: (workspace) => ipcRenderer.invoke('save-workspace', workspace),
+  removeWorkspace: (id) => ipcRenderer.invoke('remove-workspace', id),
+  createWorkspaceFromTerminals: (name, ids) => ipcRenderer.invoke('create-workspace-from-terminals', { name, ids }),
+  addToWorkspace: (id, workspaceId) => ipcRenderer.invoke('add-to-workspace', { id, workspaceId }),
+  removeFromWorkspace: (id) => ipcRenderer.invoke('remove-from-workspace', id),
+
+  // LAN sharing
+  shareTerminal: (id, options) => ipcRenderer.invoke('share-terminal', id, options),
+  stopSharing: (id) => ipcRenderer.invoke('stop-sharing', id),
+  getShares: () => ipcRenderer.invoke('get-shares'),
+  setGuestPermission: (id, guestId, permission) => ipcRenderer.invoke('set-guest-permission', id, guestId, permission),
+  kickGuest: (id, guestId) => ipcRenderer.invoke('kick-guest', id, guestId),
+  launchWorkspace: (id) => ipcRenderer.invoke('launch-workspace', id),
+  killWorkspace: (id) => ipcRenderer.invoke('kill-workspace', id),
+
+  // Shell profiles
+  getProfiles: () => ipcRenderer.invoke('get-profiles'),
+  saveProfile: (profile) => ipcRenderer.invoke('save-profile', profile),
+  removeProfile: (id) => ipcRenderer.invoke('remove-profile', id),
+
+  // Output triggers
+  getTriggers: () => ipcRenderer.invoke('get-triggers'),
+  saveTrigger: (trigger) => ipcRenderer.invoke('save-trigger', trigger),
+  removeTrigger: (id) => ipcRenderer.invoke('remove-trigger', id),
 
   // Dashboard
   getDashboardData: () => ipcRenderer.invoke('get-dashboard-data'),
+  getProcessTrees: () => ipcRenderer.invoke('get-process-trees'),
+  signalProcess: (id, pid, signal) => ipcRenderer.invoke('signal-process', { id, pid, signal }),
+  getExitOutput: (exitId) => ipcRenderer.invoke('get-exit-output', exitId),
+  clearExitHistory: () => ipcRenderer.invoke('clear-exit-history'),
   getSystemStats: () => ipcRenderer.invoke('get-system-stats'),
 
+  // Command history
+  getHistoryDirectories: () => ipcRenderer.invoke('get-history-directories'),
+  getCommandHistory: (cwd) => ipcRenderer.invoke('get-command-history', cwd),
+  clearCommandHistory: (cwd) => ipcRenderer.invoke('clear-command-history', cwd),
+
+  // Recordings
+  startRecording: (id) => ipcRenderer.invoke('start-recording', id),
+  stopRecording: (id) => ipcRenderer.invoke('stop-recording', id),
+  listRecordings: () => ipcRenderer.invoke('list-recordings'),
+  readRecording: (path) => ipcRenderer.invoke('read-recording', path),
+  openRecordingDialog: () => ipcRenderer.invoke('open-recording-dialog'),
+  deleteRecording: (path) => ipcRenderer.invoke('delete-recording', path),
+
+  // Export
+  saveExport: (defaultName, format, content) => ipcRenderer.invoke('save-export', { defaultName, format, content }),
+
+  // Search
+  searchOutput: (options) => ipcRenderer.invoke('search-output', options),
+
   // Dude
   dudeCheckInstalled: () => ipcRenderer.invoke('dude-check-installed'),
   dudeListProjects: () => ipcRenderer.invoke('dude-list-projects'),
@@ -28,6 +94,7 @@ contextBridge.exposeInMainWorld('termParty', {
 
   sendInput: (id, data) => ipcRenderer.send('terminal-input', { id, data }),
   resize: (id, cols, rows) => ipcRenderer.send('terminal-resize', { id, cols, rows }),
+  setVisibleTerminals: (ids) => ipcRenderer.send('set-visible-terminals', ids),
 
   onData: (callback) => {
     const listener = (_event, payload) => callback(payload);
@@ -41,4 +108,62 @@ contextBridge.exposeInMainWorld('termParty', {
     return () => ipcRenderer.removeListener('terminal-exited', listener);
   },
 
+  onGitStatus: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('git-status', listener);
+    return () => ipcRenderer.removeListener('git-status', listener);
+  },
+  onForegroundChange: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('terminal-foreground', listener);
+    return () => ipcRenderer.removeListener('terminal-foreground', listener);
+  },
+  onCwdChange: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('terminal-cwd', listener);
+    return () => ipcRenderer.removeListener('terminal-cwd', listener);
+  },
+
+  onCommand: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('terminal-command', listener);
+    return () => ipcRenderer.removeListener('terminal-command', listener);
+  },
+
+  onTrigger: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('terminal-trigger', listener);
+    return () => ipcRenderer.removeListener('terminal-trigger', listener);
+  },
+
+  onOpenWorkspace: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('open-workspace', listener);
+    return () => ipcRenderer.removeListener('open-workspace', listener);
+  },
+
+  onTerminalsChanged: (callback) => {
+    const listener = () => callback();
+    ipcRenderer.on('terminals-changed', listener);
+    return () => ipcRenderer.removeListener('terminals-changed', listener);
+  },
+
+  onGuestConnect: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('guest-connect', listener);
+    return () => ipcRenderer.removeListener('guest-connect', listener);
+  },
+
+  onGuestDisconnect: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('guest-disconnect', listener);
+    return () => ipcRenderer.removeListener('guest-disconnect', listener);
+  },
+
+  onFocusTerminal: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('focus-terminal', listener);
+    return () => ipcRenderer.removeListener('focus-terminal', listener);
+  },
+
 });
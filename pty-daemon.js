@@ -0,0 +1,221 @@
+// Background owner of term-party's PTYs, so shells outlive the window.
+// main.js starts it detached (Electron in node mode) and talks to it over a Unix
+// socket, or a named pipe on Windows, one JSON message per line.
+//
+// Requests carry a numeric `id` and get { type: 'reply', id, result } or { type: 'reply', id, error }:
+//   hello, spawn { key, command, args, cwd, env, cols, rows, meta }, list, shutdown
+// Fire-and-forget: write { key, data }, resize { key, cols, rows }, kill { key, signal }, ack-exit { key }
+// Pushed to every client: data { key, data }, exit { key, exitCode, signal }, process { key, name }
+// An exited pty is kept (and listed with its exit) until a client acks the exit, so an exit
+// broadcast to a window that is going away isn't lost.
+
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const pty = require('node-pty');
+
+const PROTOCOL_VERSION = 1;
+const BUFFER_SIZE = 512 * 1024; // chars of recent output replayed on reattach
+const IDLE_EXIT_MS = 60 * 1000; // no live shells and no clients for this long: exit
+const PROCESS_POLL_MS = 1000;
+
+const socketPath = process.argv[2];
+const ptys = new Map(); // key -> { pty, meta, cols, rows, buffer, process, exit }
+const clients = new Set();
+let idleTimer = null;
+
+process.chdir(os.homedir());
+
+function send(client, message) {
+  if (!client.destroyed) client.write(JSON.stringify(message) + '\n');
+}
+
+function broadcast(message) {
+  for (const client of clients) send(client, message);
+}
+
+function scheduleIdleExit() {
+  clearTimeout(idleTimer);
+  idleTimer = null;
+  if (clients.size > 0 || [...ptys.values()].some(entry => !entry.exit)) return;
+  idleTimer = setTimeout(shutdown, IDLE_EXIT_MS);
+}
+
+// --- PTYs ---
+
+function spawnPty({ key, command, args, cwd, env, cols, rows, meta }) {
+  const proc = pty.spawn(command, args, { name: 'xterm-256color', cols, rows, cwd, env });
+  const entry = { pty: proc, meta: meta || {}, cols, rows, buffer: '', process: null, exit: null };
+  ptys.set(key, entry);
+
+  proc.onData((data) => {
+    entry.buffer += data;
+    // Trim with some slack so we don't re-slice on every chunk once full
+    if (entry.buffer.length > BUFFER_SIZE * 1.25) entry.buffer = entry.buffer.slice(-BUFFER_SIZE);
+    broadcast({ type: 'data', key, data });
+  });
+  proc.onExit(({ exitCode, signal }) => {
+    entry.exit = { exitCode, signal, at: Date.now() };
+    broadcast({ type: 'exit', key, exitCode, signal });
+    scheduleIdleExit();
+  });
+  return proc.pid;
+}
+
+// Exited entries are handed over once and then forgotten
+function listPtys() {
+  const list = [];
+  for (const [key, entry] of ptys) {
+    list.push({
+      key,
+      pid: entry.pty.pid,
+      meta: entry.meta,
+      cols: entry.cols,
+      rows: entry.rows,
+      buffer: entry.buffer.slice(-BUFFER_SIZE),
+      exit: entry.exit,
+    });
+    if (entry.exit) ptys.delete(key);
+  }
+  return list;
+}
+
+// node-pty reads the tty's foreground process on demand; push changes instead of polling over the socket
+function pollProcesses() {
+  for (const [key, entry] of ptys) {
+    if (entry.exit) continue;
+    let name = null;
+    try {
+      name = entry.pty.process;
+    } catch {
+      // exiting
+    }
+    if (name === entry.process) continue;
+    entry.process = name;
+    broadcast({ type: 'process', key, name });
+  }
+}
+
+function shutdown() {
+  for (const [, entry] of ptys) {
+    if (entry.exit) continue;
+    try {
+      entry.pty.kill();
+    } catch {
+      // already gone
+    }
+  }
+  ptys.clear();
+  server.close();
+  if (process.platform !== 'win32') fs.rmSync(socketPath, { force: true });
+  process.exit(0);
+}
+
+// --- Protocol ---
+
+// Fire-and-forget messages; node-pty throws on bad sizes and unknown signals, which must not take
+// every shell down with the daemon
+function handleCommand(entry, message) {
+  try {
+    switch (message.type) {
+      case 'write':
+        entry.pty.write(message.data);
+        break;
+      case 'resize':
+        entry.pty.resize(message.cols, message.rows);
+        entry.cols = message.cols;
+        entry.rows = message.rows;
+        break;
+      case 'kill':
+        entry.pty.kill(message.signal);
+        break;
+    }
+  } catch {
+    // ignored, like a request for a pty that's gone
+  }
+}
+
+function handleMessage(client, message) {
+  const entry = ptys.get(message.key);
+  if (message.type === 'ack-exit') {
+    if (entry?.exit) ptys.delete(message.key);
+    return;
+  }
+  if (['write', 'resize', 'kill'].includes(message.type)) {
+    if (entry && !entry.exit) handleCommand(entry, message);
+    return;
+  }
+
+  let result;
+  try {
+    switch (message.type) {
+      case 'hello':
+        result = { version: PROTOCOL_VERSION, pid: process.pid };
+        break;
+      case 'spawn':
+        result = { pid: spawnPty(message) };
+        break;
+      case 'list':
+        result = listPtys();
+        break;
+      case 'shutdown':
+        send(client, { type: 'reply', id: message.id, result: true });
+        client.end(shutdown);
+        return;
+      default:
+        throw new Error(`Unknown request: ${message.type}`);
+    }
+  } catch (err) {
+    send(client, { type: 'reply', id: message.id, error: err.message });
+    return;
+  }
+  send(client, { type: 'reply', id: message.id, result });
+}
+
+const server = net.createServer((client) => {
+  clients.add(client);
+  scheduleIdleExit();
+  client.setEncoding('utf-8');
+
+  let pending = '';
+  client.on('data', (chunk) => {
+    pending += chunk;
+    let newline;
+    while ((newline = pending.indexOf('\n')) >= 0) {
+      const line = pending.slice(0, newline);
+      pending = pending.slice(newline + 1);
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      handleMessage(client, message);
+    }
+  });
+  client.on('error', () => {});
+  client.on('close', () => {
+    clients.delete(client);
+    scheduleIdleExit();
+  });
+});
+
+// A socket file left by a daemon that crashed would make listen fail with EADDRINUSE
+function listen() {
+  server.once('error', (err) => {
+    if (err.code !== 'EADDRINUSE' || process.platform === 'win32') process.exit(1);
+    const probe = net.connect(socketPath);
+    probe.once('connect', () => process.exit(0)); // another daemon is alive; let it be
+    probe.once('error', () => {
+      fs.rmSync(socketPath, { force: true });
+      server.listen(socketPath);
+    });
+  });
+  server.listen(socketPath, () => {
+    if (process.platform !== 'win32') fs.chmodSync(socketPath, 0o600);
+  });
+}
+
+listen();
+scheduleIdleExit();
+setInterval(pollProcesses, PROCESS_POLL_MS);
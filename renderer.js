@@ -5,8 +5,15 @@ const terminalListEl = document.getElementById('terminal-list');
 const containerEl = document.getElementById('terminal-container');
 const emptyStateEl = document.getElementById('empty-state');
 const addBtn = document.getElementById('add-terminal');
+const addRemoteBtn = document.getElementById('add-remote');
 const openFavoritesBtn = document.getElementById('open-favorites');
 const openDudeBtn = document.getElementById('open-dude');
+const openSettingsBtn = document.getElementById('open-settings');
+const openSearchBtn = document.getElementById('open-search');
+const workspaceSelectEl = document.getElementById('workspace-select');
+const workspaceMenuBtn = document.getElementById('workspace-menu-btn');
+const dirtyFilterBtn = document.getElementById('dirty-filter-btn');
+const broadcastBarEl = document.getElementById('broadcast-bar');
 const appTitleEl = document.getElementById('app-title');
 const viewerEl = document.getElementById('viewer');
 
@@ -15,9 +22,17 @@ const termViews = new Map();
 // Map of string -> { wrapper, onActivate?, onDeactivate? }
 const specialViews = new Map();
 
-let activeViewId = null; // number (terminal) or string ('dashboard', 'favorites', 'dude')
+let activeViewId = null; // number (terminal) or string ('dashboard', 'favorites', 'dude', 'settings')
 let currentFavorites = [];
 let favoriteCwds = new Set();
+let currentProfiles = []; // shell profiles, built-in default first
+let selectedGhost = null; // { index, cwd, title } shown in the read-only ghost view
+let currentWorkspaces = [];
+let activeWorkspaceId = null; // sidebar filter; null shows every terminal
+const broadcastIds = new Set(); // terminals whose input is mirrored to each other
+const highlightedIds = new Set(); // terminals flagged by a highlight trigger until viewed
+let dirtyOnly = false; // sidebar filter: only terminals whose repo has uncommitted changes
+let currentTriggers = [];
 
 // ---- Context menu ----
 
@@ -30,6 +45,79 @@ document.addEventListener('click', () => {
   ctxMenu.style.display = 'none';
 });
 
+// items: array of { label, action, checked? } or { separator: true }
+function showContextMenu(x, y, items) {
+  ctxMenu.innerHTML = '';
+  for (const item of items) {
+    const el = document.createElement('div');
+    if (item.separator) {
+      el.className = 'ctx-menu-separator';
+      ctxMenu.appendChild(el);
+      continue;
+    }
+    el.className = 'ctx-menu-item' + (item.checked ? ' checked' : '');
+    el.textContent = item.label;
+    el.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      ctxMenu.style.display = 'none';
+      item.action();
+    });
+    ctxMenu.appendChild(el);
+  }
+  ctxMenu.style.left = x + 'px';
+  ctxMenu.style.top = y + 'px';
+  ctxMenu.style.display = '';
+}
+
+// ---- Modal dialog ----
+
+// content is a DOM node; onConfirm may return false to keep the dialog open
+function openModal({ title, content, confirmLabel = 'Save', onConfirm }) {
+  const backdrop = document.createElement('div');
+  backdrop.className = 'modal-backdrop';
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+
+  const header = document.createElement('div');
+  header.className = 'modal-title';
+  header.textContent = title;
+  modal.appendChild(header);
+  modal.appendChild(content);
+
+  const actions = document.createElement('div');
+  actions.className = 'modal-actions';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'panel-btn';
+  cancelBtn.textContent = 'Cancel';
+  const confirmBtn = document.createElement('button');
+  confirmBtn.className = 'panel-btn primary';
+  confirmBtn.textContent = confirmLabel;
+  actions.append(cancelBtn, confirmBtn);
+  modal.appendChild(actions);
+
+  backdrop.appendChild(modal);
+  document.body.appendChild(backdrop);
+
+  function close() {
+    backdrop.remove();
+  }
+  cancelBtn.addEventListener('click', close);
+  backdrop.addEventListener('mousedown', (e) => {
+    if (e.target === backdrop) close();
+  });
+  modal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') close();
+    e.stopPropagation();
+  });
+  confirmBtn.addEventListener('click', async () => {
+    if ((await onConfirm()) !== false) close();
+  });
+
+  const firstField = content.querySelector('input, textarea, select');
+  if (firstField) firstField.focus();
+  return { close };
+}
+
 // ---- Special view system ----
 
 function registerSpecialView(id, { buildFn, onActivate, onDeactivate }) {
@@ -100,44 +188,265 @@ function activateTerminal(id) {
 
   if (activeViewId === id) return;
 
-  // Hide previous terminal wrapper
-  if (typeof activeViewId === 'number') {
-    const prev = termViews.get(activeViewId);
-    if (prev) prev.wrapper.style.display = 'none';
-  }
-
   activeViewId = id;
   emptyStateEl.style.display = 'none';
 
-  let view = termViews.get(id);
-  if (!view) {
-    createTermView(id);
-    view = termViews.get(id);
-  }
+  if (!termViews.has(id)) createReplayedView(id);
 
-  view.wrapper.style.display = '';
-  if (!view.opened) {
-    view.xterm.open(view.wrapper);
-    view.opened = true;
-  }
-  view.fitAddon.fit();
-  view.xterm.focus();
+  // Shows the terminal alone, or the whole split it belongs to
+  mountLayout(id);
+  fitVisiblePanes();
+  focusPane(id);
 
-  window.termParty.resize(id, view.xterm.cols, view.xterm.rows);
   updateSidebarActiveStates();
   refreshList();
 }
 
+// ---- Split panes ----
+
+// Layout trees: { split: 'row' | 'column', children: [a, b], sizes: [a, b] } with leaves { id }.
+// Leaves with only a sessionId belong to saved terminals that haven't been restored yet.
+let layouts = [];
+let mountedLayout = null; // layout tree currently in #terminal-container (null = a single terminal)
+let mountedPaneIds = []; // terminal ids visible in the viewer, in layout order
+let paneRootEl = null;
+
+async function loadLayouts() {
+  layouts = await window.termParty.getLayouts();
+}
+
+function saveLayouts() {
+  window.termParty.setLayouts(layouts);
+}
+
+// Same semantics as mapLayout in main.js: a null leaf drops out and its split collapses
+function mapLayout(node, fn) {
+  if (!node) return null;
+  if (!node.split) return fn(node);
+  const children = node.children.map(child => mapLayout(child, fn));
+  if (children[0] && children[1]) return { ...node, children };
+  return children[0] || children[1];
+}
+
+function layoutsWithout(id) {
+  return layouts
+    .map(layout => mapLayout(layout, leaf => (leaf.id === id ? null : leaf)))
+    .filter(layout => layout?.split);
+}
+
+function hasLiveLeaf(node) {
+  return node.split ? node.children.some(hasLiveLeaf) : typeof node.id === 'number';
+}
+
+function firstLiveLeafId(node) {
+  if (!node) return null;
+  if (!node.split) return typeof node.id === 'number' ? node.id : null;
+  return firstLiveLeafId(node.children[0]) ?? firstLiveLeafId(node.children[1]);
+}
+
+function layoutContains(node, id) {
+  return node.split ? node.children.some(child => layoutContains(child, id)) : node.id === id;
+}
+
+function findLayout(id) {
+  return layouts.find(layout => layoutContains(layout, id)) || null;
+}
+
+function unmountLayout() {
+  // Park every wrapper back in the container, hidden
+  for (const [, view] of termViews) {
+    view.wrapper.style.display = 'none';
+    if (view.wrapper.parentElement !== containerEl) containerEl.appendChild(view.wrapper);
+  }
+  if (paneRootEl) {
+    paneRootEl.remove();
+    paneRootEl = null;
+  }
+  mountedLayout = null;
+  mountedPaneIds = [];
+}
+
+function mountLayout(id) {
+  const layout = findLayout(id);
+  if (!layout || layout !== mountedLayout) {
+    unmountLayout();
+    if (layout) {
+      paneRootEl = buildLayoutEl(layout, mountedPaneIds);
+      containerEl.appendChild(paneRootEl);
+      mountedLayout = layout;
+    } else {
+      mountedPaneIds = [id];
+    }
+  }
+  for (const paneId of mountedPaneIds) {
+    const view = termViews.get(paneId);
+    view.wrapper.style.display = '';
+    if (!view.opened) {
+      view.xterm.open(view.wrapper);
+      view.opened = true;
+    }
+  }
+}
+
+function buildLayoutEl(node, ids) {
+  if (!node.split) {
+    if (!termViews.has(node.id)) createReplayedView(node.id);
+    const pane = document.createElement('div');
+    pane.className = 'pane';
+    pane.dataset.id = node.id;
+    pane.appendChild(termViews.get(node.id).wrapper);
+    ids.push(node.id);
+    return pane;
+  }
+
+  // Splits whose other side is still a ghost show just the live side
+  const live = node.children.filter(hasLiveLeaf);
+  if (live.length === 1) return buildLayoutEl(live[0], ids);
+
+  const el = document.createElement('div');
+  el.className = `split split-${node.split}`;
+  const [first, second] = node.children.map(child => buildLayoutEl(child, ids));
+  first.style.flex = `${node.sizes[0]} 1 0`;
+  second.style.flex = `${node.sizes[1]} 1 0`;
+
+  const splitter = document.createElement('div');
+  splitter.className = 'splitter';
+  splitter.addEventListener('mousedown', (e) => startSplitterDrag(e, node, el, first, second));
+
+  el.append(first, splitter, second);
+  return el;
+}
+
+function startSplitterDrag(e, node, el, first, second) {
+  e.preventDefault();
+  const horizontal = node.split === 'row';
+  const rect = el.getBoundingClientRect();
+  document.body.classList.add(horizontal ? 'resizing-cols' : 'resizing-rows');
+
+  function onMove(ev) {
+    const offset = horizontal ? ev.clientX - rect.left : ev.clientY - rect.top;
+    const ratio = Math.min(0.9, Math.max(0.1, offset / (horizontal ? rect.width : rect.height)));
+    // Sizes live on the layout node itself, so the next mount keeps them
+    node.sizes = [ratio, 1 - ratio];
+    first.style.flex = `${ratio} 1 0`;
+    second.style.flex = `${1 - ratio} 1 0`;
+  }
+
+  function onUp() {
+    document.removeEventListener('mousemove', onMove);
+    document.removeEventListener('mouseup', onUp);
+    document.body.classList.remove('resizing-cols', 'resizing-rows');
+    fitVisiblePanes();
+    saveLayouts();
+  }
+
+  document.addEventListener('mousemove', onMove);
+  document.addEventListener('mouseup', onUp);
+}
+
+function fitVisiblePanes() {
+  for (const paneId of mountedPaneIds) {
+    const view = termViews.get(paneId);
+    if (!view?.opened) continue;
+    view.fitAddon.fit();
+    window.termParty.resize(paneId, view.xterm.cols, view.xterm.rows);
+  }
+}
+
+function markFocusedPane(id) {
+  for (const pane of containerEl.querySelectorAll('.pane')) {
+    pane.classList.toggle('focused', Number(pane.dataset.id) === id);
+  }
+}
+
+function focusPane(id) {
+  markFocusedPane(id);
+  termViews.get(id)?.xterm.focus();
+}
+
+// Puts newId next to targetId, taking it out of whatever split it was in before
+function splitWith(targetId, newId, direction) {
+  if (targetId === newId) return;
+  layouts = layoutsWithout(newId);
+  const node = { split: direction, children: [{ id: targetId }, { id: newId }], sizes: [1, 1] };
+  const existing = findLayout(targetId);
+  if (existing) {
+    layouts = layouts.map(layout => (layout === existing
+      ? mapLayout(layout, leaf => (leaf.id === targetId ? node : leaf))
+      : layout));
+  } else {
+    layouts.push(node);
+  }
+  saveLayouts();
+  remountActive(newId);
+}
+
+async function splitWithNewTerminal(direction) {
+  if (typeof activeViewId !== 'number') return;
+  const current = lastRenderedTerminals?.find(t => t.id === activeViewId);
+  const info = await createTerminal(current?.cwd, { profileId: current?.profileId });
+  splitWith(activeViewId, info.id, direction);
+}
+
+function closePane(id) {
+  if (!findLayout(id)) return;
+  layouts = layoutsWithout(id);
+  saveLayouts();
+  remountActive(activeViewId);
+}
+
+// Forces activateTerminal to rebuild the viewer after the layout tree changed
+function remountActive(id) {
+  unmountLayout();
+  // A special view is showing; the split gets rebuilt when a terminal is next activated
+  if (typeof id !== 'number') return;
+  activeViewId = null;
+  activateTerminal(id);
+}
+
+function moveFocus(key) {
+  if (typeof activeViewId !== 'number' || mountedPaneIds.length < 2) return;
+  const paneRect = paneId => termViews.get(paneId).wrapper.parentElement.getBoundingClientRect();
+  const from = paneRect(activeViewId);
+  const fromX = (from.left + from.right) / 2;
+  const fromY = (from.top + from.bottom) / 2;
+
+  let best = null;
+  let bestDist = Infinity;
+  for (const paneId of mountedPaneIds) {
+    if (paneId === activeViewId) continue;
+    const r = paneRect(paneId);
+    const inDirection =
+      (key === 'ArrowLeft' && r.right <= from.left + 1) ||
+      (key === 'ArrowRight' && r.left >= from.right - 1) ||
+      (key === 'ArrowUp' && r.bottom <= from.top + 1) ||
+      (key === 'ArrowDown' && r.top >= from.bottom - 1);
+    if (!inDirection) continue;
+    const dist = Math.hypot((r.left + r.right) / 2 - fromX, (r.top + r.bottom) / 2 - fromY);
+    if (dist < bestDist) {
+      best = paneId;
+      bestDist = dist;
+    }
+  }
+  if (best !== null) activateTerminal(best);
+}
+
 function updateSidebarActiveStates() {
   // Sidebar buttons
   openFavoritesBtn.classList.toggle('active', activeViewId === 'favorites');
   openDudeBtn.classList.toggle('active', activeViewId === 'dude');
+  openSettingsBtn.classList.toggle('active', activeViewId === 'settings');
+  openSearchBtn.classList.toggle('active', activeViewId === 'search');
+
+  reportVisibleTerminals();
 
   // Terminal list items
   for (const li of terminalListEl.querySelectorAll('li')) {
     const liId = li.dataset.id;
     if (liId && !li.classList.contains('ghost')) {
       li.classList.toggle('active', Number(liId) === activeViewId);
+    } else if (liId) {
+      li.classList.toggle('active', activeViewId === 'ghost' && liId === `ghost-${selectedGhost?.index}`);
     }
   }
 }
@@ -204,6 +513,15 @@ function terminalsChanged(terminals) {
   for (let i = 0; i < terminals.length; i++) {
     const a = terminals[i], b = lastRenderedTerminals[i];
     if (a.id !== b.id || a.title !== b.title || a.ghost !== b.ghost || a.cwd !== b.cwd) return true;
+    if (a.profileId !== b.profileId || JSON.stringify(a.startup) !== JSON.stringify(b.startup)) return true;
+    if (JSON.stringify(a.notify) !== JSON.stringify(b.notify)) return true;
+    if (JSON.stringify(a.keepAlive) !== JSON.stringify(b.keepAlive)) return true;
+    if (a.restarts !== b.restarts || a.restarting !== b.restarting) return true;
+    if (JSON.stringify(a.shell) !== JSON.stringify(b.shell)) return true;
+    if (a.recording !== b.recording) return true;
+    if (a.foreground?.name !== b.foreground?.name) return true;
+    if (JSON.stringify(a.git) !== JSON.stringify(b.git)) return true;
+    if (JSON.stringify(a.shared) !== JSON.stringify(b.shared)) return true;
     // Check if active/idle status flipped
     const aActive = !a.ghost && (now - a.lastDataTime) < 3000;
     const bActive = !b.ghost && (now - b.lastDataTime) < 3000;
@@ -218,7 +536,8 @@ function terminalsChanged(terminals) {
 
 let lastRenderedActiveViewId = null;
 
-function renderList(terminals) {
+function renderList(allTerminals) {
+  const terminals = dirtyOnly ? allTerminals.filter(t => t.git?.dirty) : allTerminals;
   // Skip full rebuild if nothing changed
   if (!terminalsChanged(terminals)) return;
   lastRenderedTerminals = terminals.map(t => ({ ...t }));
@@ -232,13 +551,16 @@ function renderList(terminals) {
 
     if (t.ghost) {
       li.classList.add('ghost');
+      li.classList.toggle('active', activeViewId === 'ghost' && t.id === `ghost-${selectedGhost?.index}`);
     } else {
       const isActive = (Date.now() - t.lastDataTime) < 3000;
       li.classList.add(isActive ? 'term-active' : 'term-idle');
+      li.classList.toggle('broadcast', broadcastIds.has(t.id));
+      li.classList.toggle('shared', Boolean(t.shared));
     }
 
-    // Drag-and-drop for non-ghost terminals
-    if (!t.ghost) {
+    // Drag-and-drop for non-ghost terminals; reordering a filtered list would drop the hidden ones
+    if (!t.ghost && !dirtyOnly) {
       li.draggable = true;
 
       li.addEventListener('dragstart', (e) => {
@@ -283,7 +605,7 @@ function renderList(terminals) {
         const insertIdx = e.clientY < midY ? targetIdx : targetIdx + 1;
         ids.splice(insertIdx, 0, draggedId);
 
-        window.termParty.setTerminalOrder(ids).then(() => refreshList());
+        window.termParty.setTerminalOrder(ids, activeWorkspaceId).then(() => refreshList());
       });
 
       li.addEventListener('dragend', () => {
@@ -294,11 +616,67 @@ function renderList(terminals) {
       });
     }
 
+    if (t.remote) li.appendChild(buildRemoteIcon());
+
     const title = document.createElement('span');
     title.className = 'term-title';
     title.textContent = t.title || t.cwd;
+    li.title = `${t.cwd}\n${getProfileName(t.profileId)}`;
     li.appendChild(title);
 
+    if (t.tmux) {
+      const tmuxEl = document.createElement('span');
+      tmuxEl.className = 'term-tmux';
+      tmuxEl.textContent = 'tmux';
+      li.title += `\ntmux session: ${t.tmux.session}`;
+      li.appendChild(tmuxEl);
+    }
+
+    if (t.restarts) {
+      const restartsEl = document.createElement('span');
+      restartsEl.className = 'term-restarts' + (t.restarting ? ' restarting' : '');
+      restartsEl.textContent = `\u21bb${t.restarts}`;
+      li.title += `\n${describeRestarts(t)}`;
+      li.appendChild(restartsEl);
+    }
+
+    if (t.foreground) {
+      const fgEl = document.createElement('span');
+      fgEl.className = 'term-fg';
+      fgEl.textContent = t.foreground.name;
+      li.title += `\nRunning: ${t.foreground.name}`;
+      li.appendChild(fgEl);
+    }
+
+    if (t.recording) {
+      const recEl = document.createElement('span');
+      recEl.className = 'term-rec';
+      recEl.textContent = '\u25cf';
+      recEl.title = 'Recording';
+      li.appendChild(recEl);
+    }
+
+    const commandStatus = describeCommandStatus(t.shell);
+    if (commandStatus) {
+      const cmdEl = document.createElement('span');
+      cmdEl.className = `term-cmd ${commandStatus.state}`;
+      cmdEl.textContent = commandStatus.short;
+      li.title += `\n${commandStatus.detail}`;
+      li.appendChild(cmdEl);
+    }
+
+    if (t.git) {
+      const gitEl = buildGitBadge(t.git);
+      li.title += `\n${gitEl.title}`;
+      li.appendChild(gitEl);
+    }
+
+    if (highlightedIds.has(t.id)) {
+      const badge = document.createElement('span');
+      badge.className = 'term-notify-badge';
+      li.appendChild(badge);
+    }
+
     const killBtn = document.createElement('button');
     killBtn.className = 'kill-btn';
     killBtn.title = t.ghost ? 'Remove saved terminal' : 'Kill terminal';
@@ -310,7 +688,8 @@ function renderList(terminals) {
         e.stopPropagation();
         removeSavedTerminal(ghostIndex);
       });
-      li.addEventListener('click', () => spawnGhost(ghostIndex, t.cwd));
+      li.addEventListener('click', () => showGhost(ghostIndex, t));
+      li.addEventListener('dblclick', () => spawnGhost(ghostIndex));
     } else {
       killBtn.addEventListener('click', (e) => {
         e.stopPropagation();
@@ -319,8 +698,31 @@ function renderList(terminals) {
       li.addEventListener('click', () => activateTerminal(t.id));
     }
 
-    // Star button for non-ghost terminals
+    // Broadcast and star buttons for non-ghost terminals
     if (!t.ghost) {
+      const bcastBtn = document.createElement('button');
+      bcastBtn.className = 'bcast-btn';
+      bcastBtn.textContent = '\u25c9';
+      bcastBtn.title = 'Toggle broadcast input';
+      bcastBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleBroadcast(t.id);
+      });
+      li.appendChild(bcastBtn);
+
+      const shareBtn = document.createElement('button');
+      shareBtn.className = 'share-btn';
+      shareBtn.textContent = '\u21c4';
+      shareBtn.title = t.shared
+        ? `Shared on LAN (${t.shared.guests} guest${t.shared.guests === 1 ? '' : 's'})`
+        : 'Share on LAN';
+      shareBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (t.shared) activateView('sharing');
+        else openShareModal(t);
+      });
+      li.appendChild(shareBtn);
+
       const isFav = favoriteCwds.has(t.cwd);
       const starBtn = document.createElement('button');
       starBtn.className = 'star-btn' + (isFav ? ' is-favorite' : '');
@@ -328,7 +730,7 @@ function renderList(terminals) {
       starBtn.title = isFav ? 'Remove from favorites' : 'Add to favorites';
       starBtn.addEventListener('click', (e) => {
         e.stopPropagation();
-        toggleFavorite(t.title, t.cwd, isFav);
+        toggleFavorite(t.title, t.cwd, isFav, t.profileId);
       });
       li.appendChild(starBtn);
     }
@@ -338,856 +740,3346 @@ function renderList(terminals) {
     li.addEventListener('contextmenu', (e) => {
       e.preventDefault();
       e.stopPropagation();
-      ctxMenu.innerHTML = '';
-      const renameItem = document.createElement('div');
-      renameItem.className = 'ctx-menu-item';
-      renameItem.textContent = 'Rename';
-      renameItem.addEventListener('click', (ev) => {
-        ev.stopPropagation();
-        ctxMenu.style.display = 'none';
-        startInlineRename(li, t.id, title, t.cwd);
-      });
-      ctxMenu.appendChild(renameItem);
-      ctxMenu.style.left = e.clientX + 'px';
-      ctxMenu.style.top = e.clientY + 'px';
-      ctxMenu.style.display = '';
+      const items = [
+        { label: 'Rename', action: () => startInlineRename(li, t.id, title, t.cwd) },
+      ];
+      items.push({ label: 'Startup commands\u2026', action: () => editTerminalStartup(t) });
+      items.push({ label: 'Notifications\u2026', action: () => editTerminalNotify(t) });
+      items.push({ label: 'Keep alive\u2026', action: () => editTerminalKeepAlive(t) });
+      items.push({ label: 'Command history', action: () => openHistory(t.ghost ? null : t.id, t.cwd) });
+      if (!t.ghost) {
+        items.push({ label: 'Export output\u2026', action: () => openExportDialog(t) });
+        items.push(t.recording
+          ? { label: 'Stop recording', action: () => toggleRecording(t.id, false) }
+          : { label: 'Start recording', action: () => toggleRecording(t.id, true) });
+      }
+      items.push({ label: 'Recordings\u2026', action: () => openPlayback() });
+      if (!t.ghost && t.startup) {
+        items.push({ label: 'Run startup commands', action: () => window.termParty.runStartupCommands(t.id) });
+      }
+      if (!t.ghost) {
+        items.push({ label: 'Broadcast input', checked: broadcastIds.has(t.id), action: () => toggleBroadcast(t.id) });
+        if (broadcastIds.size > 0) {
+          items.push({ label: 'Stop broadcasting', action: stopBroadcast });
+        }
+        items.push(t.shared
+          ? { label: 'Stop sharing', action: () => stopSharing(t.id) }
+          : { label: 'Share on LAN\u2026', action: () => openShareModal(t) });
+
+        const workspaceItems = currentWorkspaces
+          .filter(ws => ws.id !== t.workspaceId)
+          .map(ws => ({ label: `Add to workspace: ${ws.name}`, action: () => addToWorkspace(t.id, ws.id) }));
+        if (t.workspaceId) {
+          workspaceItems.push({ label: 'Remove from workspace', action: () => removeFromWorkspace(t.id) });
+        }
+        if (workspaceItems.length) items.push({ separator: true }, ...workspaceItems);
+
+        const splitItems = [];
+        if (typeof activeViewId === 'number' && activeViewId !== t.id) {
+          const targetId = activeViewId;
+          splitItems.push(
+            { label: 'Split right of current', action: () => splitWith(targetId, t.id, 'row') },
+            { label: 'Split below current', action: () => splitWith(targetId, t.id, 'column') },
+          );
+        }
+        if (findLayout(t.id)) {
+          splitItems.push({ label: 'Close pane', action: () => closePane(t.id) });
+        }
+        if (splitItems.length) items.push({ separator: true }, ...splitItems);
+      }
+      showContextMenu(e.clientX, e.clientY, items);
     });
 
     terminalListEl.appendChild(li);
   }
 }
 
-async function refreshList() {
-  // Skip refresh while an inline rename is active to avoid destroying the input
-  if (document.querySelector('.rename-input')) return;
-  await loadAndRenderFavorites();
-  const terminals = await window.termParty.getTerminals();
-  renderList(terminals);
-}
-
-// ---- Favorites ----
+// ---- Shell integration ----
 
-async function loadAndRenderFavorites() {
-  currentFavorites = await window.termParty.getFavorites();
-  favoriteCwds = new Set(currentFavorites.map(f => f.cwd));
+function formatDuration(ms) {
+  const total = Math.round(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  if (h > 0) return `${h}h ${m}m`;
+  if (m > 0) return `${m}m ${s}s`;
+  return `${s}s`;
 }
 
-function renderFavoritesPanel(container) {
-  const gridEl = container.querySelector('.fav-grid');
-  const emptyEl = container.querySelector('.panel-empty');
-  if (!gridEl || !emptyEl) return;
-
-  gridEl.innerHTML = '';
-  if (currentFavorites.length === 0) {
-    emptyEl.style.display = '';
-    return;
+// Summarizes the running or last command reported through OSC 133 marks
+function describeCommandStatus(shell) {
+  if (shell?.running) {
+    const { command, startedAt } = shell.running;
+    return {
+      state: 'running',
+      short: `\u25b6 ${command.split(/\s+/)[0] || 'running'}`,
+      detail: `Running: ${command || '(unknown)'} \u00b7 ${formatDuration(Date.now() - startedAt)}`,
+    };
   }
-  emptyEl.style.display = 'none';
+  if (shell?.last) {
+    const { command, exitCode, durationMs } = shell.last;
+    const failed = exitCode !== 0;
+    return {
+      state: failed ? 'failure' : 'success',
+      short: failed ? `\u2717 ${exitCode ?? '?'}` : '\u2713',
+      detail: `Last: ${command || '(unknown)'} \u00b7 exit ${exitCode ?? '?'} in ${formatDuration(durationMs)}`,
+    };
+  }
+  return null;
+}
 
-  const sorted = [...currentFavorites].sort((a, b) =>
-    (a.name || a.cwd).localeCompare(b.name || b.cwd, undefined, { sensitivity: 'base' })
-  );
+window.termParty.onCommand(() => {
+  refreshList();
+});
 
-  for (const fav of sorted) {
-    const card = document.createElement('div');
-    card.className = 'fav-card';
+window.termParty.onForegroundChange(() => {
+  refreshList();
+});
 
-    const name = document.createElement('div');
-    name.className = 'fav-name';
-    name.textContent = fav.name;
-    name.addEventListener('dblclick', (e) => {
-      e.stopPropagation();
-      startFavoriteRename(card, fav, name);
-    });
-    card.appendChild(name);
+// The shell changed directory, so the title and favorite star may have changed too
+window.termParty.onCwdChange(() => {
+  refreshList();
+});
 
-    const cwdSpan = document.createElement('div');
-    cwdSpan.className = 'fav-cwd';
-    cwdSpan.textContent = fav.cwd;
-    cwdSpan.title = fav.cwd;
-    card.appendChild(cwdSpan);
+// ---- Git status ----
+
+// Branch, dirty marker and ahead/behind counts, e.g. "main ● ↑2 ↓1"
+function buildGitBadge(git) {
+  const badge = document.createElement('span');
+  badge.className = 'git-badge' + (git.dirty ? ' dirty' : ' clean');
+  let text = git.branch || '?';
+  if (git.dirty) text += ' \u25cf';
+  if (git.ahead) text += ` \u2191${git.ahead}`;
+  if (git.behind) text += ` \u2193${git.behind}`;
+  badge.textContent = text;
+
+  const parts = [`Git: ${git.detached ? `detached at ${git.branch}` : git.branch}`];
+  parts.push(git.dirty ? `${git.changes} uncommitted change${git.changes === 1 ? '' : 's'}` : 'clean');
+  if (git.upstream) parts.push(`${git.ahead} ahead, ${git.behind} behind upstream`);
+  badge.title = parts.join(' \u00b7 ');
+  return badge;
+}
 
-    const removeBtn = document.createElement('button');
-    removeBtn.className = 'fav-remove-btn';
-    removeBtn.textContent = '\u00d7';
-    removeBtn.title = 'Remove favorite';
-    removeBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      removeFavorite(fav.cwd);
-    });
-    card.appendChild(removeBtn);
+window.termParty.onGitStatus(async () => {
+  await refreshList();
+  rerenderFavoritesPanel();
+});
 
-    card.addEventListener('click', () => {
-      spawnFromFavorite(fav.cwd);
-    });
+function setDirtyFilter(enabled) {
+  dirtyOnly = enabled;
+  dirtyFilterBtn.classList.toggle('active', enabled);
+  lastRenderedTerminals = null;
+  refreshList();
+}
 
-    card.addEventListener('contextmenu', (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      ctxMenu.innerHTML = '';
-      const renameItem = document.createElement('div');
-      renameItem.className = 'ctx-menu-item';
-      renameItem.textContent = 'Rename';
-      renameItem.addEventListener('click', (ev) => {
-        ev.stopPropagation();
-        ctxMenu.style.display = 'none';
-        startFavoriteRename(card, fav, name);
-      });
-      ctxMenu.appendChild(renameItem);
-      ctxMenu.style.left = e.clientX + 'px';
-      ctxMenu.style.top = e.clientY + 'px';
-      ctxMenu.style.display = '';
-    });
+dirtyFilterBtn.addEventListener('click', () => setDirtyFilter(!dirtyOnly));
 
-    gridEl.appendChild(card);
+// Scrolls to the previous (-1) or next (1) prompt above/below the top of the viewport
+function jumpToPrompt(id, direction) {
+  const view = termViews.get(id);
+  if (!view) return;
+  const { xterm, promptMarkers } = view;
+  const top = xterm.buffer.active.viewportY;
+  const lines = promptMarkers.filter(m => !m.isDisposed && m.line >= 0).map(m => m.line);
+  const target = direction < 0 ? lines.filter(line => line < top).pop() : lines.find(line => line > top);
+  if (target === undefined) {
+    if (direction > 0) xterm.scrollToBottom();
+    return;
   }
+  xterm.scrollToLine(target);
 }
 
-async function spawnFromFavorite(cwd) {
-  const info = await window.termParty.createTerminal(cwd);
-  activateTerminal(info.id);
-  refreshList();
-}
+// ---- Output triggers ----
 
-function startFavoriteRename(card, fav, nameEl) {
-  const original = nameEl.textContent;
-  nameEl.style.display = 'none';
+let lastVisibleTerminals = '';
 
-  const input = document.createElement('input');
-  input.className = 'rename-input';
-  input.value = original;
-  card.insertBefore(input, nameEl.nextSibling);
-  input.focus();
-  input.select();
+// Tells main.js which terminals the user can see, so triggers skip them
+function reportVisibleTerminals() {
+  const visible = typeof activeViewId === 'number'
+    ? (mountedPaneIds.length > 0 ? mountedPaneIds : [activeViewId])
+    : [];
+  for (const id of visible) highlightedIds.delete(id);
+  updateHighlightIndicators();
 
-  let committed = false;
-  function commit() {
-    if (committed) return;
-    committed = true;
-    const newName = input.value.trim();
-    input.remove();
-    nameEl.style.display = '';
-    if (newName && newName !== original) {
-      nameEl.textContent = newName;
-      window.termParty.renameDirectory(fav.cwd, newName);
-      // Refresh both favorites and terminal list so both reflect the new name
-      loadAndRenderFavorites().then(() => {
-        const view = specialViews.get('favorites');
-        if (view) renderFavoritesPanel(view.wrapper);
-      });
-      refreshList();
+  const key = visible.join(',');
+  if (key === lastVisibleTerminals) return;
+  lastVisibleTerminals = key;
+  window.termParty.setVisibleTerminals(visible);
+}
+
+function updateHighlightIndicators() {
+  for (const li of terminalListEl.querySelectorAll('li:not(.ghost)')) {
+    const badge = li.querySelector('.term-notify-badge');
+    const highlighted = highlightedIds.has(Number(li.dataset.id));
+    if (highlighted && !badge) {
+      const el = document.createElement('span');
+      el.className = 'term-notify-badge';
+      li.querySelector('.term-title').after(el);
+    } else if (!highlighted && badge) {
+      badge.remove();
     }
   }
-  function cancel() {
-    if (committed) return;
-    committed = true;
-    input.remove();
-    nameEl.style.display = '';
-  }
+}
 
-  input.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') { e.preventDefault(); commit(); }
-    if (e.key === 'Escape') { e.preventDefault(); cancel(); }
-    e.stopPropagation();
-  });
-  input.addEventListener('blur', commit);
-  input.addEventListener('click', (e) => e.stopPropagation());
+let bellAudioCtx = null;
+function playBell() {
+  bellAudioCtx ??= new AudioContext();
+  const now = bellAudioCtx.currentTime;
+  const osc = bellAudioCtx.createOscillator();
+  const gain = bellAudioCtx.createGain();
+  osc.frequency.value = 880;
+  gain.gain.setValueAtTime(0.15, now);
+  gain.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
+  osc.connect(gain).connect(bellAudioCtx.destination);
+  osc.start(now);
+  osc.stop(now + 0.3);
 }
 
-async function removeFavorite(cwd) {
-  await window.termParty.removeFavorite(cwd);
-  refreshList();
-  // Re-render favorites panel if it's the active view
-  if (activeViewId === 'favorites') {
-    const view = specialViews.get('favorites');
-    if (view) renderFavoritesPanel(view.wrapper);
+window.termParty.onTrigger(({ id, action }) => {
+  if (action === 'highlight') {
+    highlightedIds.add(id);
+    updateHighlightIndicators();
+  } else if (action === 'bell') {
+    playBell();
+  } else if (action === 'activate') {
+    activateTerminal(id);
   }
-}
+});
 
-async function toggleFavorite(name, cwd, isFav) {
-  // Optimistic UI update
-  if (isFav) {
-    favoriteCwds.delete(cwd);
-    currentFavorites = currentFavorites.filter(f => f.cwd !== cwd);
+window.termParty.onFocusTerminal(async ({ id }) => {
+  // The terminal may have exited since the notification was shown; one opened from
+  // the command line has no view yet
+  const terminals = await window.termParty.getTerminals();
+  if (terminals.some(t => t.id === id && !t.ghost)) {
+    activateTerminal(id);
   } else {
-    favoriteCwds.add(cwd);
-    currentFavorites.push({ name, cwd });
+    activateView('dashboard');
   }
+});
 
-  // Invalidate diff cache so renderList re-renders with new fav state
-  lastRenderedTerminals = null;
+// `term-party workspace <name>` from the command line
+window.termParty.onOpenWorkspace(({ workspaceId }) => {
+  launchWorkspace(workspaceId);
+});
 
-  const terminals = await window.termParty.getTerminals();
-  renderList(terminals);
+// ---- Broadcast input ----
 
-  try {
-    if (isFav) {
-      await window.termParty.removeFavorite(cwd);
-    } else {
-      await window.termParty.addFavorite(name, cwd);
-    }
-  } catch {
-    // on failure, reconciliation below will correct the UI
+// Input typed into a marked terminal goes to every marked terminal. Only the focused pane's input
+// counts, and only what the user typed or pasted: xterm also answers programs' queries (cursor
+// position, device attributes) and reports focus and mouse through onData, and those belong to the
+// terminal they came from. reply marks such data.
+function sendInput(id, data, { reply = false } = {}) {
+  if (reply || !broadcastIds.has(id) || id !== activeViewId) {
+    window.termParty.sendInput(id, data);
+    return;
   }
+  for (const targetId of broadcastIds) {
+    window.termParty.sendInput(targetId, data);
+  }
+}
 
-  // Single reconciliation pass
-  await loadAndRenderFavorites();
-  lastRenderedTerminals = null; // ensure re-render picks up server state
-  const termsFinal = await window.termParty.getTerminals();
-  renderList(termsFinal);
+// Queries xterm answers itself while parsing output; the answer goes out through onData right after
+// our handler (which declines, so xterm's own runs)
+const REPLY_CSI_QUERIES = [
+  { final: 'c' }, // device attributes
+  { prefix: '>', final: 'c' },
+  { final: 'n' }, // device status, cursor position
+  { prefix: '?', final: 'n' },
+  { intermediates: '$', final: 'p' }, // mode requests
+  { prefix: '?', intermediates: '$', final: 'p' },
+  { final: 't' }, // window size reports
+];
+const REPLY_OSC_QUERIES = [4, 10, 11, 12]; // color queries
+const FOCUS_OR_MOUSE_REPORT = /^\x1b\[(?:[IO]|M[\s\S]{3}|<\d+;\d+;\d+[Mm])$/;
+
+// Calls onReply(true) while xterm is answering a query, and onReply(false) once it's done
+function watchQueryReplies(xterm, onReply) {
+  const mark = () => {
+    onReply(true);
+    queueMicrotask(() => onReply(false));
+    return false;
+  };
+  for (const query of REPLY_CSI_QUERIES) xterm.parser.registerCsiHandler(query, mark);
+  for (const ident of REPLY_OSC_QUERIES) xterm.parser.registerOscHandler(ident, mark);
+  xterm.parser.registerDcsHandler({ intermediates: '$', final: 'q' }, mark); // setting requests
+}
 
-  // Re-render favorites panel if visible
-  if (activeViewId === 'favorites') {
-    const view = specialViews.get('favorites');
-    if (view) renderFavoritesPanel(view.wrapper);
+function toggleBroadcast(id) {
+  if (broadcastIds.has(id)) {
+    broadcastIds.delete(id);
+  } else {
+    broadcastIds.add(id);
   }
+  updateBroadcastIndicators();
 }
 
-// ---- Terminal views ----
-
-function createTermView(id) {
-  const xterm = new Terminal({
-    fontSize: 13,
-    fontFamily: '"JetBrains Mono", "Fira Code", "Cascadia Code", "SF Mono", Menlo, monospace',
-    theme: {
-      background: '#08080c',
-      foreground: '#c8ccd8',
-      cursor: '#c8ff00',
-      selectionBackground: '#2a2a3a',
-      black: '#1a1a28',
-      red: '#ef4444',
-      green: '#c8ff00',
-      yellow: '#f9e2af',
-      blue: '#60a5fa',
-      magenta: '#a855f7',
-      cyan: '#22d3ee',
-      white: '#c8ccd8',
-      brightBlack: '#585868',
-      brightRed: '#f87171',
-      brightGreen: '#d4ff33',
-      brightYellow: '#fde68a',
-      brightBlue: '#93c5fd',
-      brightMagenta: '#c084fc',
-      brightCyan: '#67e8f9',
-      brightWhite: '#e2e8f0',
-    },
-  });
+function stopBroadcast() {
+  broadcastIds.clear();
+  updateBroadcastIndicators();
+}
 
-  const fitAddon = new FitAddon();
-  xterm.loadAddon(fitAddon);
+function updateBroadcastIndicators() {
+  for (const li of terminalListEl.querySelectorAll('li:not(.ghost)')) {
+    li.classList.toggle('broadcast', broadcastIds.has(Number(li.dataset.id)));
+  }
+  for (const [id, view] of termViews) {
+    view.wrapper.classList.toggle('broadcasting', broadcastIds.has(id));
+  }
 
-  xterm.onData((data) => {
-    window.termParty.sendInput(id, data);
-  });
+  broadcastBarEl.style.display = broadcastIds.size > 0 ? '' : 'none';
+  broadcastBarEl.querySelector('.broadcast-label').textContent =
+    `Broadcasting to ${broadcastIds.size} terminal${broadcastIds.size === 1 ? '' : 's'}`;
+}
 
-  xterm.onResize(({ cols, rows }) => {
-    window.termParty.resize(id, cols, rows);
-  });
+broadcastBarEl.querySelector('.broadcast-stop').addEventListener('click', stopBroadcast);
 
-  xterm.attachCustomKeyEventHandler((e) => {
-    if (e.type !== 'keydown') return true;
-    if (e.ctrlKey && (e.key === 'PageUp' || e.key === 'PageDown')) {
-      return false;
-    }
-    if (e.ctrlKey && e.key === 'v') {
-      navigator.clipboard.readText().then(text => {
-        if (text) window.termParty.sendInput(id, text);
-      });
-      return false;
-    }
-    if (e.ctrlKey && e.key === 'c' && xterm.hasSelection()) {
-      navigator.clipboard.writeText(xterm.getSelection());
-      return false;
-    }
-    return true;
-  });
+async function refreshList() {
+  // Skip refresh while an inline rename is active to avoid destroying the input
+  if (document.querySelector('.rename-input')) return;
+  await Promise.all([loadAndRenderFavorites(), loadWorkspaces()]);
+  const terminals = await window.termParty.getTerminals(activeWorkspaceId);
+  renderList(terminals);
+}
 
-  const wrapper = document.createElement('div');
-  wrapper.style.width = '100%';
-  wrapper.style.height = '100%';
-  wrapper.style.display = 'none';
-  containerEl.appendChild(wrapper);
+// New terminals join the workspace the sidebar is showing
+function createTerminal(cwd, options) {
+  return window.termParty.createTerminal(cwd, { workspaceId: activeWorkspaceId, ...options });
+}
 
-  wrapper.addEventListener('dragover', (e) => {
-    e.preventDefault();
-    e.dataTransfer.dropEffect = 'copy';
-  });
+// ---- Workspaces ----
 
-  wrapper.addEventListener('drop', (e) => {
-    e.preventDefault();
-    if (e.dataTransfer.files.length > 0) {
-      const paths = [...e.dataTransfer.files].map(f => `"${f.path}"`).join(' ');
-      window.termParty.sendInput(id, paths);
-    } else {
-      const text = e.dataTransfer.getData('text/plain');
-      if (text) window.termParty.sendInput(id, text);
-    }
-    xterm.focus();
-  });
+let lastWorkspaceFingerprint = null;
 
-  termViews.set(id, { xterm, fitAddon, wrapper, opened: false });
+async function loadWorkspaces() {
+  currentWorkspaces = await window.termParty.getWorkspaces();
+  if (activeWorkspaceId && !currentWorkspaces.some(ws => ws.id === activeWorkspaceId)) {
+    activeWorkspaceId = null;
+    lastRenderedTerminals = null;
+  }
+  renderWorkspaceSelect();
 }
 
-async function killTerminal(id) {
-  await window.termParty.killTerminal(id);
-  const view = termViews.get(id);
-  if (view) {
-    view.xterm.dispose();
-    view.wrapper.remove();
-    termViews.delete(id);
+function renderWorkspaceSelect() {
+  // Rebuilding the options closes an open dropdown, so only do it when they change
+  const fingerprint = currentWorkspaces.map(ws => `${ws.id}:${ws.name}`).join(',') + `|${activeWorkspaceId}`;
+  if (fingerprint === lastWorkspaceFingerprint) return;
+  lastWorkspaceFingerprint = fingerprint;
+
+  workspaceSelectEl.innerHTML = '<option value="">All terminals</option>';
+  for (const ws of currentWorkspaces) {
+    const opt = document.createElement('option');
+    opt.value = ws.id;
+    opt.textContent = ws.name;
+    workspaceSelectEl.appendChild(opt);
   }
-  if (activeViewId === id) {
-    activeViewId = null;
-    emptyStateEl.style.display = '';
+  workspaceSelectEl.value = activeWorkspaceId || '';
+}
+
+async function selectWorkspace(workspaceId) {
+  activeWorkspaceId = workspaceId || null;
+  lastRenderedTerminals = null;
+  await refreshList();
+}
+
+async function launchWorkspace(workspaceId) {
+  const results = (await window.termParty.launchWorkspace(workspaceId)).filter(Boolean);
+  // Restored ghosts may have swapped into saved split layouts
+  await loadLayouts();
+  for (const info of results) {
+    if (info.history && !termViews.has(info.id)) {
+      createTermView(info.id);
+      termViews.get(info.id).xterm.write(info.history);
+    }
   }
-  refreshList();
+  await selectWorkspace(workspaceId);
+  if (results.length > 0) activateTerminal(results[0].id);
 }
 
-async function removeSavedTerminal(index) {
-  await window.termParty.removeSavedTerminal(index);
+async function killWorkspace(workspaceId) {
+  const live = (await window.termParty.getTerminals(workspaceId)).filter(t => !t.ghost);
+  await window.termParty.killWorkspace(workspaceId);
+  for (const t of live) dropTermView(t.id);
   refreshList();
 }
 
-async function spawnGhost(index, cwd) {
-  await window.termParty.removeSavedTerminal(index);
-  const info = await window.termParty.createTerminal(cwd);
-  activateTerminal(info.id);
-  refreshList();
+async function removeWorkspace(workspaceId) {
+  await window.termParty.removeWorkspace(workspaceId);
+  if (activeWorkspaceId === workspaceId) activeWorkspaceId = null;
+  lastRenderedTerminals = null;
+  await refreshList();
+  rerenderFavoritesPanel();
 }
 
-// ---- Add terminal ----
+async function addToWorkspace(id, workspaceId) {
+  await window.termParty.addToWorkspace(id, workspaceId);
+  lastRenderedTerminals = null;
+  refreshList();
+}
 
-addBtn.addEventListener('click', async () => {
-  const dir = await window.termParty.selectDirectory();
-  if (!dir) return;
-  const info = await window.termParty.createTerminal(dir);
-  activateTerminal(info.id);
+async function removeFromWorkspace(id) {
+  await window.termParty.removeFromWorkspace(id);
+  lastRenderedTerminals = null;
   refreshList();
-});
+}
 
-// ---- Incoming data from pty ----
+function openWorkspaceNamePrompt(title, onSave) {
+  const content = document.createElement('div');
+  content.className = 'modal-form';
+  content.innerHTML = `<label class="form-field"><span>Name</span><input class="ws-name-input" placeholder="services"></label>`;
+  const input = content.querySelector('.ws-name-input');
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') content.closest('.modal').querySelector('.panel-btn.primary').click();
+  });
+  openModal({
+    title,
+    content,
+    onConfirm: () => {
+      const name = input.value.trim();
+      if (!name) return false;
+      return onSave(name);
+    },
+  });
+}
 
-window.termParty.onData(({ id, data }) => {
-  const view = termViews.get(id);
-  if (view) {
-    view.xterm.write(data);
-  }
-});
+function saveTerminalsAsWorkspace() {
+  openWorkspaceNamePrompt('Save terminals as workspace', async (name) => {
+    const ws = await window.termParty.createWorkspaceFromTerminals(name, getTerminalIds());
+    if (ws?.error) return false;
+    await selectWorkspace(ws.id);
+    rerenderFavoritesPanel();
+  });
+}
 
-window.termParty.onExit(({ id }) => {
-  const view = termViews.get(id);
-  if (view) {
-    view.xterm.dispose();
-    view.wrapper.remove();
-    termViews.delete(id);
+function buildWorkspaceRow(def) {
+  const row = document.createElement('div');
+  row.className = 'ws-def-row';
+  row.innerHTML = `
+    <div class="ws-def-cwd-row">
+      <input class="ws-def-cwd" placeholder="/path/to/repo">
+      <button class="panel-btn ws-def-browse" title="Choose directory">&hellip;</button>
+      <button class="panel-btn ws-def-remove" title="Remove terminal">&times;</button>
+    </div>
+    <div class="ws-def-fields">
+      <input class="ws-def-name" placeholder="Name">
+      <select class="ws-def-profile"></select>
+      <input class="ws-def-startup" placeholder="Startup command">
+    </div>
+  `;
+  const cwdInput = row.querySelector('.ws-def-cwd');
+  const profileSelect = row.querySelector('.ws-def-profile');
+  const startupInput = row.querySelector('.ws-def-startup');
+  for (const p of currentProfiles) {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.name;
+    profileSelect.appendChild(opt);
   }
-  if (activeViewId === id) {
-    activeViewId = null;
-    emptyStateEl.style.display = '';
+  cwdInput.value = def?.cwd || '';
+  row.querySelector('.ws-def-name').value = def?.name || '';
+  profileSelect.value = def?.profileId || 'default';
+  const originalStartup = (def?.startup?.commands || []).join(' && ');
+  startupInput.value = originalStartup;
+
+  row.querySelector('.ws-def-browse').addEventListener('click', async () => {
+    const dir = await window.termParty.selectDirectory();
+    if (dir) cwdInput.value = dir;
+  });
+  row.querySelector('.ws-def-remove').addEventListener('click', () => row.remove());
+
+  row.readDefinition = () => {
+    const command = startupInput.value.trim();
+    let startup = def?.startup;
+    if (command !== originalStartup) {
+      startup = command ? { commands: [command], mode: def?.startup?.mode || 'always' } : null;
+    }
+    return {
+      id: def?.id,
+      cwd: cwdInput.value.trim(),
+      name: row.querySelector('.ws-def-name').value.trim(),
+      profileId: profileSelect.value !== 'default' ? profileSelect.value : undefined,
+      startup,
+    };
+  };
+  return row;
+}
+
+// workspace is null when creating a new one
+function openWorkspaceEditor(workspace) {
+  const content = document.createElement('div');
+  content.className = 'modal-form';
+  content.innerHTML = `
+    <label class="form-field"><span>Name</span><input class="ws-name-input" placeholder="services"></label>
+    <div class="form-field"><span>Terminals</span><div class="ws-def-list"></div></div>
+    <button class="panel-btn ws-def-add">+ Add terminal</button>
+  `;
+  const nameInput = content.querySelector('.ws-name-input');
+  const listEl = content.querySelector('.ws-def-list');
+  nameInput.value = workspace?.name || '';
+  for (const def of workspace?.terminals || []) {
+    listEl.appendChild(buildWorkspaceRow(def));
   }
-  refreshList();
-});
+  content.querySelector('.ws-def-add').addEventListener('click', () => {
+    listEl.appendChild(buildWorkspaceRow(null));
+  });
 
-// ---- Resize handling ----
+  openModal({
+    title: workspace ? `Edit workspace \u2014 ${workspace.name}` : 'New workspace',
+    content,
+    onConfirm: async () => {
+      const result = await window.termParty.saveWorkspace({
+        id: workspace?.id,
+        name: nameInput.value.trim(),
+        terminals: [...listEl.children].map(row => row.readDefinition()),
+      });
+      if (result?.error) return false;
+      lastRenderedTerminals = null;
+      await refreshList();
+      rerenderFavoritesPanel();
+    },
+  });
+}
 
-let resizeTimer = null;
-window.addEventListener('resize', () => {
-  if (resizeTimer) clearTimeout(resizeTimer);
-  resizeTimer = setTimeout(() => {
-    resizeTimer = null;
-    if (typeof activeViewId === 'number') {
-      const view = termViews.get(activeViewId);
-      if (view) {
-        view.fitAddon.fit();
-      }
-    }
-  }, 100);
-});
+function workspaceMenuItems(ws) {
+  return [
+    { label: ws.liveCount > 0 ? 'Restore missing terminals' : 'Launch', action: () => launchWorkspace(ws.id) },
+    { label: 'Kill all terminals', action: () => killWorkspace(ws.id) },
+    { label: 'Edit\u2026', action: () => openWorkspaceEditor(ws) },
+    { label: 'Delete workspace', action: () => removeWorkspace(ws.id) },
+  ];
+}
 
-// ---- Keyboard shortcuts ----
+function renderWorkspaceCards(container) {
+  const gridEl = container.querySelector('.ws-grid');
+  if (!gridEl) return;
+  gridEl.innerHTML = '';
 
-document.addEventListener('keydown', (e) => {
-  if (!e.ctrlKey) return;
-  if (e.key !== 'PageUp' && e.key !== 'PageDown') return;
+  for (const ws of currentWorkspaces) {
+    const card = document.createElement('div');
+    card.className = 'fav-card ws-card';
 
-  e.preventDefault();
-  const ids = getTerminalIds();
+    const name = document.createElement('div');
+    name.className = 'fav-name';
+    name.textContent = ws.name;
+    card.appendChild(name);
 
-  if (e.key === 'PageUp') {
-    if (activeViewId === 'dashboard') {
-      // Dashboard → last terminal (wrap around)
-      if (ids.length > 0) activateTerminal(ids[ids.length - 1]);
-    } else if (typeof activeViewId === 'number') {
-      const idx = ids.indexOf(activeViewId);
-      if (idx <= 0) {
-        // First terminal → Dashboard
-        activateView('dashboard');
-      } else {
-        activateTerminal(ids[idx - 1]);
-      }
-    } else {
-      // On another special view, go to dashboard
-      activateView('dashboard');
-    }
-  } else {
-    if (activeViewId === 'dashboard') {
-      // Dashboard → first terminal
-      if (ids.length > 0) activateTerminal(ids[0]);
-    } else if (typeof activeViewId === 'number') {
-      const idx = ids.indexOf(activeViewId);
-      if (idx < 0 || idx >= ids.length - 1) {
-        // Last terminal → Dashboard
-        activateView('dashboard');
-      } else {
-        activateTerminal(ids[idx + 1]);
-      }
-    } else {
-      // On another special view, go to dashboard
-      activateView('dashboard');
-    }
+    const meta = document.createElement('div');
+    meta.className = 'fav-cwd';
+    meta.textContent = `${ws.terminals.length} terminal${ws.terminals.length === 1 ? '' : 's'}` +
+      (ws.liveCount > 0 ? ` \u00b7 ${ws.liveCount} running` : '');
+    meta.title = ws.terminals.map(def => def.name || def.cwd).join('\n');
+    card.appendChild(meta);
+
+    card.addEventListener('click', () => launchWorkspace(ws.id));
+    card.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      showContextMenu(e.clientX, e.clientY, workspaceMenuItems(ws));
+    });
+    gridEl.appendChild(card);
   }
+
+  const addCard = document.createElement('div');
+  addCard.className = 'fav-card ws-card ws-add-card';
+  addCard.textContent = '+ New workspace';
+  addCard.addEventListener('click', () => openWorkspaceEditor(null));
+  gridEl.appendChild(addCard);
+}
+
+workspaceSelectEl.addEventListener('change', () => {
+  selectWorkspace(workspaceSelectEl.value);
 });
 
-// ---- Sidebar button handlers ----
+workspaceMenuBtn.addEventListener('click', (e) => {
+  e.stopPropagation();
+  const rect = workspaceMenuBtn.getBoundingClientRect();
+  const ws = currentWorkspaces.find(w => w.id === activeWorkspaceId);
+  const items = ws ? [...workspaceMenuItems(ws), { separator: true }] : [];
+  items.push(
+    { label: 'Save terminals as workspace\u2026', action: saveTerminalsAsWorkspace },
+    { label: 'New workspace\u2026', action: () => openWorkspaceEditor(null) },
+  );
+  showContextMenu(rect.left, rect.bottom + 4, items);
+});
 
-openFavoritesBtn.addEventListener('click', () => activateView('favorites'));
-openDudeBtn.addEventListener('click', () => activateView('dude'));
-appTitleEl.addEventListener('click', () => activateView('dashboard'));
+// ---- Shell profiles ----
 
-// ========================================================
-// Register special views
-// ========================================================
+async function loadProfiles() {
+  currentProfiles = await window.termParty.getProfiles();
+}
 
-// ---- Favorites panel ----
+function getProfileName(profileId) {
+  const profile = currentProfiles.find(p => p.id === profileId) || currentProfiles[0];
+  return profile ? profile.name : 'Default';
+}
 
-registerSpecialView('favorites', {
-  buildFn(wrapper) {
-    wrapper.classList.add('favorites-panel');
-    wrapper.innerHTML = `
-      <div class="view-panel-header">Favorites</div>
-      <div class="fav-grid"></div>
-      <div class="panel-empty" style="display:none;">No favorites yet. Star a terminal to add it here.</div>
-    `;
-  },
-  onActivate(wrapper) {
-    renderFavoritesPanel(wrapper);
-  },
-});
+// Resolves to the chosen profile id; stays pending if the menu is dismissed
+function pickProfile(x, y) {
+  if (currentProfiles.length <= 1) return Promise.resolve(currentProfiles[0]?.id);
+  return new Promise((resolve) => {
+    showContextMenu(x, y, currentProfiles.map(p => ({
+      label: p.name,
+      action: () => resolve(p.id),
+    })));
+  });
+}
 
-// ---- Dashboard panel ----
+// ---- Favorites ----
 
-let dashboardPollInterval = null;
+async function loadAndRenderFavorites() {
+  currentFavorites = await window.termParty.getFavorites();
+  favoriteCwds = new Set(currentFavorites.map(f => f.cwd));
+}
 
-registerSpecialView('dashboard', {
-  buildFn(wrapper) {
-    wrapper.classList.add('dashboard-panel');
-    wrapper.innerHTML = `
-      <div class="view-panel-header">Dashboard</div>
-      <div class="dash-stat-bar">
-        <div class="dash-stat">
-          <span class="dash-stat-label">CPU</span>
-          <span class="dash-stat-value" id="dash-cpu">--</span>
-        </div>
-        <div class="dash-stat">
-          <span class="dash-stat-label">Memory</span>
-          <span class="dash-stat-value" id="dash-mem">--</span>
-        </div>
-        <div class="dash-stat">
-          <span class="dash-stat-label">Terminals</span>
-          <span class="dash-stat-value" id="dash-term-count">0</span>
-        </div>
-      </div>
-      <div class="dash-section-title">Recent Exits</div>
+function rerenderFavoritesPanel() {
+  if (activeViewId !== 'favorites') return;
+  const view = specialViews.get('favorites');
+  if (view) renderFavoritesPanel(view.wrapper);
+}
+
+function renderFavoritesPanel(container) {
+  renderWorkspaceCards(container);
+
+  const gridEl = container.querySelector('.dir-grid');
+  const emptyEl = container.querySelector('.fav-empty');
+  if (!gridEl || !emptyEl) return;
+
+  gridEl.innerHTML = '';
+  if (currentFavorites.length === 0) {
+    emptyEl.style.display = '';
+    return;
+  }
+  emptyEl.style.display = 'none';
+
+  const sorted = [...currentFavorites].sort((a, b) =>
+    (a.name || a.cwd).localeCompare(b.name || b.cwd, undefined, { sensitivity: 'base' })
+  );
+
+  for (const fav of sorted) {
+    const card = document.createElement('div');
+    card.className = 'fav-card';
+
+    const name = document.createElement('div');
+    name.className = 'fav-name';
+    name.textContent = fav.name;
+    if (fav.remote) name.prepend(buildRemoteIcon());
+    name.addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      startFavoriteRename(card, fav, name);
+    });
+    card.appendChild(name);
+
+    const cwdSpan = document.createElement('div');
+    cwdSpan.className = 'fav-cwd';
+    cwdSpan.textContent = fav.cwd;
+    cwdSpan.title = fav.cwd;
+    card.appendChild(cwdSpan);
+
+    if (fav.profileId) {
+      const profileTag = document.createElement('div');
+      profileTag.className = 'fav-tag';
+      profileTag.textContent = getProfileName(fav.profileId);
+      card.appendChild(profileTag);
+    }
+
+    if (fav.startup) {
+      const startupTag = document.createElement('div');
+      startupTag.className = 'fav-tag';
+      startupTag.textContent = `\u25b6 ${fav.startup.commands.length} \u00b7 ${fav.startup.mode}`;
+      startupTag.title = fav.startup.commands.join('\n');
+      card.appendChild(startupTag);
+    }
+
+    if (fav.git) {
+      card.appendChild(buildGitBadge(fav.git));
+    }
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'fav-remove-btn';
+    removeBtn.textContent = '\u00d7';
+    removeBtn.title = 'Remove favorite';
+    removeBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      removeFavorite(fav.cwd);
+    });
+    card.appendChild(removeBtn);
+
+    card.addEventListener('click', () => {
+      spawnFromFavorite(fav);
+    });
+
+    card.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const favProfileId = fav.profileId || 'default';
+      showContextMenu(e.clientX, e.clientY, [
+        { label: 'Rename', action: () => startFavoriteRename(card, fav, name) },
+        { label: 'Startup commands\u2026', action: () => editFavoriteStartup(fav) },
+        { separator: true },
+        ...currentProfiles.map(p => ({
+          label: `Profile: ${p.name}`,
+          checked: p.id === favProfileId,
+          action: () => setFavoriteProfile(fav.cwd, p.id),
+        })),
+      ]);
+    });
+
+    gridEl.appendChild(card);
+  }
+}
+
+async function spawnFromFavorite(fav) {
+  const info = await createTerminal(fav.cwd, { profileId: fav.profileId, startup: fav.startup });
+  activateTerminal(info.id);
+  refreshList();
+}
+
+// ---- Startup commands ----
+
+function openStartupEditor(name, startup, onSave) {
+  const content = document.createElement('div');
+  content.className = 'modal-form';
+  content.innerHTML = `
+    <label class="form-field"><span>Commands (one per line)</span><textarea class="startup-commands" rows="4" placeholder="npm run dev"></textarea></label>
+    <label class="form-field"><span>When opened</span>
+      <select class="startup-mode">
+        <option value="always">Always run</option>
+        <option value="ask">Ask first</option>
+        <option value="never">Never run</option>
+      </select>
+    </label>
+  `;
+  const commandsInput = content.querySelector('.startup-commands');
+  const modeSelect = content.querySelector('.startup-mode');
+  commandsInput.value = (startup?.commands || []).join('\n');
+  modeSelect.value = startup?.mode || 'ask';
+
+  openModal({
+    title: `Startup commands \u2014 ${name}`,
+    content,
+    onConfirm: () => onSave({
+      commands: commandsInput.value.split('\n').filter(c => c.trim()),
+      mode: modeSelect.value,
+    }),
+  });
+}
+
+function editFavoriteStartup(fav) {
+  openStartupEditor(fav.name, fav.startup, async (startup) => {
+    await window.termParty.setFavoriteStartup(fav.cwd, startup);
+    await loadAndRenderFavorites();
+    if (activeViewId === 'favorites') {
+      const view = specialViews.get('favorites');
+      if (view) renderFavoritesPanel(view.wrapper);
+    }
+  });
+}
+
+function editTerminalNotify(t) {
+  const content = document.createElement('div');
+  content.className = 'modal-form';
+  content.innerHTML = `
+    <label class="form-check"><input type="checkbox" class="notify-idle"> Notify when it goes quiet after a long run</label>
+    <label class="form-field"><span>Busy for at least (seconds)</span><input class="notify-seconds" type="number" min="1"></label>
+    <label class="form-check"><input type="checkbox" class="notify-exit"> Notify when it exits with a non-zero code</label>
+  `;
+  const idleInput = content.querySelector('.notify-idle');
+  const secondsInput = content.querySelector('.notify-seconds');
+  const exitInput = content.querySelector('.notify-exit');
+  idleInput.checked = Boolean(t.notify?.idle);
+  secondsInput.value = t.notify?.busySeconds || 30;
+  exitInput.checked = Boolean(t.notify?.exit);
+
+  openModal({
+    title: `Notifications \u2014 ${t.title || t.cwd}`,
+    content,
+    onConfirm: async () => {
+      await window.termParty.setTerminalNotify(t.id, {
+        idle: idleInput.checked,
+        exit: exitInput.checked,
+        busySeconds: secondsInput.value,
+      });
+      refreshList();
+    },
+  });
+}
+
+function editTerminalKeepAlive(t) {
+  const content = document.createElement('div');
+  content.className = 'modal-form';
+  content.innerHTML = `
+    <label class="form-field"><span>Restart when the shell exits</span>
+      <select class="keep-alive-mode">
+        <option value="">Never</option>
+        <option value="any">On any exit</option>
+        <option value="failure">Only on a non-zero exit code</option>
+      </select>
+    </label>
+    <label class="form-field"><span>Maximum restarts (0 for no limit)</span><input class="keep-alive-max" type="number" min="0"></label>
+    <label class="form-field"><span>First retry after (seconds, doubling each time)</span><input class="keep-alive-backoff" type="number" min="0.1" step="0.1"></label>
+  `;
+  const modeSelect = content.querySelector('.keep-alive-mode');
+  const maxInput = content.querySelector('.keep-alive-max');
+  const backoffInput = content.querySelector('.keep-alive-backoff');
+  modeSelect.value = t.keepAlive?.mode || '';
+  maxInput.value = t.keepAlive?.maxRestarts ?? 5;
+  backoffInput.value = (t.keepAlive?.backoffMs || 1000) / 1000;
+
+  openModal({
+    title: `Keep alive \u2014 ${t.title || t.cwd}`,
+    content,
+    onConfirm: async () => {
+      await window.termParty.setTerminalKeepAlive(t.id, modeSelect.value ? {
+        mode: modeSelect.value,
+        maxRestarts: maxInput.value,
+        backoffMs: Number(backoffInput.value) * 1000,
+      } : null);
+      refreshList();
+    },
+  });
+}
+
+function describeRestarts(t) {
+  const limit = t.keepAlive?.maxRestarts ? ` of ${t.keepAlive.maxRestarts}` : '';
+  return `Restarted ${t.restarts}${limit} time${t.restarts === 1 ? '' : 's'}${t.restarting ? ' \u00b7 restarting\u2026' : ''}`;
+}
+
+function editTerminalStartup(t) {
+  openStartupEditor(t.title || t.cwd, t.startup, async (startup) => {
+    await window.termParty.setTerminalStartup(t.id, startup);
+    refreshList();
+  });
+}
+
+async function setFavoriteProfile(cwd, profileId) {
+  await window.termParty.setFavoriteProfile(cwd, profileId);
+  await loadAndRenderFavorites();
+  if (activeViewId === 'favorites') {
+    const view = specialViews.get('favorites');
+    if (view) renderFavoritesPanel(view.wrapper);
+  }
+}
+
+function startFavoriteRename(card, fav, nameEl) {
+  const original = nameEl.textContent;
+  nameEl.style.display = 'none';
+
+  const input = document.createElement('input');
+  input.className = 'rename-input';
+  input.value = original;
+  card.insertBefore(input, nameEl.nextSibling);
+  input.focus();
+  input.select();
+
+  let committed = false;
+  function commit() {
+    if (committed) return;
+    committed = true;
+    const newName = input.value.trim();
+    input.remove();
+    nameEl.style.display = '';
+    if (newName && newName !== original) {
+      nameEl.textContent = newName;
+      window.termParty.renameDirectory(fav.cwd, newName);
+      // Refresh both favorites and terminal list so both reflect the new name
+      loadAndRenderFavorites().then(() => {
+        const view = specialViews.get('favorites');
+        if (view) renderFavoritesPanel(view.wrapper);
+      });
+      refreshList();
+    }
+  }
+  function cancel() {
+    if (committed) return;
+    committed = true;
+    input.remove();
+    nameEl.style.display = '';
+  }
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); commit(); }
+    if (e.key === 'Escape') { e.preventDefault(); cancel(); }
+    e.stopPropagation();
+  });
+  input.addEventListener('blur', commit);
+  input.addEventListener('click', (e) => e.stopPropagation());
+}
+
+async function removeFavorite(cwd) {
+  await window.termParty.removeFavorite(cwd);
+  refreshList();
+  // Re-render favorites panel if it's the active view
+  if (activeViewId === 'favorites') {
+    const view = specialViews.get('favorites');
+    if (view) renderFavoritesPanel(view.wrapper);
+  }
+}
+
+async function toggleFavorite(name, cwd, isFav, profileId) {
+  // Optimistic UI update
+  if (isFav) {
+    favoriteCwds.delete(cwd);
+    currentFavorites = currentFavorites.filter(f => f.cwd !== cwd);
+  } else {
+    favoriteCwds.add(cwd);
+    currentFavorites.push({ name, cwd, profileId });
+  }
+
+  // Invalidate diff cache so renderList re-renders with new fav state
+  lastRenderedTerminals = null;
+
+  const terminals = await window.termParty.getTerminals(activeWorkspaceId);
+  renderList(terminals);
+
+  try {
+    if (isFav) {
+      await window.termParty.removeFavorite(cwd);
+    } else {
+      await window.termParty.addFavorite(name, cwd, profileId);
+    }
+  } catch {
+    // on failure, reconciliation below will correct the UI
+  }
+
+  // Single reconciliation pass
+  await loadAndRenderFavorites();
+  lastRenderedTerminals = null; // ensure re-render picks up server state
+  const termsFinal = await window.termParty.getTerminals(activeWorkspaceId);
+  renderList(termsFinal);
+
+  // Re-render favorites panel if visible
+  if (activeViewId === 'favorites') {
+    const view = specialViews.get('favorites');
+    if (view) renderFavoritesPanel(view.wrapper);
+  }
+}
+
+// ---- Terminal views ----
+
+const XTERM_OPTIONS = {
+  fontSize: 13,
+  fontFamily: '"JetBrains Mono", "Fira Code", "Cascadia Code", "SF Mono", Menlo, monospace',
+  theme: {
+    background: '#08080c',
+    foreground: '#c8ccd8',
+    cursor: '#c8ff00',
+    selectionBackground: '#2a2a3a',
+    black: '#1a1a28',
+    red: '#ef4444',
+    green: '#c8ff00',
+    yellow: '#f9e2af',
+    blue: '#60a5fa',
+    magenta: '#a855f7',
+    cyan: '#22d3ee',
+    white: '#c8ccd8',
+    brightBlack: '#585868',
+    brightRed: '#f87171',
+    brightGreen: '#d4ff33',
+    brightYellow: '#fde68a',
+    brightBlue: '#93c5fd',
+    brightMagenta: '#c084fc',
+    brightCyan: '#67e8f9',
+    brightWhite: '#e2e8f0',
+  },
+};
+
+const replayingViews = new Set(); // terminal ids whose scrollback is being written into a fresh view
+
+// Output that arrived before the view existed (e.g. a terminal opened through the
+// control API) is only in main's scrollback, so the view starts from that
+async function createReplayedView(id) {
+  createTermView(id);
+  replayingViews.add(id);
+  const scrollback = await window.termParty.getTerminalScrollback(id);
+  replayingViews.delete(id);
+  if (scrollback) termViews.get(id)?.xterm.write(scrollback);
+}
+
+function createTermView(id) {
+  const xterm = new Terminal(XTERM_OPTIONS);
+
+  const fitAddon = new FitAddon();
+  xterm.loadAddon(fitAddon);
+
+  let answeringQuery = false;
+  watchQueryReplies(xterm, (answering) => { answeringQuery = answering; });
+  xterm.onData((data) => {
+    sendInput(id, data, { reply: answeringQuery || FOCUS_OR_MOUSE_REPORT.test(data) });
+  });
+
+  xterm.onResize(({ cols, rows }) => {
+    window.termParty.resize(id, cols, rows);
+  });
+
+  // OSC 133;A marks a prompt; remember where each one landed for prompt navigation
+  const promptMarkers = [];
+  xterm.parser.registerOscHandler(133, (data) => {
+    if (data.startsWith('A')) {
+      const marker = xterm.registerMarker(0);
+      if (marker) {
+        promptMarkers.push(marker);
+        marker.onDispose(() => {
+          const index = promptMarkers.indexOf(marker);
+          if (index >= 0) promptMarkers.splice(index, 1);
+        });
+      }
+    }
+    return false;
+  });
+
+  xterm.attachCustomKeyEventHandler((e) => {
+    if (e.type !== 'keydown') return true;
+    if (e.ctrlKey && (e.key === 'PageUp' || e.key === 'PageDown')) {
+      return false;
+    }
+    // Split pane and prompt navigation shortcuts are handled by the document keydown listener
+    if (e.ctrlKey && e.altKey && e.key.startsWith('Arrow')) {
+      return false;
+    }
+    if (e.ctrlKey && e.shiftKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+      return false;
+    }
+    if (e.ctrlKey && e.shiftKey && ['Backslash', 'Minus', 'KeyW', 'KeyB', 'KeyF', 'KeyH'].includes(e.code)) {
+      return false;
+    }
+    if (e.ctrlKey && e.key === 'v') {
+      navigator.clipboard.readText().then(text => {
+        if (text) sendInput(id, text);
+      });
+      return false;
+    }
+    if (e.ctrlKey && e.key === 'c' && xterm.hasSelection()) {
+      navigator.clipboard.writeText(xterm.getSelection());
+      return false;
+    }
+    return true;
+  });
+
+  const wrapper = document.createElement('div');
+  wrapper.style.width = '100%';
+  wrapper.style.height = '100%';
+  wrapper.style.display = 'none';
+  containerEl.appendChild(wrapper);
+
+  // Clicking into another visible pane makes it the active terminal
+  wrapper.addEventListener('focusin', () => {
+    if (activeViewId === id || !mountedPaneIds.includes(id)) return;
+    activeViewId = id;
+    markFocusedPane(id);
+    updateSidebarActiveStates();
+  });
+
+  wrapper.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  });
+
+  wrapper.addEventListener('drop', (e) => {
+    e.preventDefault();
+    if (e.dataTransfer.files.length > 0) {
+      const paths = [...e.dataTransfer.files].map(f => `"${f.path}"`).join(' ');
+      sendInput(id, paths);
+    } else {
+      const text = e.dataTransfer.getData('text/plain');
+      if (text) sendInput(id, text);
+    }
+    xterm.focus();
+  });
+
+  wrapper.classList.toggle('broadcasting', broadcastIds.has(id));
+  termViews.set(id, { xterm, fitAddon, wrapper, promptMarkers, opened: false });
+}
+
+// Tears down a dead terminal's view; main.js has already dropped it from its layouts
+function dropTermView(id) {
+  const view = termViews.get(id);
+  if (view) {
+    view.xterm.dispose();
+    view.wrapper.remove();
+    termViews.delete(id);
+  }
+  if (broadcastIds.delete(id)) updateBroadcastIndicators();
+  highlightedIds.delete(id);
+
+  const layout = findLayout(id);
+  layouts = layoutsWithout(id);
+  if (!layout) {
+    if (activeViewId === id) {
+      activeViewId = null;
+      emptyStateEl.style.display = '';
+    }
+    return;
+  }
+
+  if (activeViewId === id) {
+    // Stay in the split the terminal was part of
+    const remaining = mapLayout(layout, leaf => (leaf.id === id ? null : leaf));
+    const sibling = firstLiveLeafId(remaining);
+    if (sibling !== null) {
+      remountActive(sibling);
+    } else {
+      unmountLayout();
+      activeViewId = null;
+      emptyStateEl.style.display = '';
+    }
+  } else if (layout === mountedLayout) {
+    remountActive(activeViewId);
+  }
+}
+
+async function killTerminal(id) {
+  const t = lastRenderedTerminals?.find(term => term.id === id);
+  if (t?.foreground) {
+    confirmKillBusy(t);
+    return;
+  }
+  await window.termParty.killTerminal(id);
+  dropTermView(id);
+  refreshList();
+}
+
+// A job other than the shell is in the foreground: stop it politely before the PTY goes
+function confirmKillBusy(t) {
+  const content = document.createElement('div');
+  content.className = 'modal-form';
+  content.innerHTML = `
+    <p class="kill-busy-message"></p>
+    <label class="form-check"><input type="checkbox" class="kill-now"> Kill immediately instead</label>
+  `;
+  content.querySelector('.kill-busy-message').textContent =
+    `${t.foreground.name} is still running. It will get SIGINT, then SIGTERM, then SIGKILL, a few seconds apart, until it exits.`;
+  const killNowInput = content.querySelector('.kill-now');
+
+  openModal({
+    title: `Kill ${t.title || t.cwd}?`,
+    content,
+    confirmLabel: 'Stop and kill',
+    onConfirm: () => {
+      const done = killNowInput.checked
+        ? window.termParty.killTerminal(t.id)
+        : window.termParty.stopAndKillTerminal(t.id);
+      done.then(() => {
+        dropTermView(t.id);
+        refreshList();
+      });
+    },
+  });
+}
+
+async function removeSavedTerminal(index) {
+  await window.termParty.removeSavedTerminal(index);
+  // Ghost indexes shift after removal, so the preview can't stay on screen
+  if (activeViewId === 'ghost') activateView('dashboard');
+  refreshList();
+}
+
+async function spawnGhost(index) {
+  const info = await window.termParty.restoreSavedTerminal(index);
+  if (!info) return;
+  // main.js swaps the ghost's layout leaves over to the new terminal id
+  await loadLayouts();
+  createTermView(info.id);
+  // Saved output (ending in a "session restored" divider) goes in before the new prompt
+  if (info.history) termViews.get(info.id).xterm.write(info.history);
+  activateTerminal(info.id);
+  refreshList();
+}
+
+// ---- Add terminal ----
+
+// Running tmux sessions are offered below the shell profiles; windows already open are checked
+async function pickTerminalSource(x, y) {
+  const sessions = await window.termParty.listTmuxSessions();
+  if (sessions.length === 0) return { profileId: await pickProfile(x, y) };
+  return new Promise((resolve) => {
+    const items = currentProfiles.map(p => ({ label: p.name, action: () => resolve({ profileId: p.id }) }));
+    for (const session of sessions) {
+      items.push({ separator: true });
+      items.push({ label: `tmux: ${session.name}`, action: () => resolve({ tmuxSession: session.name }) });
+      for (const w of session.windows) {
+        items.push({
+          label: `\u2003${w.index}: ${w.name}`,
+          checked: w.attached,
+          action: () => resolve({ tmuxSession: session.name, tmuxWindowId: w.windowId }),
+        });
+      }
+    }
+    showContextMenu(x, y, items);
+  });
+}
+
+// Each window of the session becomes a terminal; activates the picked one, or the first
+async function attachTmuxSession(session, windowId) {
+  const results = await window.termParty.attachTmuxSession(session, activeWorkspaceId);
+  if (!Array.isArray(results)) return;
+  await loadLayouts();
+  for (const info of results) {
+    if (termViews.has(info.id)) continue;
+    createTermView(info.id);
+    if (info.history) termViews.get(info.id).xterm.write(info.history);
+  }
+  const terminals = await window.termParty.getTerminals();
+  const target = terminals.find(t => windowId && t.tmux?.windowId === windowId) || results[0];
+  if (target) activateTerminal(target.id);
+  refreshList();
+}
+
+function buildRemoteIcon() {
+  const icon = document.createElement('span');
+  icon.className = 'remote-icon';
+  icon.textContent = '\u{1F310}';
+  icon.title = 'Remote (ssh)';
+  return icon;
+}
+
+function openRemoteTerminalModal() {
+  const content = document.createElement('div');
+  content.className = 'modal-form';
+  content.innerHTML = `
+    <label class="form-field"><span>Host</span><input class="remote-host" placeholder="web1.example.com" spellcheck="false"></label>
+    <label class="form-field"><span>User (optional)</span><input class="remote-user" placeholder="deploy" spellcheck="false"></label>
+    <label class="form-field"><span>Port (optional)</span><input class="remote-port" type="number" min="1" max="65535" placeholder="22"></label>
+    <label class="form-field"><span>Identity file (optional)</span><input class="remote-identity" placeholder="~/.ssh/id_ed25519" spellcheck="false"></label>
+    <label class="form-field"><span>Remote directory (optional)</span><input class="remote-dir" placeholder="/srv/app" spellcheck="false"></label>
+    <span class="profile-error"></span>
+  `;
+  const errorEl = content.querySelector('.profile-error');
+  const field = selector => content.querySelector(selector).value.trim();
+
+  openModal({
+    title: 'New remote terminal',
+    content,
+    confirmLabel: 'Connect',
+    onConfirm: async () => {
+      const info = await createTerminal(null, {
+        remote: {
+          host: field('.remote-host'),
+          user: field('.remote-user'),
+          port: field('.remote-port'),
+          identity: field('.remote-identity'),
+          dir: field('.remote-dir'),
+        },
+      });
+      if (info?.error) {
+        errorEl.textContent = info.error;
+        return false;
+      }
+      activateTerminal(info.id);
+      refreshList();
+    },
+  });
+  content.querySelector('.remote-host').focus();
+}
+
+addRemoteBtn.addEventListener('click', openRemoteTerminalModal);
+
+addBtn.addEventListener('click', async (e) => {
+  // Keep the document click handler from closing the profile menu immediately
+  e.stopPropagation();
+  const rect = addBtn.getBoundingClientRect();
+  const { profileId, tmuxSession, tmuxWindowId } = await pickTerminalSource(rect.left, rect.bottom + 4);
+  if (tmuxSession) {
+    attachTmuxSession(tmuxSession, tmuxWindowId);
+    return;
+  }
+  const dir = await window.termParty.selectDirectory();
+  if (!dir) return;
+  const info = await createTerminal(dir, { profileId });
+  activateTerminal(info.id);
+  refreshList();
+});
+
+// ---- Incoming data from pty ----
+
+window.termParty.onData(({ id, data }) => {
+  const view = termViews.get(id);
+  // The scrollback being replayed already contains it
+  if (view && !replayingViews.has(id)) {
+    view.xterm.write(data);
+  }
+});
+
+window.termParty.onExit(({ id }) => {
+  dropTermView(id);
+  refreshList();
+});
+
+// Terminals opened, renamed or killed through the control API, or shared and unshared
+window.termParty.onTerminalsChanged(() => {
+  refreshList();
+  if (activeViewId === 'sharing') renderSharingPanel(specialViews.get('sharing').wrapper);
+});
+
+// ---- Resize handling ----
+
+let resizeTimer = null;
+window.addEventListener('resize', () => {
+  if (resizeTimer) clearTimeout(resizeTimer);
+  resizeTimer = setTimeout(() => {
+    resizeTimer = null;
+    if (typeof activeViewId === 'number') {
+      fitVisiblePanes();
+    } else if (activeViewId === 'ghost' && ghostPreview) {
+      ghostPreview.fitAddon.fit();
+    } else if (activeViewId === 'exit' && exitPreview) {
+      exitPreview.fitAddon.fit();
+    }
+  }, 100);
+});
+
+// ---- Keyboard shortcuts ----
+
+document.addEventListener('keydown', (e) => {
+  if (!e.ctrlKey) return;
+
+  // Split panes: Ctrl+Alt+Arrow moves focus, Ctrl+Shift+\ / - splits, Ctrl+Shift+W closes the pane
+  if (e.altKey && e.key.startsWith('Arrow')) {
+    e.preventDefault();
+    moveFocus(e.key);
+    return;
+  }
+  if (e.shiftKey && (e.code === 'Backslash' || e.code === 'Minus')) {
+    e.preventDefault();
+    splitWithNewTerminal(e.code === 'Backslash' ? 'row' : 'column');
+    return;
+  }
+  if (e.shiftKey && e.code === 'KeyW') {
+    e.preventDefault();
+    if (typeof activeViewId === 'number') closePane(activeViewId);
+    return;
+  }
+
+  // Ctrl+Shift+B marks/unmarks the active terminal for broadcast input
+  if (e.shiftKey && e.code === 'KeyB') {
+    e.preventDefault();
+    if (typeof activeViewId === 'number') toggleBroadcast(activeViewId);
+    return;
+  }
+
+  if (e.shiftKey && e.code === 'KeyF') {
+    e.preventDefault();
+    activateView('search');
+    return;
+  }
+
+  if (e.shiftKey && e.code === 'KeyH') {
+    e.preventDefault();
+    openHistory(typeof activeViewId === 'number' ? activeViewId : historyTarget?.id);
+    return;
+  }
+
+  // Ctrl+Shift+Up/Down jumps between prompts (needs shell integration)
+  if (e.shiftKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+    e.preventDefault();
+    if (typeof activeViewId === 'number') jumpToPrompt(activeViewId, e.key === 'ArrowUp' ? -1 : 1);
+    return;
+  }
+
+  if (e.key !== 'PageUp' && e.key !== 'PageDown') return;
+
+  e.preventDefault();
+  const ids = getTerminalIds();
+
+  if (e.key === 'PageUp') {
+    if (activeViewId === 'dashboard') {
+      // Dashboard → last terminal (wrap around)
+      if (ids.length > 0) activateTerminal(ids[ids.length - 1]);
+    } else if (typeof activeViewId === 'number') {
+      const idx = ids.indexOf(activeViewId);
+      if (idx <= 0) {
+        // First terminal → Dashboard
+        activateView('dashboard');
+      } else {
+        activateTerminal(ids[idx - 1]);
+      }
+    } else {
+      // On another special view, go to dashboard
+      activateView('dashboard');
+    }
+  } else {
+    if (activeViewId === 'dashboard') {
+      // Dashboard → first terminal
+      if (ids.length > 0) activateTerminal(ids[0]);
+    } else if (typeof activeViewId === 'number') {
+      const idx = ids.indexOf(activeViewId);
+      if (idx < 0 || idx >= ids.length - 1) {
+        // Last terminal → Dashboard
+        activateView('dashboard');
+      } else {
+        activateTerminal(ids[idx + 1]);
+      }
+    } else {
+      // On another special view, go to dashboard
+      activateView('dashboard');
+    }
+  }
+});
+
+// ---- Sidebar button handlers ----
+
+openFavoritesBtn.addEventListener('click', () => activateView('favorites'));
+openDudeBtn.addEventListener('click', () => activateView('dude'));
+openSettingsBtn.addEventListener('click', () => activateView('settings'));
+openSearchBtn.addEventListener('click', () => activateView('search'));
+appTitleEl.addEventListener('click', () => activateView('dashboard'));
+
+// ========================================================
+// Register special views
+// ========================================================
+
+// ---- Favorites panel ----
+
+registerSpecialView('favorites', {
+  buildFn(wrapper) {
+    wrapper.classList.add('favorites-panel');
+    wrapper.innerHTML = `
+      <div class="view-panel-header">Favorites</div>
+      <div class="dash-section-title">Workspaces</div>
+      <div class="fav-grid ws-grid"></div>
+      <div class="dash-section-title">Directories</div>
+      <div class="fav-grid dir-grid"></div>
+      <div class="panel-empty fav-empty" style="display:none;">No favorites yet. Star a terminal to add it here.</div>
+    `;
+  },
+  onActivate(wrapper) {
+    renderFavoritesPanel(wrapper);
+  },
+});
+
+// ---- Dashboard panel ----
+
+let dashboardPollInterval = null;
+
+registerSpecialView('dashboard', {
+  buildFn(wrapper) {
+    wrapper.classList.add('dashboard-panel');
+    wrapper.innerHTML = `
+      <div class="view-panel-header">Dashboard</div>
+      <div class="dash-stat-bar">
+        <div class="dash-stat">
+          <span class="dash-stat-label">CPU</span>
+          <span class="dash-stat-value" id="dash-cpu">--</span>
+        </div>
+        <div class="dash-stat">
+          <span class="dash-stat-label">Memory</span>
+          <span class="dash-stat-value" id="dash-mem">--</span>
+        </div>
+        <div class="dash-stat">
+          <span class="dash-stat-label">Terminals</span>
+          <span class="dash-stat-value" id="dash-term-count">0</span>
+        </div>
+      </div>
+      <div class="dash-section-title">Recent Exits <button class="dash-section-action dash-exits-clear">Clear</button></div>
       <ul class="dash-exits" id="dash-exits"></ul>
       <div class="dash-section-title">Active Terminals</div>
       <div class="dash-tail-grid" id="dash-tail-grid"></div>
     `;
+    wrapper.querySelector('.dash-exits-clear').addEventListener('click', async () => {
+      await window.termParty.clearExitHistory();
+      refreshDashboard();
+    });
+  },
+  onActivate() {
+    refreshDashboard();
+    dashboardPollInterval = setInterval(refreshDashboard, 2000);
+  },
+  onDeactivate() {
+    if (dashboardPollInterval) {
+      clearInterval(dashboardPollInterval);
+      dashboardPollInterval = null;
+    }
+  },
+});
+
+// Cache for dashboard to avoid unnecessary DOM rebuilds
+let lastDashExitIds = '';
+let lastDashTermIds = '';
+
+async function refreshDashboard() {
+  const [dashData, stats, processTrees] = await Promise.all([
+    window.termParty.getDashboardData(),
+    window.termParty.getSystemStats(),
+    window.termParty.getProcessTrees(),
+  ]);
+
+  const cpuEl = document.getElementById('dash-cpu');
+  const memEl = document.getElementById('dash-mem');
+  const countEl = document.getElementById('dash-term-count');
+  const exitsEl = document.getElementById('dash-exits');
+  const gridEl = document.getElementById('dash-tail-grid');
+
+  if (!cpuEl) return; // panel not built yet
+
+  // Stats: always update (cheap text updates)
+  cpuEl.textContent = stats.cpuPercent + '%';
+  memEl.textContent = `${stats.memUsedMB} / ${stats.memTotalMB} MB`;
+  countEl.textContent = dashData.terminals.length;
+
+  // Recent exits: only rebuild if the set changed
+  const exitFingerprint = dashData.recentExits.map(e => e.exitId).join(',');
+  if (exitFingerprint !== lastDashExitIds) {
+    lastDashExitIds = exitFingerprint;
+    exitsEl.innerHTML = '';
+    if (dashData.recentExits.length === 0) {
+      exitsEl.innerHTML = '<div class="panel-empty">No recent exits</div>';
+    } else {
+      for (const exit of dashData.recentExits) {
+        const item = document.createElement('div');
+        item.className = 'dash-exit-item';
+        item.title = `${exit.cwd}\nShow final output`;
+        item.addEventListener('click', () => showExit(exit));
+
+        const code = document.createElement('span');
+        code.className = 'exit-code ' + (exit.exitCode === 0 ? 'success' : 'failure');
+        code.textContent = exit.exitCode ?? '?';
+        item.appendChild(code);
+
+        const title = document.createElement('span');
+        title.className = 'exit-title';
+        title.textContent = exit.title;
+        item.appendChild(title);
+
+        if (exit.lastCommand) {
+          const command = document.createElement('span');
+          command.className = 'exit-command';
+          command.textContent = exit.lastCommand;
+          item.appendChild(command);
+        }
+
+        if (exit.runtimeMs !== null && exit.runtimeMs !== undefined) {
+          const runtime = document.createElement('span');
+          runtime.className = 'exit-runtime';
+          runtime.textContent = formatDuration(exit.runtimeMs);
+          item.appendChild(runtime);
+        }
+
+        const time = document.createElement('span');
+        time.className = 'exit-time';
+        time.textContent = formatTime(exit.timestamp);
+        item.appendChild(time);
+
+        exitsEl.appendChild(item);
+      }
+    }
+  }
+
+  // Terminal tail cards: rebuild structure only if terminal set changed;
+  // otherwise just update content and active/idle classes in place
+  const now = Date.now();
+  const termFingerprint = dashData.terminals.map(t => t.id).join(',');
+  if (termFingerprint !== lastDashTermIds) {
+    lastDashTermIds = termFingerprint;
+    gridEl.innerHTML = '';
+    if (dashData.terminals.length === 0) {
+      gridEl.innerHTML = '<div class="panel-empty">No active terminals</div>';
+    } else {
+      for (const term of dashData.terminals) {
+        const card = document.createElement('div');
+        const isActive = (now - term.lastDataTime) < 3000;
+        card.className = 'dash-tail-card ' + (isActive ? 'term-active' : 'term-idle');
+        card.dataset.termId = String(term.id);
+
+        const header = document.createElement('div');
+        header.className = 'dash-tail-card-header';
+
+        const titleEl = document.createElement('span');
+        titleEl.className = 'dash-tail-card-title';
+        titleEl.textContent = term.title || term.cwd;
+        header.appendChild(titleEl);
+
+        const gitEl = document.createElement('span');
+        header.appendChild(gitEl);
+        updateDashGit(gitEl, term.git);
+
+        const restartsEl = document.createElement('span');
+        header.appendChild(restartsEl);
+        updateDashRestarts(restartsEl, term);
+
+        const gotoBtn = document.createElement('button');
+        gotoBtn.className = 'dash-tail-card-goto';
+        gotoBtn.textContent = 'Go to';
+        gotoBtn.addEventListener('click', () => activateTerminal(term.id));
+        header.appendChild(gotoBtn);
+
+        card.appendChild(header);
+
+        const commandEl = document.createElement('div');
+        commandEl.className = 'dash-tail-card-command';
+        updateDashCommand(commandEl, term.shell);
+        card.appendChild(commandEl);
+
+        const procsEl = document.createElement('div');
+        procsEl.className = 'dash-tail-card-procs';
+        updateDashProcesses(procsEl, term.id, processTrees[term.id]);
+        card.appendChild(procsEl);
+
+        const content = document.createElement('div');
+        content.className = 'dash-tail-card-content';
+        const lines = stripAnsi(term.tailText).split('\n');
+        content.textContent = lines.slice(-20).join('\n');
+        card.appendChild(content);
+
+        gridEl.appendChild(card);
+      }
+    }
+  } else {
+    // In-place update: just refresh content and active/idle state
+    for (const term of dashData.terminals) {
+      const card = gridEl.querySelector(`[data-term-id="${term.id}"]`);
+      if (!card) continue;
+      const isActive = (now - term.lastDataTime) < 3000;
+      card.className = 'dash-tail-card ' + (isActive ? 'term-active' : 'term-idle');
+      updateDashCommand(card.querySelector('.dash-tail-card-command'), term.shell);
+      updateDashGit(card.querySelector('.dash-tail-card-header > .git-badge, .dash-tail-card-header > .git-empty'), term.git);
+      updateDashProcesses(card.querySelector('.dash-tail-card-procs'), term.id, processTrees[term.id]);
+      updateDashRestarts(card.querySelector('.dash-restarts'), term);
+      const content = card.querySelector('.dash-tail-card-content');
+      if (content) {
+        const lines = stripAnsi(term.tailText).split('\n');
+        content.textContent = lines.slice(-20).join('\n');
+      }
+    }
+  }
+}
+
+function updateDashCommand(el, shell) {
+  if (!el) return;
+  const status = describeCommandStatus(shell);
+  el.style.display = status ? '' : 'none';
+  el.className = 'dash-tail-card-command' + (status ? ` ${status.state}` : '');
+  el.textContent = status ? status.detail : '';
+}
+
+// ---- Dashboard process trees ----
+
+const PROCESS_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGKILL', 'SIGHUP', 'SIGSTOP', 'SIGCONT', 'SIGUSR1', 'SIGUSR2'];
+const dashSignalErrors = new Map(); // terminal id -> message, shown on the next refresh
+
+function formatMemory(kb) {
+  if (kb >= 1024 * 1024) return `${(kb / 1024 / 1024).toFixed(1)} GB`;
+  return `${Math.round(kb / 1024)} MB`;
+}
+
+function showSignalMenu(x, y, id, proc) {
+  showContextMenu(x, y, PROCESS_SIGNALS.map(signal => ({
+    label: `Send ${signal} to ${proc.name} (${proc.pid})`,
+    action: async () => {
+      const result = await window.termParty.signalProcess(id, proc.pid, signal);
+      if (result?.error) dashSignalErrors.set(id, result.error);
+      refreshDashboard();
+    },
+  })));
+}
+
+// Totals plus the PTY's process tree, indented by depth; rebuilt on every poll
+function updateDashProcesses(el, id, tree) {
+  if (!el) return;
+  const scrollTop = el.querySelector('.dash-proc-list')?.scrollTop || 0;
+  el.innerHTML = '';
+  if (!tree || tree.processes.length === 0) {
+    el.style.display = 'none';
+    return;
+  }
+  el.style.display = '';
+
+  const summary = document.createElement('div');
+  summary.className = 'dash-proc-summary';
+  const count = tree.processes.length;
+  summary.textContent = [
+    tree.cpuPercent !== null ? `CPU ${tree.cpuPercent}%` : null,
+    `RSS ${formatMemory(tree.rssKB)}`,
+    `${count} process${count === 1 ? '' : 'es'}`,
+  ].filter(Boolean).join(' \u00b7 ');
+  el.appendChild(summary);
+
+  const error = dashSignalErrors.get(id);
+  if (error) {
+    dashSignalErrors.delete(id);
+    const errorEl = document.createElement('div');
+    errorEl.className = 'profile-error';
+    errorEl.textContent = error;
+    el.appendChild(errorEl);
+  }
+
+  const list = document.createElement('div');
+  list.className = 'dash-proc-list';
+  for (const proc of tree.processes) {
+    const row = document.createElement('div');
+    row.className = 'dash-proc-row';
+    row.title = `${proc.command || proc.name}\nPID ${proc.pid} \u00b7 right-click to send a signal`;
+
+    const name = document.createElement('span');
+    name.className = 'dash-proc-name';
+    name.style.paddingLeft = `${proc.depth * 10}px`;
+    name.textContent = proc.name;
+    row.appendChild(name);
+
+    const pid = document.createElement('span');
+    pid.className = 'dash-proc-pid';
+    pid.textContent = proc.pid;
+    row.appendChild(pid);
+
+    const cpu = document.createElement('span');
+    cpu.className = 'dash-proc-cpu';
+    cpu.textContent = proc.cpu !== null ? `${proc.cpu}%` : '';
+    row.appendChild(cpu);
+
+    const rss = document.createElement('span');
+    rss.className = 'dash-proc-rss';
+    rss.textContent = formatMemory(proc.rssKB);
+    row.appendChild(rss);
+
+    const signalBtn = document.createElement('button');
+    signalBtn.className = 'dash-proc-signal';
+    signalBtn.textContent = '\u22ef';
+    signalBtn.title = 'Send signal';
+    signalBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const rect = signalBtn.getBoundingClientRect();
+      showSignalMenu(rect.left, rect.bottom, id, proc);
+    });
+    row.appendChild(signalBtn);
+
+    row.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      showSignalMenu(e.clientX, e.clientY, id, proc);
+    });
+    list.appendChild(row);
+  }
+  el.appendChild(list);
+  list.scrollTop = scrollTop;
+}
+
+// Swaps the header badge in place; an empty placeholder keeps its slot when there's no repo
+function updateDashGit(el, git) {
+  if (!el) return;
+  const next = git ? buildGitBadge(git) : document.createElement('span');
+  if (!git) next.className = 'git-empty';
+  if (next.className === el.className && next.textContent === el.textContent && next.title === el.title) return;
+  el.replaceWith(next);
+}
+
+// Keep-alive terminals show how often they've come back, even before the first restart
+function updateDashRestarts(el, term) {
+  if (!el) return;
+  el.className = 'dash-restarts' + (term.restarting ? ' restarting' : '') + (term.restarts ? ' restarted' : '');
+  el.style.display = term.keepAlive || term.restarts ? '' : 'none';
+  el.textContent = `\u21bb ${term.restarts}${term.keepAlive?.maxRestarts ? `/${term.keepAlive.maxRestarts}` : ''}`;
+  el.title = describeRestarts(term);
+}
+
+function formatTime(ts) {
+  const d = new Date(ts);
+  const now = new Date();
+  const diff = now - d;
+  if (diff < 60000) return 'just now';
+  if (diff < 3600000) return Math.floor(diff / 60000) + 'm ago';
+  if (diff < 86400000) return Math.floor(diff / 3600000) + 'h ago';
+  return d.toLocaleDateString();
+}
+
+const ANSI_ESCAPE_RE = /\x1b\[[0-9;]*[a-zA-Z]/g;
+const ANSI_OSC_RE = /\x1b\][^\x07]*\x07/g;
+function stripAnsi(str) {
+  return str.replace(ANSI_ESCAPE_RE, '').replace(ANSI_OSC_RE, '');
+}
+
+// ---- Dude browser panel ----
+
+let dudeSelectedRecordId = null;
+let dudeProjects = [];
+
+registerSpecialView('dude', {
+  buildFn(wrapper) {
+    wrapper.classList.add('dude-panel');
+    wrapper.innerHTML = `
+      <div class="dude-sidebar">
+        <div class="dude-controls">
+          <div class="view-panel-header">Dude</div>
+          <input type="text" class="dude-search" placeholder="Search records...">
+          <div class="dude-filters">
+            <select class="dude-filter-kind">
+              <option value="all">All Kinds</option>
+              <option value="issue">Issue</option>
+              <option value="spec">Spec</option>
+              <option value="arch">Arch</option>
+              <option value="update">Update</option>
+            </select>
+            <select class="dude-filter-status">
+              <option value="all">All Status</option>
+              <option value="open">Open</option>
+              <option value="resolved">Resolved</option>
+              <option value="archived">Archived</option>
+            </select>
+          </div>
+          <select class="dude-filter-project">
+            <option value="*">All Projects</option>
+          </select>
+        </div>
+        <ul class="dude-record-list"></ul>
+      </div>
+      <div class="dude-main">
+        <div class="dude-detail" style="display:none"></div>
+        <div class="dude-empty">Select a record to view</div>
+        <div class="dude-not-installed" style="display:none">
+          <div class="dude-not-installed-card">
+            <div class="icon">&#128218;</div>
+            <h3>Dude plugin not found</h3>
+            <p>Install the dude-claude-plugin to browse your project records, issues, and specifications.</p>
+            <a href="https://github.com/fingerskier/claude-plugins" target="_blank">View on GitHub</a>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const searchInput = wrapper.querySelector('.dude-search');
+    let searchTimeout;
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchTimeout);
+      searchTimeout = setTimeout(() => dudeLoadRecords(wrapper), 500);
+    });
+
+    const kindSelect = wrapper.querySelector('.dude-filter-kind');
+    const statusSelect = wrapper.querySelector('.dude-filter-status');
+    const projectSelect = wrapper.querySelector('.dude-filter-project');
+
+    kindSelect.addEventListener('change', () => dudeLoadRecords(wrapper));
+    statusSelect.addEventListener('change', () => dudeLoadRecords(wrapper));
+    projectSelect.addEventListener('change', () => dudeLoadRecords(wrapper));
+  },
+  async onActivate(wrapper) {
+    const installed = await window.termParty.dudeCheckInstalled();
+    const notInstalledEl = wrapper.querySelector('.dude-not-installed');
+    const emptyEl = wrapper.querySelector('.dude-empty');
+    const sidebarEl = wrapper.querySelector('.dude-sidebar');
+
+    if (!installed) {
+      notInstalledEl.style.display = '';
+      emptyEl.style.display = 'none';
+      sidebarEl.style.display = 'none';
+      return;
+    }
+
+    notInstalledEl.style.display = 'none';
+    sidebarEl.style.display = '';
+
+    // Load projects into dropdown
+    const projectSelect = wrapper.querySelector('.dude-filter-project');
+    const projects = await window.termParty.dudeListProjects();
+    if (projects && !projects.error && Array.isArray(projects)) {
+      dudeProjects = projects;
+      // Rebuild options keeping the current selection
+      const current = projectSelect.value;
+      projectSelect.innerHTML = '<option value="*">All Projects</option>';
+      for (const p of projects) {
+        const opt = document.createElement('option');
+        opt.value = p.name || p.directory || '';
+        opt.textContent = p.name || p.directory || 'Unknown';
+        projectSelect.appendChild(opt);
+      }
+      if (current && current !== '*') projectSelect.value = current;
+    }
+
+    dudeLoadRecords(wrapper);
+  },
+});
+
+function dudeGetFilters(wrapper) {
+  const kind = wrapper.querySelector('.dude-filter-kind').value;
+  const status = wrapper.querySelector('.dude-filter-status').value;
+  const project = wrapper.querySelector('.dude-filter-project').value;
+  const filters = {};
+  if (kind !== 'all') filters.kind = kind;
+  if (status !== 'all') filters.status = status;
+  if (project !== '*') filters.project = project;
+  return filters;
+}
+
+async function dudeLoadRecords(wrapper) {
+  const listEl = wrapper.querySelector('.dude-record-list');
+  if (!listEl) return;
+
+  const searchInput = wrapper.querySelector('.dude-search');
+  const query = searchInput ? searchInput.value.trim() : '';
+  const filters = dudeGetFilters(wrapper);
+
+  let records;
+  if (query) {
+    records = await window.termParty.dudeSearch(query, filters);
+  } else {
+    records = await window.termParty.dudeListRecords(filters);
+  }
+
+  listEl.innerHTML = '';
+
+  if (!records || records.error) {
+    listEl.innerHTML = `<div class="panel-empty">${records?.error || 'Failed to load records'}</div>`;
+    return;
+  }
+
+  const items = Array.isArray(records) ? records : (records.results || []);
+
+  if (items.length === 0) {
+    listEl.innerHTML = '<div class="panel-empty">No records found</div>';
+    return;
+  }
+
+  for (const rec of items) {
+    const li = document.createElement('li');
+    li.dataset.recordId = String(rec.id);
+    if (dudeSelectedRecordId === rec.id) li.classList.add('selected');
+
+    const titleRow = document.createElement('div');
+    titleRow.className = 'dude-record-title-row';
+
+    const kindBadge = document.createElement('span');
+    kindBadge.className = `kind-badge kind-${rec.kind || 'issue'}`;
+    kindBadge.textContent = rec.kind || 'issue';
+    titleRow.appendChild(kindBadge);
+
+    const title = document.createElement('span');
+    title.className = 'dude-record-title';
+    title.textContent = rec.title || '(untitled)';
+    titleRow.appendChild(title);
+
+    li.appendChild(titleRow);
+
+    const meta = document.createElement('div');
+    meta.className = 'dude-record-meta';
+    const parts = [];
+    if (rec.project) parts.push(rec.project);
+    if (rec.status) parts.push(rec.status);
+    if (rec.updated_at) parts.push(formatTime(new Date(rec.updated_at).getTime()));
+    meta.textContent = parts.join(' \u00b7 ');
+    li.appendChild(meta);
+
+    li.addEventListener('click', () => dudeSelectRecord(rec.id, wrapper));
+    listEl.appendChild(li);
+  }
+}
+
+async function dudeSelectRecord(id, wrapper) {
+  dudeSelectedRecordId = id;
+  const detailEl = wrapper.querySelector('.dude-detail');
+  const emptyEl = wrapper.querySelector('.dude-empty');
+
+  const record = await window.termParty.dudeGetRecord(id);
+
+  if (!record || record.error) {
+    detailEl.style.display = 'none';
+    emptyEl.style.display = '';
+    emptyEl.textContent = record?.error || 'Failed to load record';
+    return;
+  }
+
+  emptyEl.style.display = 'none';
+  detailEl.style.display = '';
+
+  detailEl.innerHTML = '';
+
+  const header = document.createElement('div');
+  header.className = 'dude-detail-header';
+
+  const kindBadge = document.createElement('span');
+  kindBadge.className = `kind-badge kind-${record.kind || 'issue'}`;
+  kindBadge.textContent = record.kind || 'issue';
+  header.appendChild(kindBadge);
+
+  const statusBadge = document.createElement('span');
+  statusBadge.className = `status-badge status-${record.status || 'open'}`;
+  statusBadge.textContent = record.status || 'open';
+  header.appendChild(statusBadge);
+
+  detailEl.appendChild(header);
+
+  const title = document.createElement('div');
+  title.className = 'dude-detail-title';
+  title.textContent = record.title || '(untitled)';
+  detailEl.appendChild(title);
+
+  if (record.project) {
+    const project = document.createElement('div');
+    project.className = 'dude-detail-project';
+    project.textContent = record.project;
+    detailEl.appendChild(project);
+  }
+
+  const dates = document.createElement('div');
+  dates.className = 'dude-detail-dates';
+  const dateParts = [];
+  if (record.created_at) dateParts.push('Created: ' + new Date(record.created_at).toLocaleString());
+  if (record.updated_at) dateParts.push('Updated: ' + formatTime(new Date(record.updated_at).getTime()));
+  dates.textContent = dateParts.join(' \u00b7 ');
+  detailEl.appendChild(dates);
+
+  if (record.body) {
+    const body = document.createElement('div');
+    body.className = 'dude-detail-body';
+    body.textContent = record.body;
+    detailEl.appendChild(body);
+  }
+
+  // Update selected state in list
+  const listEl = wrapper.querySelector('.dude-record-list');
+  for (const li of listEl.querySelectorAll('li')) {
+    li.classList.toggle('selected', li.dataset.recordId === String(id));
+  }
+}
+
+// ---- Search panel ----
+
+let searchTimer = null;
+let searchSeq = 0; // drops responses that arrive after a newer query
+
+registerSpecialView('search', {
+  buildFn(wrapper) {
+    wrapper.classList.add('search-panel');
+    wrapper.innerHTML = `
+      <div class="view-panel-header">Search</div>
+      <div class="search-controls">
+        <input class="search-input" placeholder="Search output of all terminals" spellcheck="false">
+        <label class="search-option"><input type="checkbox" class="search-regex"> Regex</label>
+        <label class="search-option"><input type="checkbox" class="search-case"> Match case</label>
+      </div>
+      <div class="search-status"></div>
+      <div class="search-results"></div>
+    `;
+    const input = wrapper.querySelector('.search-input');
+    input.addEventListener('input', () => {
+      if (searchTimer) clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => runSearch(wrapper), 250);
+    });
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') runSearch(wrapper);
+    });
+    for (const checkbox of wrapper.querySelectorAll('.search-option input')) {
+      checkbox.addEventListener('change', () => runSearch(wrapper));
+    }
+  },
+  onActivate(wrapper) {
+    const input = wrapper.querySelector('.search-input');
+    input.focus();
+    input.select();
+    // Output has moved on since the last visit
+    if (input.value) runSearch(wrapper);
+  },
+});
+
+async function runSearch(wrapper) {
+  if (searchTimer) {
+    clearTimeout(searchTimer);
+    searchTimer = null;
+  }
+  const seq = ++searchSeq;
+  const query = wrapper.querySelector('.search-input').value;
+  const result = await window.termParty.searchOutput({
+    query,
+    regex: wrapper.querySelector('.search-regex').checked,
+    caseSensitive: wrapper.querySelector('.search-case').checked,
+  });
+  if (seq !== searchSeq) return;
+  renderSearchResults(wrapper, query, result);
+}
+
+function renderSearchResults(wrapper, query, { results = [], truncated, error }) {
+  const statusEl = wrapper.querySelector('.search-status');
+  const resultsEl = wrapper.querySelector('.search-results');
+  resultsEl.innerHTML = '';
+  statusEl.classList.toggle('error', Boolean(error));
+
+  if (error) {
+    statusEl.textContent = error;
+    return;
+  }
+  if (!query) {
+    statusEl.textContent = '';
+    return;
+  }
+  const hitCount = results.reduce((sum, r) => sum + r.hits.length, 0);
+  statusEl.textContent = hitCount === 0
+    ? 'No matches'
+    : `${hitCount} match${hitCount === 1 ? '' : 'es'} in ${results.length} terminal${results.length === 1 ? '' : 's'}` +
+      (truncated ? ' (showing the first matches only)' : '');
+
+  for (const source of results) {
+    const group = document.createElement('div');
+    group.className = 'search-group';
+
+    const header = document.createElement('div');
+    header.className = 'search-group-header';
+    const title = document.createElement('span');
+    title.className = 'search-group-title';
+    title.textContent = source.title || source.cwd;
+    header.appendChild(title);
+    if (!source.live) {
+      const tag = document.createElement('span');
+      tag.className = 'search-exit-tag';
+      tag.textContent = `exited (${source.exitCode}) \u00b7 ${formatTime(source.timestamp)}`;
+      header.appendChild(tag);
+    }
+    header.title = source.cwd;
+    group.appendChild(header);
+
+    for (const hit of source.hits) {
+      group.appendChild(buildSearchHit(source, hit));
+    }
+    resultsEl.appendChild(group);
+  }
+}
+
+function buildSearchHit(source, hit) {
+  const el = document.createElement('div');
+  el.className = 'search-hit' + (source.live ? '' : ' exited');
+
+  const addLine = (text, className) => {
+    const lineEl = document.createElement('div');
+    lineEl.className = className;
+    lineEl.textContent = text || ' ';
+    el.appendChild(lineEl);
+    return lineEl;
+  };
+
+  for (const line of hit.before) addLine(line, 'search-context');
+  const matchEl = addLine('', 'search-line');
+  const [start, end] = hit.match;
+  const mark = document.createElement('mark');
+  mark.textContent = hit.line.slice(start, end);
+  matchEl.replaceChildren(hit.line.slice(0, start), mark, hit.line.slice(end));
+  for (const line of hit.after) addLine(line, 'search-context');
+
+  if (source.live) {
+    el.title = 'Show in terminal';
+    el.addEventListener('click', () => revealSearchHit(source.id, hit));
+  }
+  return el;
+}
+
+// Scrolls a terminal to a search hit, counting identical lines from the bottom
+// since xterm keeps less scrollback than main.js does
+function revealSearchHit(id, hit) {
+  if (!termViews.has(id)) return;
+  activateTerminal(id);
+  const { xterm } = termViews.get(id);
+  const buffer = xterm.buffer.active;
+  const target = hit.line.trimEnd();
+
+  // Join soft-wrapped rows back into the lines main.js searched
+  const lines = [];
+  for (let row = 0; row < buffer.length; row++) {
+    const bufferLine = buffer.getLine(row);
+    if (!bufferLine) continue;
+    const text = bufferLine.translateToString(false);
+    if (bufferLine.isWrapped && lines.length > 0) {
+      lines[lines.length - 1].text += text;
+    } else {
+      lines.push({ row, text });
+    }
+  }
+
+  let skip = hit.fromEnd;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (lines[i].text.trimEnd() !== target) continue;
+    if (skip-- > 0) continue;
+    const [start, end] = hit.match;
+    const row = lines[i].row + Math.floor(start / xterm.cols);
+    xterm.scrollToLine(Math.max(0, row - Math.floor(xterm.rows / 2)));
+    xterm.select(start % xterm.cols, row, end - start);
+    return;
+  }
+}
+
+// ---- Command history panel ----
+
+let historyTarget = null; // { id, title, cwd } — terminal that Run/Insert send to
+let historyCwd = null; // directory whose history is shown
+
+// id is the terminal to send commands to; cwd defaults to its directory
+async function openHistory(id, cwd) {
+  if (id != null && termViews.has(id)) {
+    const terminals = await window.termParty.getTerminals();
+    const t = terminals.find(term => term.id === id);
+    if (t) historyTarget = { id, title: t.title || t.cwd, cwd: t.cwd };
+  }
+  historyCwd = cwd || historyTarget?.cwd || historyCwd;
+  if (activeViewId === 'history') {
+    renderHistoryPanel(specialViews.get('history').wrapper);
+  } else {
+    activateView('history');
+  }
+}
+
+registerSpecialView('history', {
+  buildFn(wrapper) {
+    wrapper.classList.add('history-panel');
+    wrapper.innerHTML = `
+      <div class="view-panel-header">Command History</div>
+      <div class="history-controls">
+        <select class="history-dir-select"></select>
+        <input class="history-filter" placeholder="Filter commands" spellcheck="false">
+        <button class="panel-btn history-clear-btn">Clear</button>
+      </div>
+      <div class="history-target"></div>
+      <div class="history-list"></div>
+      <div class="panel-empty history-empty" style="display:none;">No commands recorded for this directory yet.</div>
+    `;
+    wrapper.querySelector('.history-dir-select').addEventListener('change', (e) => {
+      historyCwd = e.target.value;
+      renderHistoryPanel(wrapper);
+    });
+    wrapper.querySelector('.history-filter').addEventListener('input', () => renderHistoryPanel(wrapper));
+    wrapper.querySelector('.history-clear-btn').addEventListener('click', async () => {
+      if (!historyCwd) return;
+      await window.termParty.clearCommandHistory(historyCwd);
+      renderHistoryPanel(wrapper);
+    });
   },
-  onActivate() {
-    refreshDashboard();
-    dashboardPollInterval = setInterval(refreshDashboard, 2000);
-  },
-  onDeactivate() {
-    if (dashboardPollInterval) {
-      clearInterval(dashboardPollInterval);
-      dashboardPollInterval = null;
-    }
+  onActivate(wrapper) {
+    renderHistoryPanel(wrapper);
   },
 });
 
-// Cache for dashboard to avoid unnecessary DOM rebuilds
-let lastDashExitIds = '';
-let lastDashTermIds = '';
+async function renderHistoryPanel(wrapper) {
+  const dirs = await window.termParty.getHistoryDirectories();
+  if (historyTarget && !termViews.has(historyTarget.id)) historyTarget = null;
+  if (!historyCwd) historyCwd = dirs[0]?.cwd || null;
+
+  const selectEl = wrapper.querySelector('.history-dir-select');
+  selectEl.innerHTML = '';
+  const options = dirs.some(d => d.cwd === historyCwd) || !historyCwd
+    ? dirs
+    : [{ cwd: historyCwd, name: historyCwd, count: 0 }, ...dirs];
+  for (const dir of options) {
+    const opt = document.createElement('option');
+    opt.value = dir.cwd;
+    opt.textContent = `${dir.name} (${dir.count})`;
+    opt.title = dir.cwd;
+    selectEl.appendChild(opt);
+  }
+  selectEl.value = historyCwd || '';
 
-async function refreshDashboard() {
-  const [dashData, stats] = await Promise.all([
-    window.termParty.getDashboardData(),
-    window.termParty.getSystemStats(),
-  ]);
+  const targetEl = wrapper.querySelector('.history-target');
+  targetEl.textContent = historyTarget
+    ? `Run and Insert send to ${historyTarget.title}`
+    : 'Open this panel from a terminal to run or insert commands.';
 
-  const cpuEl = document.getElementById('dash-cpu');
-  const memEl = document.getElementById('dash-mem');
-  const countEl = document.getElementById('dash-term-count');
-  const exitsEl = document.getElementById('dash-exits');
-  const gridEl = document.getElementById('dash-tail-grid');
+  const filter = wrapper.querySelector('.history-filter').value.trim().toLowerCase();
+  const entries = historyCwd ? await window.termParty.getCommandHistory(historyCwd) : [];
+  const visible = filter ? entries.filter(e => e.command.toLowerCase().includes(filter)) : entries;
 
-  if (!cpuEl) return; // panel not built yet
+  const listEl = wrapper.querySelector('.history-list');
+  listEl.innerHTML = '';
+  wrapper.querySelector('.history-empty').style.display = visible.length === 0 ? '' : 'none';
+  for (const entry of visible) {
+    listEl.appendChild(buildHistoryRow(entry));
+  }
+}
 
-  // Stats: always update (cheap text updates)
-  cpuEl.textContent = stats.cpuPercent + '%';
-  memEl.textContent = `${stats.memUsedMB} / ${stats.memTotalMB} MB`;
-  countEl.textContent = dashData.terminals.length;
+function buildHistoryRow(entry) {
+  const row = document.createElement('div');
+  row.className = 'history-row';
+
+  const code = document.createElement('span');
+  code.className = 'exit-code ' + (entry.exitCode == null ? 'unknown' : entry.exitCode === 0 ? 'success' : 'failure');
+  code.textContent = entry.exitCode ?? '\u2013';
+  row.appendChild(code);
+
+  const command = document.createElement('span');
+  command.className = 'history-command';
+  command.textContent = entry.command;
+  command.title = entry.command;
+  row.appendChild(command);
+
+  const meta = document.createElement('span');
+  meta.className = 'history-meta';
+  meta.textContent = formatTime(entry.startedAt) + (entry.durationMs != null ? ` \u00b7 ${formatDuration(entry.durationMs)}` : '');
+  row.appendChild(meta);
+
+  const actions = [
+    { label: 'Run', title: 'Run in the terminal', needsTarget: true, action: () => sendHistoryCommand(entry.command + '\r') },
+    { label: 'Insert', title: 'Type into the terminal without running', needsTarget: true, action: () => sendHistoryCommand(entry.command) },
+    { label: 'Copy', title: 'Copy to clipboard', action: () => navigator.clipboard.writeText(entry.command) },
+  ];
+  for (const { label, title, needsTarget, action } of actions) {
+    const btn = document.createElement('button');
+    btn.className = 'panel-btn';
+    btn.textContent = label;
+    btn.title = title;
+    btn.disabled = needsTarget && !historyTarget;
+    btn.addEventListener('click', action);
+    row.appendChild(btn);
+  }
+  return row;
+}
 
-  // Recent exits: only rebuild if the set changed
-  const exitFingerprint = dashData.recentExits.map(e => `${e.id}:${e.exitCode}`).join(',');
-  if (exitFingerprint !== lastDashExitIds) {
-    lastDashExitIds = exitFingerprint;
-    exitsEl.innerHTML = '';
-    if (dashData.recentExits.length === 0) {
-      exitsEl.innerHTML = '<div class="panel-empty">No recent exits</div>';
-    } else {
-      for (const exit of dashData.recentExits) {
-        const item = document.createElement('div');
-        item.className = 'dash-exit-item';
+function sendHistoryCommand(text) {
+  if (!historyTarget || !termViews.has(historyTarget.id)) return;
+  window.termParty.sendInput(historyTarget.id, text);
+  activateTerminal(historyTarget.id);
+}
 
-        const code = document.createElement('span');
-        code.className = 'exit-code ' + (exit.exitCode === 0 ? 'success' : 'failure');
-        code.textContent = exit.exitCode ?? '?';
-        item.appendChild(code);
+// ---- Output export ----
 
-        const title = document.createElement('span');
-        title.className = 'exit-title';
-        title.textContent = exit.title;
-        item.appendChild(title);
+const ANSI_COLOR_NAMES = [
+  'black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white',
+  'brightBlack', 'brightRed', 'brightGreen', 'brightYellow', 'brightBlue', 'brightMagenta', 'brightCyan', 'brightWhite',
+];
+const EXPORT_FORMATS = {
+  text: { label: 'Plain text', extension: 'txt' },
+  ansi: { label: 'ANSI (keeps colors for terminals and less -R)', extension: 'ans' },
+  html: { label: 'HTML (standalone, theme colors)', extension: 'html' },
+};
 
-        const time = document.createElement('span');
-        time.className = 'exit-time';
-        time.textContent = formatTime(exit.timestamp);
-        item.appendChild(time);
+function toHex(r, g, b) {
+  return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+}
 
-        exitsEl.appendChild(item);
-      }
-    }
+// xterm's 256-color palette, with the first 16 taken from our theme
+function paletteColor(index) {
+  if (index < 16) return XTERM_OPTIONS.theme[ANSI_COLOR_NAMES[index]];
+  if (index < 232) {
+    const levels = [0, 95, 135, 175, 215, 255];
+    const i = index - 16;
+    return toHex(levels[Math.floor(i / 36)], levels[Math.floor(i / 6) % 6], levels[i % 6]);
   }
+  const v = 8 + (index - 232) * 10;
+  return toHex(v, v, v);
+}
 
-  // Terminal tail cards: rebuild structure only if terminal set changed;
-  // otherwise just update content and active/idle classes in place
-  const now = Date.now();
-  const termFingerprint = dashData.terminals.map(t => t.id).join(',');
-  if (termFingerprint !== lastDashTermIds) {
-    lastDashTermIds = termFingerprint;
-    gridEl.innerHTML = '';
-    if (dashData.terminals.length === 0) {
-      gridEl.innerHTML = '<div class="panel-empty">No active terminals</div>';
+// Logical lines (soft-wrapped rows joined) as arrays of buffer rows, minus unused rows at the bottom
+function getExportRows(xterm, lastLines) {
+  const buffer = xterm.buffer.active;
+  let end = buffer.length;
+  while (end > 0 && !buffer.getLine(end - 1)?.translateToString(true)) end--;
+
+  const lines = [];
+  for (let y = 0; y < end; y++) {
+    const row = buffer.getLine(y);
+    if (row.isWrapped && lines.length > 0) {
+      lines[lines.length - 1].push(row);
     } else {
-      for (const term of dashData.terminals) {
-        const card = document.createElement('div');
-        const isActive = (now - term.lastDataTime) < 3000;
-        card.className = 'dash-tail-card ' + (isActive ? 'term-active' : 'term-idle');
-        card.dataset.termId = String(term.id);
+      lines.push([row]);
+    }
+  }
+  return lastLines > 0 ? lines.slice(-lastLines) : lines;
+}
 
-        const header = document.createElement('div');
-        header.className = 'dash-tail-card-header';
+function cellStyle(cell) {
+  const color = (isDefault, isRGB, value) => {
+    if (isDefault) return null;
+    return isRGB ? { rgb: value } : { index: value };
+  };
+  return {
+    fg: color(cell.isFgDefault(), cell.isFgRGB(), cell.getFgColor()),
+    bg: color(cell.isBgDefault(), cell.isBgRGB(), cell.getBgColor()),
+    bold: Boolean(cell.isBold()),
+    dim: Boolean(cell.isDim()),
+    italic: Boolean(cell.isItalic()),
+    underline: Boolean(cell.isUnderline()),
+    strike: Boolean(cell.isStrikethrough()),
+    inverse: Boolean(cell.isInverse()),
+    invisible: Boolean(cell.isInvisible()),
+  };
+}
 
-        const titleEl = document.createElement('span');
-        titleEl.className = 'dash-tail-card-title';
-        titleEl.textContent = term.title || term.cwd;
-        header.appendChild(titleEl);
+// Walks a logical line as runs of identically styled text; trailing blank cells are dropped
+function styledRuns(rows, cols) {
+  const runs = [];
+  rows.forEach((row, r) => {
+    const last = r === rows.length - 1;
+    let width = cols;
+    if (last) {
+      while (width > 0) {
+        const cell = row.getCell(width - 1);
+        if (cell && (cell.getChars().trim() || !cell.isBgDefault())) break;
+        width--;
+      }
+    }
+    for (let x = 0; x < width; x++) {
+      const cell = row.getCell(x);
+      if (!cell || cell.getWidth() === 0) continue; // second half of a wide character
+      const text = cell.getChars() || ' ';
+      const style = cellStyle(cell);
+      const key = JSON.stringify(style);
+      const prev = runs[runs.length - 1];
+      if (prev && prev.key === key) {
+        prev.text += text;
+      } else {
+        runs.push({ key, style, text });
+      }
+    }
+  });
+  return runs;
+}
 
-        const gotoBtn = document.createElement('button');
-        gotoBtn.className = 'dash-tail-card-goto';
-        gotoBtn.textContent = 'Go to';
-        gotoBtn.addEventListener('click', () => activateTerminal(term.id));
-        header.appendChild(gotoBtn);
+function isPlainStyle(style) {
+  return !style.fg && !style.bg && !Object.values(style).includes(true);
+}
 
-        card.appendChild(header);
+function sgrForStyle(style) {
+  const codes = ['0'];
+  if (style.bold) codes.push('1');
+  if (style.dim) codes.push('2');
+  if (style.italic) codes.push('3');
+  if (style.underline) codes.push('4');
+  if (style.inverse) codes.push('7');
+  if (style.invisible) codes.push('8');
+  if (style.strike) codes.push('9');
+  const color = (c, base, brightBase, extended) => {
+    if (!c) return;
+    if (c.rgb !== undefined) {
+      codes.push(`${extended};2;${(c.rgb >> 16) & 255};${(c.rgb >> 8) & 255};${c.rgb & 255}`);
+    } else if (c.index < 8) {
+      codes.push(String(base + c.index));
+    } else if (c.index < 16) {
+      codes.push(String(brightBase + c.index - 8));
+    } else {
+      codes.push(`${extended};5;${c.index}`);
+    }
+  };
+  color(style.fg, 30, 90, 38);
+  color(style.bg, 40, 100, 48);
+  return `\x1b[${codes.join(';')}m`;
+}
 
-        const content = document.createElement('div');
-        content.className = 'dash-tail-card-content';
-        const lines = stripAnsi(term.tailText).split('\n');
-        content.textContent = lines.slice(-20).join('\n');
-        card.appendChild(content);
+function cssColor(c, fallback) {
+  if (!c) return fallback;
+  if (c.rgb !== undefined) return '#' + c.rgb.toString(16).padStart(6, '0');
+  return paletteColor(c.index);
+}
 
-        gridEl.appendChild(card);
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function htmlForRun({ style, text }) {
+  const { foreground, background } = XTERM_OPTIONS.theme;
+  let fg = cssColor(style.fg, foreground);
+  let bg = cssColor(style.bg, null);
+  if (style.inverse) [fg, bg] = [bg || background, fg];
+  const css = [];
+  if (fg !== foreground) css.push(`color:${fg}`);
+  if (bg) css.push(`background:${bg}`);
+  if (style.bold) css.push('font-weight:bold');
+  if (style.dim) css.push('opacity:0.6');
+  if (style.italic) css.push('font-style:italic');
+  const decorations = [style.underline && 'underline', style.strike && 'line-through'].filter(Boolean);
+  if (decorations.length) css.push(`text-decoration:${decorations.join(' ')}`);
+  if (style.invisible) css.push('visibility:hidden');
+  return css.length ? `<span style="${css.join(';')}">${escapeHtml(text)}</span>` : escapeHtml(text);
+}
+
+function exportTerminalOutput(xterm, format, lastLines, title) {
+  const lines = getExportRows(xterm, lastLines);
+  if (format === 'text') {
+    return lines.map(rows => rows.map((row, i) => row.translateToString(i === rows.length - 1)).join('')).join('\n') + '\n';
+  }
+  if (format === 'ansi') {
+    return lines.map((rows) => {
+      const runs = styledRuns(rows, xterm.cols);
+      if (runs.every(run => isPlainStyle(run.style))) return runs.map(run => run.text).join('');
+      return runs.map(run => sgrForStyle(run.style) + run.text).join('') + '\x1b[0m';
+    }).join('\n') + '\n';
+  }
+  const { foreground, background } = XTERM_OPTIONS.theme;
+  const body = lines.map(rows => styledRuns(rows, xterm.cols).map(htmlForRun).join('')).join('\n');
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { margin: 0; background: ${background}; color: ${foreground}; }
+  pre { margin: 0; padding: 16px; font-family: ${XTERM_OPTIONS.fontFamily}; font-size: ${XTERM_OPTIONS.fontSize}px; line-height: 1.3; white-space: pre-wrap; word-break: break-all; }
+</style>
+</head>
+<body>
+<pre>${body}</pre>
+</body>
+</html>
+`;
+}
+
+function openExportDialog(t) {
+  const view = termViews.get(t.id);
+  if (!view) return;
+  const content = document.createElement('div');
+  content.className = 'modal-form';
+  content.innerHTML = `
+    <label class="form-field"><span>Format</span><select class="export-format"></select></label>
+    <label class="form-field"><span>Lines (blank for the whole buffer)</span><input class="export-lines" type="number" min="1" placeholder="All"></label>
+    <span class="profile-error export-error"></span>
+  `;
+  const formatSelect = content.querySelector('.export-format');
+  for (const [value, { label }] of Object.entries(EXPORT_FORMATS)) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    formatSelect.appendChild(opt);
+  }
+  const linesInput = content.querySelector('.export-lines');
+  const errorEl = content.querySelector('.export-error');
+
+  openModal({
+    title: `Export output \u2014 ${t.title || t.cwd}`,
+    content,
+    confirmLabel: 'Export',
+    onConfirm: async () => {
+      const format = formatSelect.value;
+      const title = t.title || t.cwd;
+      const output = exportTerminalOutput(view.xterm, format, parseInt(linesInput.value, 10) || 0, title);
+      const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+      const defaultName = `${title.replace(/[^\w.-]+/g, '_')}-${stamp}.${EXPORT_FORMATS[format].extension}`;
+      const result = await window.termParty.saveExport(defaultName, format, output);
+      if (result?.error) {
+        errorEl.textContent = result.error;
+        return false;
       }
-    }
+      // A cancelled save dialog keeps the modal open
+      return result ? undefined : false;
+    },
+  });
+}
+
+// ---- Recording playback panel ----
+
+let player = null; // { xterm, cast, position, playing, speed, nextIndex, lastTick }
+let playbackPath = null;
+
+async function toggleRecording(id, start) {
+  if (start) {
+    await window.termParty.startRecording(id);
   } else {
-    // In-place update: just refresh content and active/idle state
-    for (const term of dashData.terminals) {
-      const card = gridEl.querySelector(`[data-term-id="${term.id}"]`);
-      if (!card) continue;
-      const isActive = (now - term.lastDataTime) < 3000;
-      card.className = 'dash-tail-card ' + (isActive ? 'term-active' : 'term-idle');
-      const content = card.querySelector('.dash-tail-card-content');
-      if (content) {
-        const lines = stripAnsi(term.tailText).split('\n');
-        content.textContent = lines.slice(-20).join('\n');
-      }
+    await window.termParty.stopRecording(id);
+  }
+  refreshList();
+}
+
+// Normalizes asciicast v1, v2 and v3 into absolute-time events
+function parseCast(text) {
+  const lines = text.split('\n').filter(line => line.trim());
+  let header = null;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch {
+    // v1 files are a single (possibly pretty-printed) JSON document
+  }
+
+  if (header?.version !== 2 && header?.version !== 3) {
+    const v1 = JSON.parse(text);
+    if (v1.version !== 1 || !Array.isArray(v1.stdout)) throw new Error('Unsupported asciicast format');
+    let time = 0;
+    const events = v1.stdout.map(([delay, data]) => ({ time: (time += delay), code: 'o', data }));
+    return { cols: v1.width || 80, rows: v1.height || 24, title: v1.title, events, duration: time };
+  }
+
+  // v2 stores absolute times, v3 the interval since the previous event
+  const relative = header.version === 3;
+  const idleLimit = header.idle_time_limit ?? Infinity;
+  const events = [];
+  let time = 0;
+  let previous = 0;
+  for (const line of lines.slice(1)) {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      continue; // v3 allows comment lines
     }
+    if (!Array.isArray(event)) continue;
+    const [stamp, code, data] = event;
+    const gap = relative ? stamp : stamp - previous;
+    previous = relative ? previous : stamp;
+    time += Math.min(Math.max(gap, 0), idleLimit);
+    events.push({ time, code, data });
   }
+  return {
+    cols: header.width ?? header.term?.cols ?? 80,
+    rows: header.height ?? header.term?.rows ?? 24,
+    title: header.title,
+    events,
+    duration: time,
+  };
 }
 
-function formatTime(ts) {
-  const d = new Date(ts);
-  const now = new Date();
-  const diff = now - d;
-  if (diff < 60000) return 'just now';
-  if (diff < 3600000) return Math.floor(diff / 60000) + 'm ago';
-  if (diff < 86400000) return Math.floor(diff / 3600000) + 'h ago';
-  return d.toLocaleDateString();
+function formatPlaybackTime(seconds) {
+  const total = Math.floor(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
 }
 
-const ANSI_ESCAPE_RE = /\x1b\[[0-9;]*[a-zA-Z]/g;
-const ANSI_OSC_RE = /\x1b\][^\x07]*\x07/g;
-function stripAnsi(str) {
-  return str.replace(ANSI_ESCAPE_RE, '').replace(ANSI_OSC_RE, '');
+function applyCastResize(size) {
+  const [cols, rows] = String(size).split('x').map(Number);
+  if (cols > 0 && rows > 0) player.xterm.resize(cols, rows);
 }
 
-// ---- Dude browser panel ----
+// Replays everything up to `time` from scratch; used for scrubbing
+function seekPlayback(time) {
+  const { xterm, cast } = player;
+  xterm.reset();
+  xterm.resize(cast.cols, cast.rows);
+  let output = '';
+  let i = 0;
+  for (; i < cast.events.length && cast.events[i].time <= time; i++) {
+    const event = cast.events[i];
+    if (event.code === 'o') {
+      output += event.data;
+    } else if (event.code === 'r') {
+      xterm.write(output);
+      output = '';
+      applyCastResize(event.data);
+    }
+  }
+  xterm.write(output);
+  player.nextIndex = i;
+  player.position = time;
+  updatePlaybackControls();
+}
 
-let dudeSelectedRecordId = null;
-let dudeProjects = [];
+function tickPlayback(now) {
+  if (!player?.playing) return;
+  const { cast, xterm } = player;
+  player.position = Math.min(cast.duration, player.position + ((now - player.lastTick) / 1000) * player.speed);
+  player.lastTick = now;
+
+  let output = '';
+  while (player.nextIndex < cast.events.length && cast.events[player.nextIndex].time <= player.position) {
+    const event = cast.events[player.nextIndex++];
+    if (event.code === 'o') {
+      output += event.data;
+    } else if (event.code === 'r') {
+      xterm.write(output);
+      output = '';
+      applyCastResize(event.data);
+    }
+  }
+  if (output) xterm.write(output);
 
-registerSpecialView('dude', {
+  if (player.position >= cast.duration) player.playing = false;
+  updatePlaybackControls();
+  if (player.playing) requestAnimationFrame(tickPlayback);
+}
+
+function setPlaying(playing) {
+  if (!player?.cast) return;
+  if (playing && player.position >= player.cast.duration) seekPlayback(0);
+  player.playing = playing;
+  player.lastTick = performance.now();
+  updatePlaybackControls();
+  if (playing) requestAnimationFrame(tickPlayback);
+}
+
+function updatePlaybackControls() {
+  const wrapper = specialViews.get('playback')?.wrapper;
+  if (!wrapper || !player) return;
+  const duration = player.cast?.duration || 0;
+  const scrub = wrapper.querySelector('.playback-scrub');
+  scrub.max = duration;
+  scrub.value = player.position;
+  wrapper.querySelector('.playback-toggle').textContent = player.playing ? 'Pause' : 'Play';
+  wrapper.querySelector('.playback-time').textContent =
+    `${formatPlaybackTime(player.position)} / ${formatPlaybackTime(duration)}`;
+}
+
+async function loadRecording(filePath) {
+  const wrapper = specialViews.get('playback').wrapper;
+  setPlaying(false);
+  playbackPath = filePath;
+  const text = await window.termParty.readRecording(filePath);
+  const titleEl = wrapper.querySelector('.playback-title');
+  wrapper.querySelector('.playback-path').textContent = filePath;
+
+  let cast = null;
+  let error = text?.error;
+  if (!error) {
+    try {
+      cast = parseCast(text);
+    } catch (err) {
+      error = err.message;
+    }
+  }
+  player.cast = cast;
+  player.xterm.reset();
+  if (error) {
+    titleEl.textContent = 'Could not open recording';
+    player.xterm.write(`\x1b[31m${error}\x1b[0m`);
+    player.position = 0;
+    updatePlaybackControls();
+    return;
+  }
+  titleEl.textContent = cast.title || filePath.split(/[\\/]/).pop();
+  seekPlayback(0);
+}
+
+async function renderRecordingList(wrapper) {
+  const recordings = await window.termParty.listRecordings();
+  const selectEl = wrapper.querySelector('.playback-recordings');
+  selectEl.innerHTML = '<option value="">Recordings\u2026</option>';
+  for (const rec of recordings) {
+    const opt = document.createElement('option');
+    opt.value = rec.path;
+    opt.textContent = `${rec.name} (${Math.ceil(rec.size / 1024)} KB)`;
+    selectEl.appendChild(opt);
+  }
+  selectEl.value = recordings.some(rec => rec.path === playbackPath) ? playbackPath : '';
+}
+
+function openPlayback(filePath) {
+  activateView('playback');
+  if (filePath) loadRecording(filePath);
+}
+
+registerSpecialView('playback', {
   buildFn(wrapper) {
-    wrapper.classList.add('dude-panel');
+    wrapper.classList.add('ghost-panel', 'playback-panel');
     wrapper.innerHTML = `
-      <div class="dude-sidebar">
-        <div class="dude-controls">
-          <div class="view-panel-header">Dude</div>
-          <input type="text" class="dude-search" placeholder="Search records...">
-          <div class="dude-filters">
-            <select class="dude-filter-kind">
-              <option value="all">All Kinds</option>
-              <option value="issue">Issue</option>
-              <option value="spec">Spec</option>
-              <option value="arch">Arch</option>
-              <option value="update">Update</option>
-            </select>
-            <select class="dude-filter-status">
-              <option value="all">All Status</option>
-              <option value="open">Open</option>
-              <option value="resolved">Resolved</option>
-              <option value="archived">Archived</option>
-            </select>
-          </div>
-          <select class="dude-filter-project">
-            <option value="*">All Projects</option>
-          </select>
+      <div class="ghost-header">
+        <div class="ghost-info">
+          <div class="ghost-title playback-title">No recording loaded</div>
+          <div class="ghost-cwd playback-path"></div>
         </div>
-        <ul class="dude-record-list"></ul>
+        <select class="playback-recordings"></select>
+        <button class="panel-btn playback-open-btn">Open .cast\u2026</button>
+        <button class="panel-btn playback-delete-btn">Delete</button>
       </div>
-      <div class="dude-main">
-        <div class="dude-detail" style="display:none"></div>
-        <div class="dude-empty">Select a record to view</div>
-        <div class="dude-not-installed" style="display:none">
-          <div class="dude-not-installed-card">
-            <div class="icon">&#128218;</div>
-            <h3>Dude plugin not found</h3>
-            <p>Install the dude-claude-plugin to browse your project records, issues, and specifications.</p>
-            <a href="https://github.com/fingerskier/claude-plugins" target="_blank">View on GitHub</a>
-          </div>
+      <div class="playback-term"></div>
+      <div class="playback-controls">
+        <button class="panel-btn playback-toggle">Play</button>
+        <input type="range" class="playback-scrub" min="0" max="0" step="0.01" value="0">
+        <span class="playback-time">0:00 / 0:00</span>
+        <select class="playback-speed">
+          <option value="0.5">0.5\u00d7</option>
+          <option value="1" selected>1\u00d7</option>
+          <option value="2">2\u00d7</option>
+          <option value="4">4\u00d7</option>
+          <option value="8">8\u00d7</option>
+        </select>
+      </div>
+    `;
+    const xterm = new Terminal({ ...XTERM_OPTIONS, disableStdin: true, cursorBlink: false });
+    xterm.open(wrapper.querySelector('.playback-term'));
+    player = { xterm, cast: null, position: 0, playing: false, speed: 1, nextIndex: 0, lastTick: 0 };
+
+    wrapper.querySelector('.playback-recordings').addEventListener('change', (e) => {
+      if (e.target.value) loadRecording(e.target.value);
+    });
+    wrapper.querySelector('.playback-open-btn').addEventListener('click', async () => {
+      const filePath = await window.termParty.openRecordingDialog();
+      if (filePath) {
+        await loadRecording(filePath);
+        renderRecordingList(wrapper);
+      }
+    });
+    wrapper.querySelector('.playback-delete-btn').addEventListener('click', async () => {
+      if (!playbackPath) return;
+      const deleted = await window.termParty.deleteRecording(playbackPath);
+      if (!deleted) return;
+      setPlaying(false);
+      player.cast = null;
+      player.position = 0;
+      playbackPath = null;
+      xterm.reset();
+      wrapper.querySelector('.playback-title').textContent = 'No recording loaded';
+      wrapper.querySelector('.playback-path').textContent = '';
+      updatePlaybackControls();
+      renderRecordingList(wrapper);
+    });
+    wrapper.querySelector('.playback-toggle').addEventListener('click', () => setPlaying(!player.playing));
+    wrapper.querySelector('.playback-scrub').addEventListener('input', (e) => {
+      if (player.cast) seekPlayback(Number(e.target.value));
+    });
+    wrapper.querySelector('.playback-speed').addEventListener('change', (e) => {
+      player.speed = Number(e.target.value);
+    });
+  },
+  onActivate(wrapper) {
+    renderRecordingList(wrapper);
+  },
+  onDeactivate() {
+    setPlaying(false);
+  },
+});
+
+// ---- Ghost preview panel (read-only saved scrollback) ----
+
+let ghostPreview = null; // { xterm, fitAddon }
+
+registerSpecialView('ghost', {
+  buildFn(wrapper) {
+    wrapper.classList.add('ghost-panel');
+    wrapper.innerHTML = `
+      <div class="ghost-header">
+        <div class="ghost-info">
+          <div class="ghost-title"></div>
+          <div class="ghost-cwd"></div>
         </div>
+        <button class="panel-btn ghost-restore-btn">Restore session</button>
       </div>
+      <div class="ghost-term"></div>
     `;
-
-    const searchInput = wrapper.querySelector('.dude-search');
-    let searchTimeout;
-    searchInput.addEventListener('input', () => {
-      clearTimeout(searchTimeout);
-      searchTimeout = setTimeout(() => dudeLoadRecords(wrapper), 500);
+    const xterm = new Terminal({ ...XTERM_OPTIONS, disableStdin: true, cursorBlink: false });
+    const fitAddon = new FitAddon();
+    xterm.loadAddon(fitAddon);
+    xterm.open(wrapper.querySelector('.ghost-term'));
+    ghostPreview = { xterm, fitAddon };
+
+    wrapper.querySelector('.ghost-restore-btn').addEventListener('click', () => {
+      if (selectedGhost) spawnGhost(selectedGhost.index);
     });
-
-    const kindSelect = wrapper.querySelector('.dude-filter-kind');
-    const statusSelect = wrapper.querySelector('.dude-filter-status');
-    const projectSelect = wrapper.querySelector('.dude-filter-project');
-
-    kindSelect.addEventListener('change', () => dudeLoadRecords(wrapper));
-    statusSelect.addEventListener('change', () => dudeLoadRecords(wrapper));
-    projectSelect.addEventListener('change', () => dudeLoadRecords(wrapper));
   },
-  async onActivate(wrapper) {
-    const installed = await window.termParty.dudeCheckInstalled();
-    const notInstalledEl = wrapper.querySelector('.dude-not-installed');
-    const emptyEl = wrapper.querySelector('.dude-empty');
-    const sidebarEl = wrapper.querySelector('.dude-sidebar');
+  onActivate() {
+    ghostPreview.fitAddon.fit();
+  },
+});
 
-    if (!installed) {
-      notInstalledEl.style.display = '';
-      emptyEl.style.display = 'none';
-      sidebarEl.style.display = 'none';
-      return;
-    }
+async function showGhost(index, ghost) {
+  selectedGhost = { index, cwd: ghost.cwd, title: ghost.title };
+  activateView('ghost');
+  updateSidebarActiveStates();
 
-    notInstalledEl.style.display = 'none';
-    sidebarEl.style.display = '';
+  const wrapper = specialViews.get('ghost').wrapper;
+  wrapper.querySelector('.ghost-title').textContent = ghost.title || ghost.cwd;
+  wrapper.querySelector('.ghost-cwd').textContent = ghost.cwd;
+
+  const { xterm } = ghostPreview;
+  xterm.reset();
+  const text = await window.termParty.getSavedScrollback(index);
+  // Another ghost may have been selected while we were reading this one
+  if (selectedGhost?.index !== index) return;
+  if (text) {
+    xterm.write(text + '\x1b[0m\x1b[?25l');
+  } else {
+    xterm.write('\x1b[2mNo saved output for this session.\x1b[0m\x1b[?25l');
+  }
+}
 
-    // Load projects into dropdown
-    const projectSelect = wrapper.querySelector('.dude-filter-project');
-    const projects = await window.termParty.dudeListProjects();
-    if (projects && !projects.error && Array.isArray(projects)) {
-      dudeProjects = projects;
-      // Rebuild options keeping the current selection
-      const current = projectSelect.value;
-      projectSelect.innerHTML = '<option value="*">All Projects</option>';
-      for (const p of projects) {
-        const opt = document.createElement('option');
-        opt.value = p.name || p.directory || '';
-        opt.textContent = p.name || p.directory || 'Unknown';
-        projectSelect.appendChild(opt);
-      }
-      if (current && current !== '*') projectSelect.value = current;
-    }
+// ---- Exit output view ----
 
-    dudeLoadRecords(wrapper);
+let selectedExit = null; // dashboard exit entry shown in the read-only exit view
+let exitPreview = null; // { xterm, fitAddon }
+
+registerSpecialView('exit', {
+  buildFn(wrapper) {
+    wrapper.classList.add('ghost-panel', 'exit-panel');
+    wrapper.innerHTML = `
+      <div class="ghost-header">
+        <div class="ghost-info">
+          <div class="ghost-title"></div>
+          <div class="ghost-cwd"></div>
+          <div class="exit-meta"></div>
+        </div>
+        <button class="panel-btn exit-respawn-btn">Respawn here</button>
+      </div>
+      <div class="ghost-term"></div>
+    `;
+    const xterm = new Terminal({ ...XTERM_OPTIONS, disableStdin: true, cursorBlink: false });
+    const fitAddon = new FitAddon();
+    xterm.loadAddon(fitAddon);
+    xterm.open(wrapper.querySelector('.ghost-term'));
+    exitPreview = { xterm, fitAddon };
+
+    wrapper.querySelector('.exit-respawn-btn').addEventListener('click', async () => {
+      if (!selectedExit) return;
+      const info = await createTerminal(selectedExit.cwd, { profileId: selectedExit.profileId });
+      activateTerminal(info.id);
+      refreshList();
+    });
+  },
+  onActivate() {
+    exitPreview.fitAddon.fit();
   },
 });
 
-function dudeGetFilters(wrapper) {
-  const kind = wrapper.querySelector('.dude-filter-kind').value;
-  const status = wrapper.querySelector('.dude-filter-status').value;
-  const project = wrapper.querySelector('.dude-filter-project').value;
-  const filters = {};
-  if (kind !== 'all') filters.kind = kind;
-  if (status !== 'all') filters.status = status;
-  if (project !== '*') filters.project = project;
-  return filters;
+async function showExit(exit) {
+  selectedExit = exit;
+  activateView('exit');
+
+  const wrapper = specialViews.get('exit').wrapper;
+  wrapper.querySelector('.ghost-title').textContent = exit.title || exit.cwd;
+  wrapper.querySelector('.ghost-cwd').textContent = exit.cwd;
+  wrapper.querySelector('.exit-meta').textContent = [
+    `exit ${exit.exitCode ?? '?'}`,
+    new Date(exit.timestamp).toLocaleString(),
+    exit.runtimeMs !== null && exit.runtimeMs !== undefined ? `ran ${formatDuration(exit.runtimeMs)}` : null,
+    exit.lastCommand ? `last command: ${exit.lastCommand}` : null,
+  ].filter(Boolean).join(' \u00b7 ');
+
+  const { xterm } = exitPreview;
+  xterm.reset();
+  const text = await window.termParty.getExitOutput(exit.exitId);
+  if (selectedExit !== exit) return;
+  if (text) {
+    xterm.write(text + '\x1b[0m\x1b[?25l');
+  } else {
+    xterm.write('\x1b[2mNo output was captured for this terminal.\x1b[0m\x1b[?25l');
+  }
 }
 
-async function dudeLoadRecords(wrapper) {
-  const listEl = wrapper.querySelector('.dude-record-list');
-  if (!listEl) return;
+// ---- LAN sharing ----
 
-  const searchInput = wrapper.querySelector('.dude-search');
-  const query = searchInput ? searchInput.value.trim() : '';
-  const filters = dudeGetFilters(wrapper);
+const SHARE_PERMISSION_LABELS = {
+  'view-only': 'View only',
+  'read-write': 'Can type',
+};
 
-  let records;
-  if (query) {
-    records = await window.termParty.dudeSearch(query, filters);
-  } else {
-    records = await window.termParty.dudeListRecords(filters);
+function fillPermissionSelect(select, value) {
+  for (const [permission, label] of Object.entries(SHARE_PERMISSION_LABELS)) {
+    const opt = document.createElement('option');
+    opt.value = permission;
+    opt.textContent = label;
+    select.appendChild(opt);
   }
+  select.value = value;
+}
 
-  listEl.innerHTML = '';
+function openShareModal(t) {
+  const content = document.createElement('div');
+  content.className = 'modal-form';
+  content.innerHTML = `
+    <div class="kill-busy-message">Everything in this terminal will be visible to guests, including its recent output.</div>
+    <label class="form-field"><span>New guests</span><select class="share-permission"></select></label>
+    <label class="form-field"><span>PIN (optional)</span><input class="share-pin" placeholder="No PIN" spellcheck="false" autocomplete="off"></label>
+    <span class="profile-error"></span>
+  `;
+  const permissionSelect = content.querySelector('.share-permission');
+  fillPermissionSelect(permissionSelect, 'view-only');
+  const errorEl = content.querySelector('.profile-error');
+
+  openModal({
+    title: `Share ${t.title} on LAN`,
+    content,
+    confirmLabel: 'Share',
+    onConfirm: async () => {
+      const result = await window.termParty.shareTerminal(t.id, {
+        permission: permissionSelect.value,
+        pin: content.querySelector('.share-pin').value,
+      });
+      if (result?.error) {
+        errorEl.textContent = result.error;
+        return false;
+      }
+      refreshList();
+      activateView('sharing');
+    },
+  });
+}
 
-  if (!records || records.error) {
-    listEl.innerHTML = `<div class="panel-empty">${records?.error || 'Failed to load records'}</div>`;
-    return;
-  }
+async function stopSharing(id) {
+  await window.termParty.stopSharing(id);
+  refreshList();
+  if (activeViewId === 'sharing') renderSharingPanel(specialViews.get('sharing').wrapper);
+}
 
-  const items = Array.isArray(records) ? records : (records.results || []);
+function buildCopyRow(text) {
+  const row = document.createElement('div');
+  row.className = 'shell-snippet';
+  row.innerHTML = `
+    <code class="shell-snippet-line"></code>
+    <button class="panel-btn">Copy</button>
+  `;
+  row.querySelector('code').textContent = text;
+  const copyBtn = row.querySelector('button');
+  copyBtn.addEventListener('click', () => {
+    navigator.clipboard.writeText(text);
+    copyBtn.textContent = 'Copied';
+    setTimeout(() => { copyBtn.textContent = 'Copy'; }, 1500);
+  });
+  return row;
+}
 
-  if (items.length === 0) {
-    listEl.innerHTML = '<div class="panel-empty">No records found</div>';
+function buildGuestRow(share, guest) {
+  const row = document.createElement('div');
+  row.className = 'share-guest';
+  row.innerHTML = `
+    <span class="share-guest-name"></span>
+    <span class="share-guest-meta"></span>
+    <select class="share-guest-permission"></select>
+    <button class="panel-btn share-kick-btn">Kick</button>
+  `;
+  row.querySelector('.share-guest-name').textContent = guest.name;
+  row.querySelector('.share-guest-meta').textContent =
+    `${guest.address} \u00b7 joined ${new Date(guest.joinedAt).toLocaleTimeString()}`;
+
+  const select = row.querySelector('.share-guest-permission');
+  fillPermissionSelect(select, guest.permission);
+  select.addEventListener('change', () => {
+    window.termParty.setGuestPermission(share.id, guest.guestId, select.value);
+  });
+  row.querySelector('.share-kick-btn').addEventListener('click', async () => {
+    await window.termParty.kickGuest(share.id, guest.guestId);
+  });
+  return row;
+}
+
+async function renderSharingPanel(wrapper) {
+  const shares = await window.termParty.getShares();
+  const listEl = wrapper.querySelector('.share-list');
+  listEl.innerHTML = '';
+  if (shares.length === 0) {
+    listEl.innerHTML = '<div class="panel-empty">No terminals are shared. Use the \u21c4 button on a terminal to share it.</div>';
     return;
   }
+  for (const share of shares) {
+    const card = document.createElement('div');
+    card.className = 'profile-card share-card';
+    card.innerHTML = `
+      <div class="share-card-header">
+        <span class="share-card-title"></span>
+        <button class="panel-btn share-open-btn">Open terminal</button>
+        <button class="panel-btn share-stop-btn">Stop sharing</button>
+      </div>
+      <div class="shell-snippets share-urls"></div>
+      <div class="settings-note share-settings"></div>
+      <div class="dash-section-title">Guests</div>
+      <div class="share-guests"></div>
+    `;
+    card.querySelector('.share-card-title').textContent = share.title;
+    for (const url of share.urls) card.querySelector('.share-urls').appendChild(buildCopyRow(url));
+    card.querySelector('.share-settings').textContent = [
+      `New guests: ${SHARE_PERMISSION_LABELS[share.permission].toLowerCase()}`,
+      share.pin ? `PIN: ${share.pin}` : 'No PIN',
+    ].join(' \u00b7 ');
+
+    const guestsEl = card.querySelector('.share-guests');
+    if (share.guests.length === 0) {
+      guestsEl.innerHTML = '<div class="settings-note">Nobody has joined yet.</div>';
+    }
+    for (const guest of share.guests) guestsEl.appendChild(buildGuestRow(share, guest));
 
-  for (const rec of items) {
-    const li = document.createElement('li');
-    li.dataset.recordId = String(rec.id);
-    if (dudeSelectedRecordId === rec.id) li.classList.add('selected');
+    card.querySelector('.share-open-btn').addEventListener('click', () => activateTerminal(share.id));
+    card.querySelector('.share-stop-btn').addEventListener('click', () => stopSharing(share.id));
+    listEl.appendChild(card);
+  }
+}
 
-    const titleRow = document.createElement('div');
-    titleRow.className = 'dude-record-title-row';
+registerSpecialView('sharing', {
+  buildFn(wrapper) {
+    wrapper.classList.add('settings-panel', 'sharing-panel');
+    wrapper.innerHTML = `
+      <div class="view-panel-header">LAN Sharing</div>
+      <div class="share-list"></div>
+    `;
+  },
+  onActivate(wrapper) {
+    renderSharingPanel(wrapper);
+  },
+});
 
-    const kindBadge = document.createElement('span');
-    kindBadge.className = `kind-badge kind-${rec.kind || 'issue'}`;
-    kindBadge.textContent = rec.kind || 'issue';
-    titleRow.appendChild(kindBadge);
+// Guest counts show in the sidebar too
+window.termParty.onGuestConnect(() => {
+  refreshList();
+  if (activeViewId === 'sharing') renderSharingPanel(specialViews.get('sharing').wrapper);
+});
+window.termParty.onGuestDisconnect(() => {
+  refreshList();
+  if (activeViewId === 'sharing') renderSharingPanel(specialViews.get('sharing').wrapper);
+});
 
-    const title = document.createElement('span');
-    title.className = 'dude-record-title';
-    title.textContent = rec.title || '(untitled)';
-    titleRow.appendChild(title);
+// ---- Settings panel ----
 
-    li.appendChild(titleRow);
+registerSpecialView('settings', {
+  buildFn(wrapper) {
+    wrapper.classList.add('settings-panel');
+    wrapper.innerHTML = `
+      <div class="view-panel-header">Settings</div>
+      <div class="dash-section-title">Shell Profiles</div>
+      <div class="profile-list"></div>
+      <button class="panel-btn profile-add-btn">+ Add Profile</button>
+      <div class="dash-section-title settings-section">Shell Integration</div>
+      <div class="settings-note">Add the line for your shell to its rc file to report commands, durations and exit codes.
+        Then Ctrl+Shift+Up/Down jumps between prompts.</div>
+      <div class="shell-snippets"></div>
+      <div class="dash-section-title settings-section">Output Triggers</div>
+      <div class="profile-list trigger-list"></div>
+      <button class="panel-btn trigger-add-btn">+ Add Trigger</button>
+      <div class="dash-section-title settings-section">Background Terminals</div>
+      <div class="settings-note daemon-status"></div>
+      <button class="panel-btn quit-kill-all-btn">Quit and kill all terminals</button>
+    `;
+    wrapper.querySelector('.profile-add-btn').addEventListener('click', () => {
+      const listEl = wrapper.querySelector('.profile-list');
+      listEl.appendChild(buildProfileCard(wrapper, null));
+    });
+    wrapper.querySelector('.trigger-add-btn').addEventListener('click', () => {
+      const listEl = wrapper.querySelector('.trigger-list');
+      listEl.appendChild(buildTriggerCard(wrapper, null));
+    });
+    renderShellSnippets(wrapper.querySelector('.shell-snippets'));
+    wrapper.querySelector('.quit-kill-all-btn').addEventListener('click', confirmQuitAndKillAll);
+  },
+  async onActivate(wrapper) {
+    const [, , daemon] = await Promise.all([loadProfiles(), loadTriggers(), window.termParty.getDaemonStatus()]);
+    renderProfileList(wrapper);
+    renderTriggerList(wrapper);
+    wrapper.querySelector('.daemon-status').textContent = daemon.detached
+      ? 'Terminals run in a background daemon: closing the window keeps them running, and they are reattached with their recent output on the next launch.'
+      : 'The background daemon is not running, so terminals close with the app.';
+  },
+});
 
-    const meta = document.createElement('div');
-    meta.className = 'dude-record-meta';
-    const parts = [];
-    if (rec.project) parts.push(rec.project);
-    if (rec.status) parts.push(rec.status);
-    if (rec.updated_at) parts.push(formatTime(new Date(rec.updated_at).getTime()));
-    meta.textContent = parts.join(' \u00b7 ');
-    li.appendChild(meta);
+function confirmQuitAndKillAll() {
+  const message = document.createElement('div');
+  message.className = 'kill-busy-message';
+  message.textContent = 'Every terminal and the jobs running in it will be stopped. Saved sessions are restored on the next launch.';
+  openModal({
+    title: 'Quit and kill all terminals?',
+    content: message,
+    confirmLabel: 'Quit and kill all',
+    onConfirm: () => {
+      window.termParty.quitAndKillAll();
+    },
+  });
+}
 
-    li.addEventListener('click', () => dudeSelectRecord(rec.id, wrapper));
-    listEl.appendChild(li);
+// TERM_PARTY_SHELL_INTEGRATION is set by main.js in every terminal it spawns
+const SHELL_INTEGRATION_SNIPPETS = [
+  { shell: 'bash', rcFile: '~/.bashrc', line: '[ -n "$TERM_PARTY_SHELL_INTEGRATION" ] && . "$TERM_PARTY_SHELL_INTEGRATION/term-party.bash"' },
+  { shell: 'zsh', rcFile: '~/.zshrc', line: '[[ -n "$TERM_PARTY_SHELL_INTEGRATION" ]] && source "$TERM_PARTY_SHELL_INTEGRATION/term-party.zsh"' },
+  { shell: 'fish', rcFile: '~/.config/fish/config.fish', line: 'test -n "$TERM_PARTY_SHELL_INTEGRATION"; and source "$TERM_PARTY_SHELL_INTEGRATION/term-party.fish"' },
+];
+
+function renderShellSnippets(container) {
+  for (const { shell, rcFile, line } of SHELL_INTEGRATION_SNIPPETS) {
+    const row = document.createElement('div');
+    row.className = 'shell-snippet';
+    row.innerHTML = `
+      <span class="shell-snippet-name"></span>
+      <code class="shell-snippet-line"></code>
+      <button class="panel-btn">Copy</button>
+    `;
+    row.querySelector('.shell-snippet-name').textContent = shell;
+    row.querySelector('.shell-snippet-name').title = rcFile;
+    row.querySelector('.shell-snippet-line').textContent = line;
+    const copyBtn = row.querySelector('button');
+    copyBtn.addEventListener('click', () => {
+      navigator.clipboard.writeText(line);
+      copyBtn.textContent = 'Copied';
+      setTimeout(() => { copyBtn.textContent = 'Copy'; }, 1500);
+    });
+    container.appendChild(row);
   }
 }
 
-async function dudeSelectRecord(id, wrapper) {
-  dudeSelectedRecordId = id;
-  const detailEl = wrapper.querySelector('.dude-detail');
-  const emptyEl = wrapper.querySelector('.dude-empty');
+async function loadTriggers() {
+  currentTriggers = await window.termParty.getTriggers();
+}
 
-  const record = await window.termParty.dudeGetRecord(id);
+function renderTriggerList(wrapper) {
+  const listEl = wrapper.querySelector('.trigger-list');
+  if (!listEl) return;
+  listEl.innerHTML = '';
+  for (const trigger of currentTriggers) {
+    listEl.appendChild(buildTriggerCard(wrapper, trigger));
+  }
+}
 
-  if (!record || record.error) {
-    detailEl.style.display = 'none';
-    emptyEl.style.display = '';
-    emptyEl.textContent = record?.error || 'Failed to load record';
-    return;
+const TRIGGER_ACTION_LABELS = {
+  highlight: 'Highlight in sidebar',
+  notify: 'Desktop notification',
+  bell: 'Play bell',
+  reply: 'Send reply',
+  activate: 'Activate terminal',
+};
+
+function buildTriggerCard(wrapper, trigger) {
+  const card = document.createElement('div');
+  card.className = 'profile-card trigger-card';
+  card.innerHTML = `
+    <label class="form-field"><span>Name</span><input class="trigger-name" placeholder="Build failed"></label>
+    <label class="form-field"><span>Pattern (regex)</span><input class="trigger-pattern" placeholder="Compiled with errors" spellcheck="false"></label>
+    <div class="profile-dims">
+      <label class="form-field"><span>Action</span><select class="trigger-action"></select></label>
+      <label class="form-field trigger-reply-field"><span>Reply (\\r for Enter)</span><input class="trigger-reply" placeholder="y\\r"></label>
+    </div>
+    <label class="form-field"><span>Directory (blank for all terminals)</span>
+      <div class="trigger-cwd-row">
+        <input class="trigger-cwd" placeholder="All terminals">
+        <button class="panel-btn trigger-browse-btn" title="Choose directory">&hellip;</button>
+      </div>
+    </label>
+    <div class="trigger-checks">
+      <label class="form-check"><input type="checkbox" class="trigger-case"> Match case</label>
+      <label class="form-check"><input type="checkbox" class="trigger-enabled"> Enabled</label>
+    </div>
+    <div class="profile-actions">
+      <span class="profile-error"></span>
+      <button class="panel-btn profile-delete-btn">Delete</button>
+      <button class="panel-btn profile-save-btn">Save</button>
+    </div>
+  `;
+
+  const nameInput = card.querySelector('.trigger-name');
+  const patternInput = card.querySelector('.trigger-pattern');
+  const actionSelect = card.querySelector('.trigger-action');
+  const replyField = card.querySelector('.trigger-reply-field');
+  const replyInput = card.querySelector('.trigger-reply');
+  const cwdInput = card.querySelector('.trigger-cwd');
+  const caseInput = card.querySelector('.trigger-case');
+  const enabledInput = card.querySelector('.trigger-enabled');
+  const errorEl = card.querySelector('.profile-error');
+
+  for (const [value, label] of Object.entries(TRIGGER_ACTION_LABELS)) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    actionSelect.appendChild(opt);
   }
 
-  emptyEl.style.display = 'none';
-  detailEl.style.display = '';
+  nameInput.value = trigger?.name || '';
+  patternInput.value = trigger?.pattern || '';
+  actionSelect.value = trigger?.action || 'notify';
+  replyInput.value = trigger?.reply || '';
+  cwdInput.value = trigger?.cwd || '';
+  caseInput.checked = Boolean(trigger?.caseSensitive);
+  enabledInput.checked = trigger?.enabled !== false;
 
-  detailEl.innerHTML = '';
+  const syncReplyField = () => {
+    replyField.style.visibility = actionSelect.value === 'reply' ? '' : 'hidden';
+  };
+  syncReplyField();
+  actionSelect.addEventListener('change', syncReplyField);
 
-  const header = document.createElement('div');
-  header.className = 'dude-detail-header';
+  card.querySelector('.trigger-browse-btn').addEventListener('click', async (e) => {
+    e.preventDefault();
+    const dir = await window.termParty.selectDirectory();
+    if (dir) cwdInput.value = dir;
+  });
 
-  const kindBadge = document.createElement('span');
-  kindBadge.className = `kind-badge kind-${record.kind || 'issue'}`;
-  kindBadge.textContent = record.kind || 'issue';
-  header.appendChild(kindBadge);
+  card.querySelector('.profile-save-btn').addEventListener('click', async () => {
+    const result = await window.termParty.saveTrigger({
+      id: trigger?.id,
+      name: nameInput.value.trim(),
+      pattern: patternInput.value,
+      caseSensitive: caseInput.checked,
+      action: actionSelect.value,
+      reply: replyInput.value,
+      cwd: cwdInput.value.trim(),
+      enabled: enabledInput.checked,
+    });
+    if (result?.error) {
+      errorEl.textContent = result.error;
+      return;
+    }
+    await loadTriggers();
+    renderTriggerList(wrapper);
+  });
 
-  const statusBadge = document.createElement('span');
-  statusBadge.className = `status-badge status-${record.status || 'open'}`;
-  statusBadge.textContent = record.status || 'open';
-  header.appendChild(statusBadge);
+  card.querySelector('.profile-delete-btn').addEventListener('click', async () => {
+    if (trigger) await window.termParty.removeTrigger(trigger.id);
+    await loadTriggers();
+    renderTriggerList(wrapper);
+  });
 
-  detailEl.appendChild(header);
+  return card;
+}
 
-  const title = document.createElement('div');
-  title.className = 'dude-detail-title';
-  title.textContent = record.title || '(untitled)';
-  detailEl.appendChild(title);
+function renderProfileList(wrapper) {
+  const listEl = wrapper.querySelector('.profile-list');
+  if (!listEl) return;
+  listEl.innerHTML = '';
+  for (const profile of currentProfiles) {
+    listEl.appendChild(buildProfileCard(wrapper, profile));
+  }
+}
 
-  if (record.project) {
-    const project = document.createElement('div');
-    project.className = 'dude-detail-project';
-    project.textContent = record.project;
-    detailEl.appendChild(project);
+function parseEnvLines(text) {
+  const env = {};
+  for (const line of text.split('\n')) {
+    const eq = line.indexOf('=');
+    if (eq <= 0) continue;
+    env[line.slice(0, eq).trim()] = line.slice(eq + 1);
   }
+  return env;
+}
 
-  const dates = document.createElement('div');
-  dates.className = 'dude-detail-dates';
-  const dateParts = [];
-  if (record.created_at) dateParts.push('Created: ' + new Date(record.created_at).toLocaleString());
-  if (record.updated_at) dateParts.push('Updated: ' + formatTime(new Date(record.updated_at).getTime()));
-  dates.textContent = dateParts.join(' \u00b7 ');
-  detailEl.appendChild(dates);
+// profile is null for a new, unsaved card
+function buildProfileCard(wrapper, profile) {
+  const card = document.createElement('div');
+  card.className = 'profile-card';
 
-  if (record.body) {
-    const body = document.createElement('div');
-    body.className = 'dude-detail-body';
-    body.textContent = record.body;
-    detailEl.appendChild(body);
+  if (profile?.builtin) {
+    card.classList.add('builtin');
+    card.innerHTML = `
+      <div class="profile-card-name"></div>
+      <div class="profile-card-command"></div>
+    `;
+    card.querySelector('.profile-card-name').textContent = profile.name;
+    card.querySelector('.profile-card-command').textContent = `${profile.command} \u00b7 ${profile.cols}\u00d7${profile.rows}`;
+    return card;
   }
 
-  // Update selected state in list
-  const listEl = wrapper.querySelector('.dude-record-list');
-  for (const li of listEl.querySelectorAll('li')) {
-    li.classList.toggle('selected', li.dataset.recordId === String(id));
-  }
+  card.innerHTML = `
+    <label class="form-field"><span>Name</span><input class="profile-name" placeholder="zsh login"></label>
+    <label class="form-field"><span>Executable</span><input class="profile-command" placeholder="/bin/zsh"></label>
+    <label class="form-field"><span>Arguments (one per line)</span><textarea class="profile-args" rows="2" placeholder="--login"></textarea></label>
+    <label class="form-field"><span>Environment (KEY=value per line)</span><textarea class="profile-env" rows="2"></textarea></label>
+    <div class="profile-dims">
+      <label class="form-field"><span>Cols</span><input class="profile-cols" type="number" min="1"></label>
+      <label class="form-field"><span>Rows</span><input class="profile-rows" type="number" min="1"></label>
+    </div>
+    <label class="form-check"><input type="checkbox" class="profile-tmux"> Run inside tmux (the shell lives on in a tmux session)</label>
+    <div class="profile-actions">
+      <span class="profile-error"></span>
+      <button class="panel-btn profile-delete-btn">Delete</button>
+      <button class="panel-btn profile-save-btn">Save</button>
+    </div>
+  `;
+
+  const nameInput = card.querySelector('.profile-name');
+  const commandInput = card.querySelector('.profile-command');
+  const argsInput = card.querySelector('.profile-args');
+  const envInput = card.querySelector('.profile-env');
+  const colsInput = card.querySelector('.profile-cols');
+  const rowsInput = card.querySelector('.profile-rows');
+  const tmuxInput = card.querySelector('.profile-tmux');
+  const errorEl = card.querySelector('.profile-error');
+
+  nameInput.value = profile?.name || '';
+  commandInput.value = profile?.command || '';
+  argsInput.value = (profile?.args || []).join('\n');
+  envInput.value = Object.entries(profile?.env || {}).map(([k, v]) => `${k}=${v}`).join('\n');
+  colsInput.value = profile?.cols || 80;
+  rowsInput.value = profile?.rows || 24;
+  tmuxInput.checked = Boolean(profile?.tmux);
+
+  card.querySelector('.profile-save-btn').addEventListener('click', async () => {
+    const result = await window.termParty.saveProfile({
+      id: profile?.id,
+      name: nameInput.value.trim(),
+      command: commandInput.value.trim(),
+      args: argsInput.value.split('\n').filter(a => a.trim()),
+      env: parseEnvLines(envInput.value),
+      cols: colsInput.value,
+      rows: rowsInput.value,
+      tmux: tmuxInput.checked,
+    });
+    if (result?.error) {
+      errorEl.textContent = result.error;
+      return;
+    }
+    await loadProfiles();
+    renderProfileList(wrapper);
+  });
+
+  card.querySelector('.profile-delete-btn').addEventListener('click', async () => {
+    if (profile) await window.termParty.removeProfile(profile.id);
+    await loadProfiles();
+    renderProfileList(wrapper);
+  });
+
+  return card;
 }
 
 // ---- Init ----
 
-refreshList();
+// Terminals can already be running when this window opens (reattached from the PTY daemon,
+// or a reloaded window); give each a view holding its recent output
+async function replayLiveTerminals() {
+  const terminals = await window.termParty.getTerminals();
+  for (const t of terminals) {
+    if (!t.ghost && !termViews.has(t.id)) await createReplayedView(t.id);
+  }
+}
+
+Promise.all([loadProfiles(), loadLayouts()]).then(replayLiveTerminals).then(refreshList);
 
 // Periodically refresh terminal list to update active/idle border indicators
 setInterval(refreshList, 5000);
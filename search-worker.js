@@ -0,0 +1,63 @@
+// Runs an output search for main.js off the main process. A user's regex can backtrack
+// for as long as it likes here; main.js terminates the worker when it takes too long.
+// workerData: { sources: [{ lines, ...source }], options: { query, regex, caseSensitive }, maxHits }
+// Posts { results, truncated } or { error }.
+
+const { parentPort, workerData } = require('worker_threads');
+
+const SEARCH_CONTEXT_LINES = 2;
+
+function buildSearchPattern({ query, regex, caseSensitive }) {
+  const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(source, caseSensitive ? '' : 'i');
+}
+
+function searchLines(lines, pattern, budget) {
+  const hits = [];
+  for (let i = 0; i < lines.length && hits.length < budget; i++) {
+    const match = pattern.exec(lines[i]);
+    if (!match || match[0].length === 0) continue;
+    hits.push({
+      lineNumber: i,
+      line: lines[i],
+      match: [match.index, match.index + match[0].length],
+      before: lines.slice(Math.max(0, i - SEARCH_CONTEXT_LINES), i),
+      after: lines.slice(i + 1, i + 1 + SEARCH_CONTEXT_LINES),
+      fromEnd: 0,
+    });
+  }
+
+  // How many identical lines follow each hit, so the renderer can find it in
+  // xterm's (shorter) buffer by counting from the bottom
+  const counts = new Map();
+  const hitsByLine = new Map(hits.map(hit => [hit.lineNumber, hit]));
+  const hitTexts = new Set(hits.map(hit => hit.line));
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (!hitTexts.has(lines[i])) continue;
+    const hit = hitsByLine.get(i);
+    if (hit) hit.fromEnd = counts.get(lines[i]) || 0;
+    counts.set(lines[i], (counts.get(lines[i]) || 0) + 1);
+  }
+  return hits;
+}
+
+function search({ sources, options, maxHits }) {
+  let pattern;
+  try {
+    pattern = buildSearchPattern(options);
+  } catch (err) {
+    return { error: err.message };
+  }
+  const results = [];
+  let remaining = maxHits;
+  for (const { lines, ...source } of sources) {
+    if (remaining <= 0) break;
+    const hits = searchLines(lines, pattern, remaining);
+    if (hits.length === 0) continue;
+    remaining -= hits.length;
+    results.push({ ...source, hits });
+  }
+  return { results, truncated: remaining <= 0 };
+}
+
+parentPort.postMessage(search(workerData));
@@ -0,0 +1,104 @@
+# term-party shell integration for bash.
+# Marks prompts and commands with OSC 133 so term-party can show the running
+# command, how long it took and its exit code, and reports the current
+# directory with OSC 7. Enable it from ~/.bashrc:
+#
+#   [ -n "$TERM_PARTY_SHELL_INTEGRATION" ] && . "$TERM_PARTY_SHELL_INTEGRATION/term-party.bash"
+
+[[ $- == *i* ]] || return 0
+[[ -n "$__term_party_loaded" ]] && return 0
+__term_party_loaded=1
+__term_party_at_prompt=0
+__term_party_in_command=0
+
+__term_party_urlencode() {
+  local LC_ALL=C str=$1 out= c i
+  for (( i = 0; i < ${#str}; i++ )); do
+    c=${str:i:1}
+    case $c in
+      '%'|';'|'#'|'?') printf -v c '%%%02X' "'$c" ;;
+      [[:print:]]) ;;
+      *) printf -v c '%%%02X' "'$c" ;;
+    esac
+    out+=$c
+  done
+  printf '%s' "$out"
+}
+
+__term_party_history_last() {
+  local entry
+  entry=$(HISTTIMEFORMAT= builtin history 1)
+  entry=${entry#"${entry%%[![:space:]]*}"}
+  __term_party_history_num=${entry%%[!0-9]*}
+  entry=${entry#"$__term_party_history_num"}
+  __term_party_history_cmd=${entry#"${entry%%[![:space:]]*}"}
+}
+
+__term_party_prompt() {
+  local status=$?
+  if [[ $__term_party_in_command == 1 ]]; then
+    printf '\e]133;D;%s\a' "$status"
+  fi
+  __term_party_in_command=0
+  # Stays 0 through the rest of PROMPT_COMMAND, so the DEBUG trap ignores it
+  __term_party_at_prompt=0
+  __term_party_history_last
+  __term_party_prompt_history=$__term_party_history_num
+  printf '\e]133;A\a'
+  printf '\e]7;file://%s%s\a' "$HOSTNAME" "$(__term_party_urlencode "$PWD")"
+  return $status
+}
+
+__term_party_command() {
+  __term_party_in_command=1
+  printf '\e]133;C;cmdline_url=%s\a' "$(__term_party_urlencode "$1")"
+}
+
+# Last in PROMPT_COMMAND: from here on the next simple command is the user's
+__term_party_prompt_end() {
+  __term_party_at_prompt=1
+}
+
+# The DEBUG trap runs before every simple command; only the first one after a
+# prompt starts a new command line
+__term_party_preexec() {
+  [[ $__term_party_at_prompt == 1 ]] || return 0
+  [[ $BASH_COMMAND == __term_party_prompt* ]] && return 0
+  [[ -n "$COMP_LINE" ]] && return 0
+  __term_party_at_prompt=0
+  # HISTCONTROL (ignorespace, ignoredups) or set +o history can keep the line
+  # out of history, leaving the previous command as the newest entry. Then the
+  # first simple command is the best we have.
+  __term_party_history_last
+  if [[ $__term_party_history_num == "$__term_party_prompt_history" ]]; then
+    __term_party_command "$BASH_COMMAND"
+  else
+    __term_party_command "$__term_party_history_cmd"
+  fi
+}
+
+# Adds our hook to the DEBUG trap, after any the user already has (starship,
+# atuin, their own). It runs from PROMPT_COMMAND rather than while this file is
+# sourced, since . hides the current DEBUG trap; that also catches a trap set
+# later in ~/.bashrc. The trace attribute lets the function see the trap.
+__term_party_install_trap() {
+  local words
+  eval "words=($(trap -p DEBUG))"
+  [[ ${words[2]} == *__term_party_preexec* ]] && return 0
+  if [[ -n "${words[2]}" ]]; then
+    trap "${words[2]}"$'\n''__term_party_preexec' DEBUG
+  else
+    trap '__term_party_preexec' DEBUG
+  fi
+}
+declare -ft __term_party_install_trap
+
+PS1="${PS1}\[\e]133;B\a\]"
+if [[ -n "${bash_preexec_imported:-}${__bp_imported:-}" ]]; then
+  # bash-preexec owns the DEBUG trap and PROMPT_COMMAND; hook in through it
+  precmd_functions=(__term_party_prompt "${precmd_functions[@]}")
+  preexec_functions+=(__term_party_command)
+else
+  # Newlines rather than ; so an existing PROMPT_COMMAND ending in ; still parses
+  PROMPT_COMMAND="__term_party_prompt"$'\n'"${PROMPT_COMMAND}"$'\n'"__term_party_install_trap"$'\n'"__term_party_prompt_end"
+fi
@@ -0,0 +1,23 @@
+# term-party shell integration for fish.
+# Marks prompts and commands with OSC 133 so term-party can show the running
+# command, how long it took and its exit code, and reports the current
+# directory with OSC 7. Enable it from ~/.config/fish/config.fish:
+#
+#   test -n "$TERM_PARTY_SHELL_INTEGRATION"; and source "$TERM_PARTY_SHELL_INTEGRATION/term-party.fish"
+
+if status is-interactive; and not set -q __term_party_loaded
+    set -g __term_party_loaded 1
+
+    function __term_party_prompt --on-event fish_prompt
+        printf '\e]133;A\a'
+        printf '\e]7;file://%s%s\a' $hostname (string escape --style=url -- $PWD)
+    end
+
+    function __term_party_preexec --on-event fish_preexec
+        printf '\e]133;C;cmdline_url=%s\a' (string escape --style=url -- $argv[1])
+    end
+
+    function __term_party_postexec --on-event fish_postexec
+        printf '\e]133;D;%s\a' $status
+    end
+end
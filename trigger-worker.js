@@ -0,0 +1,30 @@
+// Matches output lines against the user's trigger patterns for main.js, off the main process.
+// Messages in: { type: 'triggers', triggers } replaces the patterns; { type: 'match', lines, triggerIds }
+// tests each line and answers { matches } (the matching trigger ids per line), in order.
+// While testing, workerData.current holds the index of the trigger being run, so main.js can
+// tell which pattern is stuck when a batch doesn't come back.
+
+const { parentPort, workerData } = require('worker_threads');
+
+const current = new Int32Array(workerData.current);
+let triggers = []; // [{ id, regex }] in the order main.js sent them
+
+parentPort.on('message', (message) => {
+  if (message.type === 'triggers') {
+    // main.js only sends patterns that compiled there
+    triggers = message.triggers.map(t => ({ id: t.id, regex: new RegExp(t.pattern, t.caseSensitive ? '' : 'i') }));
+    return;
+  }
+  const wanted = new Set(message.triggerIds);
+  const matches = message.lines.map((line) => {
+    const ids = [];
+    triggers.forEach(({ id, regex }, index) => {
+      if (!wanted.has(id)) return;
+      Atomics.store(current, 0, index);
+      if (regex.test(line)) ids.push(id);
+    });
+    return ids;
+  });
+  Atomics.store(current, 0, -1);
+  parentPort.postMessage({ matches });
+});